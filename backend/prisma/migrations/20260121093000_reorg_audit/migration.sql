@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "system_state" ADD COLUMN     "lastProcessedBlockHash" VARCHAR(66);
+
+-- CreateTable
+CREATE TABLE "ReorgAudit" (
+    "id" TEXT NOT NULL,
+    "forkBlock" BIGINT NOT NULL,
+    "mismatchBlock" BIGINT NOT NULL,
+    "storedBlockHash" VARCHAR(66) NOT NULL,
+    "canonicalBlockHash" VARCHAR(66),
+    "previousCheckpoint" BIGINT NOT NULL,
+    "newCheckpoint" BIGINT NOT NULL,
+    "eventsRolledBack" INTEGER NOT NULL,
+    "orphanedEvents" JSONB NOT NULL,
+    "affectedWorkflows" TEXT[],
+    "workflowsRebuilt" INTEGER NOT NULL DEFAULT 0,
+    "rebuiltAt" TIMESTAMP(3),
+    "detectedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ReorgAudit_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ReorgAudit_forkBlock_idx" ON "ReorgAudit"("forkBlock");
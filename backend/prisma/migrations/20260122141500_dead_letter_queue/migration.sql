@@ -0,0 +1,27 @@
+-- CreateEnum
+CREATE TYPE "DeadLetterStatus" AS ENUM ('PENDING', 'EXHAUSTED', 'RESOLVED', 'DISCARDED');
+
+-- CreateTable
+CREATE TABLE "DeadLetterEvent" (
+    "id" TEXT NOT NULL,
+    "eventType" "EventType" NOT NULL,
+    "txHash" VARCHAR(66) NOT NULL,
+    "logIndex" INTEGER NOT NULL,
+    "blockNumber" BIGINT NOT NULL,
+    "rawLog" JSONB NOT NULL,
+    "error" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 1,
+    "status" "DeadLetterStatus" NOT NULL DEFAULT 'PENDING',
+    "nextAttemptAt" TIMESTAMP(3) NOT NULL,
+    "lastAttemptAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "DeadLetterEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "DeadLetterEvent_status_nextAttemptAt_idx" ON "DeadLetterEvent"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DeadLetterEvent_txHash_logIndex_key" ON "DeadLetterEvent"("txHash", "logIndex");
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "WorkflowSnapshot" (
+    "id" TEXT NOT NULL,
+    "blockNumber" BIGINT NOT NULL,
+    "reducerVersion" INTEGER NOT NULL,
+    "eventCount" INTEGER NOT NULL,
+    "workflowCount" INTEGER NOT NULL,
+    "states" JSONB NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WorkflowSnapshot_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "WorkflowSnapshot_blockNumber_idx" ON "WorkflowSnapshot"("blockNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkflowSnapshot_reducerVersion_blockNumber_key" ON "WorkflowSnapshot"("reducerVersion", "blockNumber");
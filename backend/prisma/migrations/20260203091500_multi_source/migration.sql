@@ -0,0 +1,90 @@
+/*
+  Rows ingested before multi-source support get chainId 0 and an empty
+  contractAddress here; on startup they are assigned to the first configured
+  source (see adoptLegacyRows in src/db/db.js).
+  Snapshots carry no source information and are dropped (they are rebuilt).
+*/
+
+-- DropIndex
+DROP INDEX "ChainEvent_blockNumber_transactionIndex_logIndex_idx";
+
+-- DropIndex
+DROP INDEX "ChainEvent_workflowId_idx";
+
+-- DropIndex
+DROP INDEX "ChainEvent_txHash_logIndex_key";
+
+-- DropIndex
+DROP INDEX "DeadLetterEvent_txHash_logIndex_key";
+
+-- DropIndex
+DROP INDEX "ReorgAudit_forkBlock_idx";
+
+-- DropIndex
+DROP INDEX "WorkflowSnapshot_blockNumber_idx";
+
+-- DropIndex
+DROP INDEX "WorkflowSnapshot_reducerVersion_blockNumber_key";
+
+-- DeleteRows
+DELETE FROM "WorkflowSnapshot";
+
+-- AlterTable
+ALTER TABLE "ChainEvent" ADD COLUMN     "chainId" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "contractAddress" VARCHAR(42) NOT NULL DEFAULT '';
+ALTER TABLE "ChainEvent" ALTER COLUMN "chainId" DROP DEFAULT,
+ALTER COLUMN "contractAddress" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "WorkflowState" DROP CONSTRAINT "WorkflowState_pkey",
+ADD COLUMN     "chainId" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "contractAddress" VARCHAR(42) NOT NULL DEFAULT '',
+ADD CONSTRAINT "WorkflowState_pkey" PRIMARY KEY ("chainId", "contractAddress", "workflowId");
+ALTER TABLE "WorkflowState" ALTER COLUMN "chainId" DROP DEFAULT,
+ALTER COLUMN "contractAddress" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "system_state" DROP CONSTRAINT "system_state_pkey",
+DROP COLUMN "id",
+ADD COLUMN     "chainId" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "contractAddress" VARCHAR(42) NOT NULL DEFAULT '',
+ADD CONSTRAINT "system_state_pkey" PRIMARY KEY ("chainId", "contractAddress");
+ALTER TABLE "system_state" ALTER COLUMN "chainId" DROP DEFAULT,
+ALTER COLUMN "contractAddress" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "ReorgAudit" ADD COLUMN     "chainId" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "contractAddress" VARCHAR(42) NOT NULL DEFAULT '';
+ALTER TABLE "ReorgAudit" ALTER COLUMN "chainId" DROP DEFAULT,
+ALTER COLUMN "contractAddress" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "DeadLetterEvent" ADD COLUMN     "chainId" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "contractAddress" VARCHAR(42) NOT NULL DEFAULT '';
+ALTER TABLE "DeadLetterEvent" ALTER COLUMN "chainId" DROP DEFAULT,
+ALTER COLUMN "contractAddress" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "WorkflowSnapshot" ADD COLUMN     "chainId" INTEGER NOT NULL,
+ADD COLUMN     "contractAddress" VARCHAR(42) NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "ChainEvent_source_ordering_idx" ON "ChainEvent"("chainId", "contractAddress", "blockNumber", "transactionIndex", "logIndex");
+
+-- CreateIndex
+CREATE INDEX "ChainEvent_chainId_contractAddress_workflowId_idx" ON "ChainEvent"("chainId", "contractAddress", "workflowId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ChainEvent_chainId_txHash_logIndex_key" ON "ChainEvent"("chainId", "txHash", "logIndex");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "DeadLetterEvent_chainId_txHash_logIndex_key" ON "DeadLetterEvent"("chainId", "txHash", "logIndex");
+
+-- CreateIndex
+CREATE INDEX "ReorgAudit_chainId_contractAddress_forkBlock_idx" ON "ReorgAudit"("chainId", "contractAddress", "forkBlock");
+
+-- CreateIndex
+CREATE INDEX "WorkflowSnapshot_chainId_contractAddress_blockNumber_idx" ON "WorkflowSnapshot"("chainId", "contractAddress", "blockNumber");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkflowSnapshot_source_version_block_key" ON "WorkflowSnapshot"("chainId", "contractAddress", "reducerVersion", "blockNumber");
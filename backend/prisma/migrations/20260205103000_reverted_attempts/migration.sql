@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "RevertedAttempt" (
+    "id" TEXT NOT NULL,
+    "chainId" INTEGER NOT NULL,
+    "contractAddress" VARCHAR(42) NOT NULL,
+    "workflowId" TEXT,
+    "txHash" VARCHAR(66) NOT NULL,
+    "blockNumber" BIGINT NOT NULL,
+    "transactionIndex" INTEGER NOT NULL,
+    "blockHash" VARCHAR(66) NOT NULL,
+    "blockTimestamp" BIGINT NOT NULL,
+    "from" VARCHAR(42) NOT NULL,
+    "value" TEXT NOT NULL,
+    "gasUsed" BIGINT NOT NULL,
+    "functionName" TEXT,
+    "functionSelector" VARCHAR(10) NOT NULL,
+    "args" JSONB NOT NULL,
+    "errorName" TEXT,
+    "errorSelector" VARCHAR(10),
+    "errorArgs" JSONB,
+    "revertData" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "RevertedAttempt_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RevertedAttempt_chainId_txHash_key" ON "RevertedAttempt"("chainId", "txHash");
+
+-- CreateIndex
+CREATE INDEX "RevertedAttempt_chainId_contractAddress_workflowId_idx" ON "RevertedAttempt"("chainId", "contractAddress", "workflowId");
+
+-- CreateIndex
+CREATE INDEX "RevertedAttempt_chainId_contractAddress_blockNumber_idx" ON "RevertedAttempt"("chainId", "contractAddress", "blockNumber");
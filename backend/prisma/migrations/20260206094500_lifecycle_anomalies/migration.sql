@@ -0,0 +1,38 @@
+-- CreateEnum
+CREATE TYPE "WorkflowPhase" AS ENUM ('INTENT', 'DECISION', 'SETTLEMENT', 'FINALITY');
+
+-- AlterTable
+-- Existing rows get a phase derived from their status; the reducer version bump
+-- invalidates snapshots, so startup replay rebuilds every row with the exact phase
+ALTER TABLE "WorkflowState" ADD COLUMN     "phase" "WorkflowPhase" NOT NULL DEFAULT 'INTENT';
+UPDATE "WorkflowState" SET "phase" = 'FINALITY' WHERE "status" IN ('COMPLETED', 'FAILED');
+UPDATE "WorkflowState" SET "phase" = 'DECISION' WHERE "status" = 'REJECTED';
+ALTER TABLE "WorkflowState" ALTER COLUMN "phase" DROP DEFAULT;
+
+-- CreateTable
+CREATE TABLE "WorkflowAnomaly" (
+    "id" TEXT NOT NULL,
+    "chainId" INTEGER NOT NULL,
+    "contractAddress" VARCHAR(42) NOT NULL,
+    "workflowId" VARCHAR(66) NOT NULL,
+    "eventType" "EventType" NOT NULL,
+    "txHash" VARCHAR(66) NOT NULL,
+    "logIndex" INTEGER NOT NULL,
+    "blockNumber" BIGINT NOT NULL,
+    "blockTimestamp" BIGINT NOT NULL,
+    "phase" "WorkflowPhase",
+    "status" "WorkflowStatus",
+    "reason" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "WorkflowAnomaly_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "WorkflowAnomaly_chainId_txHash_logIndex_key" ON "WorkflowAnomaly"("chainId", "txHash", "logIndex");
+
+-- CreateIndex
+CREATE INDEX "WorkflowAnomaly_chainId_contractAddress_workflowId_idx" ON "WorkflowAnomaly"("chainId", "contractAddress", "workflowId");
+
+-- CreateIndex
+CREATE INDEX "WorkflowAnomaly_chainId_contractAddress_blockNumber_idx" ON "WorkflowAnomaly"("chainId", "contractAddress", "blockNumber");
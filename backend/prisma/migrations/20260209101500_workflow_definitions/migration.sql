@@ -0,0 +1,19 @@
+-- Event types are declared by workflow definition files instead of a fixed enum
+
+-- AlterTable
+ALTER TABLE "ChainEvent" ALTER COLUMN "eventType" SET DATA TYPE VARCHAR(64) USING "eventType"::text;
+
+-- AlterTable
+ALTER TABLE "DeadLetterEvent" ALTER COLUMN "eventType" SET DATA TYPE VARCHAR(64) USING "eventType"::text;
+
+-- AlterTable
+ALTER TABLE "WorkflowAnomaly" ALTER COLUMN "eventType" SET DATA TYPE VARCHAR(64) USING "eventType"::text;
+
+-- DropEnum
+DROP TYPE "EventType";
+
+-- Snapshots predate definition hashes and the reducer version bump; startup replays without them
+DELETE FROM "WorkflowSnapshot";
+
+-- AlterTable
+ALTER TABLE "WorkflowSnapshot" ADD COLUMN     "definitionHash" VARCHAR(16) NOT NULL;
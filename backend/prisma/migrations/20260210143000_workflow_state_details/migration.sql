@@ -0,0 +1,15 @@
+-- New derived columns stay NULL until the reducer version bump makes startup replay rebuild every row
+
+-- AlterTable
+ALTER TABLE "WorkflowState" ADD COLUMN     "amount" DECIMAL(78,0),
+ADD COLUMN     "decisionApproved" BOOLEAN,
+ADD COLUMN     "decisionAt" BIGINT,
+ADD COLUMN     "decisionReason" TEXT,
+ADD COLUMN     "decisionTxHash" VARCHAR(66),
+ADD COLUMN     "finalityAt" BIGINT,
+ADD COLUMN     "finalityTxHash" VARCHAR(66),
+ADD COLUMN     "intentAt" BIGINT,
+ADD COLUMN     "intentTxHash" VARCHAR(66),
+ADD COLUMN     "recipient" VARCHAR(42),
+ADD COLUMN     "settlementAt" BIGINT,
+ADD COLUMN     "settlementTxHash" VARCHAR(66);
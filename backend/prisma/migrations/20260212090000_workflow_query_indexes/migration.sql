@@ -0,0 +1,17 @@
+-- CreateIndex
+CREATE INDEX "WorkflowState_startedAt_workflowId_idx" ON "WorkflowState"("startedAt", "workflowId");
+
+-- CreateIndex
+CREATE INDEX "WorkflowState_completedAt_startedAt_workflowId_idx" ON "WorkflowState"("completedAt", "startedAt", "workflowId");
+
+-- CreateIndex
+CREATE INDEX "WorkflowState_amount_startedAt_workflowId_idx" ON "WorkflowState"("amount", "startedAt", "workflowId");
+
+-- CreateIndex
+CREATE INDEX "WorkflowState_status_startedAt_workflowId_idx" ON "WorkflowState"("status", "startedAt", "workflowId");
+
+-- CreateIndex
+CREATE INDEX "WorkflowState_initiator_startedAt_idx" ON "WorkflowState"("initiator", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "WorkflowState_recipient_startedAt_idx" ON "WorkflowState"("recipient", "startedAt");
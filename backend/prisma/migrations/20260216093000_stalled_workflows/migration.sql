@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "WorkflowState" ADD COLUMN "stalled" BOOLEAN NOT NULL DEFAULT false;
+
+-- CreateIndex
+CREATE INDEX "WorkflowState_stalled_startedAt_idx" ON "WorkflowState"("stalled", "startedAt");
@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "WorkflowState_decisionAt_idx" ON "WorkflowState"("decisionAt");
+
+-- CreateIndex
+CREATE INDEX "WorkflowState_settlementAt_idx" ON "WorkflowState"("settlementAt");
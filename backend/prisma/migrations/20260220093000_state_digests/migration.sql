@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "StateDigest" (
+    "chainId" INTEGER NOT NULL,
+    "contractAddress" VARCHAR(42) NOT NULL,
+    "blockNumber" BIGINT NOT NULL,
+    "blockHash" VARCHAR(66),
+    "eventCount" INTEGER NOT NULL,
+    "eventsHash" VARCHAR(66) NOT NULL,
+    "workflowCount" INTEGER,
+    "stateHash" VARCHAR(66),
+    "reducerVersion" INTEGER NOT NULL,
+    "definitionHash" VARCHAR(16) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "StateDigest_pkey" PRIMARY KEY ("chainId","contractAddress","blockNumber")
+);
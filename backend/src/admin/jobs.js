@@ -0,0 +1,155 @@
+/**
+ * Admin jobs
+ * Long operator operations (replays, backfills, checkpoint moves) run in the
+ * background as jobs; GET /admin/jobs/:id reports their progress.
+ *
+ * One job runs at a time. Jobs rewrite derived state, so the listener is paused
+ * for their duration (after any poll in progress finishes) and resumed after
+ * them if it was running; ingestion never interleaves with a rebuild.
+ *
+ * Jobs live in memory: the latest MAX_JOBS are kept and a restart forgets them.
+ * A job cut short by a restart did not finish and can simply be started again.
+ */
+
+import crypto from 'crypto';
+import {
+    startEventListener,
+    stopEventListener,
+    waitForListenerIdle,
+    getListenerStatus,
+} from '../blockchain/listener.js';
+import { logger } from '../utils/logger.js';
+
+const MAX_JOBS = 100;
+
+// Jobs by ID, oldest first
+const jobs = new Map();
+let activeJob = null;
+
+/**
+ * Whether a job is running
+ * @returns {boolean}
+ */
+export function isJobRunning() {
+    return activeJob !== null;
+}
+
+/**
+ * Run a function with the listener paused, resuming it afterwards if it was running
+ * @param {Function} fn - Async work
+ * @returns {Promise<any>} fn's result
+ */
+export async function withListenerPaused(fn) {
+    const wasListening = getListenerStatus().isListening;
+    if (wasListening) {
+        stopEventListener();
+    }
+
+    try {
+        if (!(await waitForListenerIdle())) {
+            throw new Error('Timed out waiting for the listener to finish its poll');
+        }
+        return await fn();
+    } finally {
+        if (wasListening) {
+            startEventListener();
+        }
+    }
+}
+
+/**
+ * Start a job in the background
+ * @param {string} type - Job type (e.g. "replay", "backfill")
+ * @param {Object} params - Parameters, reported with the job
+ * @param {Function} run - async (progress) => result; progress(Object) updates the job's progress
+ * @returns {Object} { job } on success, { error } if another job is running
+ */
+export function startJob(type, params, run) {
+    if (activeJob) {
+        return { error: `Job ${activeJob.id} (${activeJob.type}) is still running` };
+    }
+
+    const job = {
+        id: crypto.randomUUID(),
+        type,
+        params,
+        status: 'running',
+        progress: null,
+        result: null,
+        error: null,
+        startedAt: new Date(),
+        finishedAt: null,
+    };
+
+    jobs.set(job.id, job);
+    activeJob = job;
+
+    // Forget the oldest finished jobs
+    for (const [id, old] of jobs) {
+        if (jobs.size <= MAX_JOBS) {
+            break;
+        }
+        if (old.status !== 'running') {
+            jobs.delete(id);
+        }
+    }
+
+    logger.info('Admin job started', { id: job.id, type, params });
+
+    withListenerPaused(() => run((progress) => {
+        job.progress = progress;
+    }))
+        .then((result) => {
+            job.status = 'succeeded';
+            job.result = result;
+            logger.info('Admin job succeeded', { id: job.id, type });
+        })
+        .catch((error) => {
+            job.status = 'failed';
+            job.error = error.message;
+            logger.error('Admin job failed', { id: job.id, type, error: error.message });
+        })
+        .finally(() => {
+            job.finishedAt = new Date();
+            activeJob = null;
+        });
+
+    return { job };
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ * @returns {Object|null}
+ */
+export function getJob(id) {
+    return jobs.get(id) || null;
+}
+
+/**
+ * List jobs, most recent first
+ * @returns {Array}
+ */
+export function listJobs() {
+    return [...jobs.values()].reverse();
+}
+
+/**
+ * Convert a job for JSON responses
+ * @param {Object} job - From startJob
+ * @returns {Object}
+ */
+export function formatJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        params: job.params,
+        status: job.status,
+        progress: job.progress,
+        result: job.result,
+        error: job.error,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        durationMs: (job.finishedAt || new Date()) - job.startedAt,
+    };
+}
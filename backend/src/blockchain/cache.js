@@ -0,0 +1,232 @@
+/**
+ * Bounded LRU cache for blocks and receipts
+ * Many logs in a backfill share a block or transaction, so caching
+ * getBlock / getTransactionReceipt avoids redundant RPC round-trips
+ *
+ * Only confirmed data is cached. Reorg rollback invalidates cached
+ * blocks from the fork onward. Entries are keyed by chain, so sources on
+ * the same chain share them.
+ */
+
+import { config } from '../config.js';
+import { getProvider } from './provider.js';
+
+/**
+ * Minimal LRU cache on top of Map insertion order
+ */
+export class LruCache {
+    constructor(maxSize) {
+        this.maxSize = maxSize;
+        this.entries = new Map();
+    }
+
+    get(key) {
+        if (!this.entries.has(key)) {
+            return undefined;
+        }
+
+        // Re-insert to mark as most recently used
+        const value = this.entries.get(key);
+        this.entries.delete(key);
+        this.entries.set(key, value);
+        return value;
+    }
+
+    set(key, value) {
+        if (this.entries.has(key)) {
+            this.entries.delete(key);
+        }
+
+        this.entries.set(key, value);
+
+        while (this.entries.size > this.maxSize) {
+            const oldest = this.entries.keys().next().value;
+            this.entries.delete(oldest);
+        }
+    }
+
+    delete(key) {
+        return this.entries.delete(key);
+    }
+
+    keys() {
+        return [...this.entries.keys()];
+    }
+
+    clear() {
+        this.entries.clear();
+    }
+
+    get size() {
+        return this.entries.size;
+    }
+}
+
+const blockCache = new LruCache(config.blockCacheSize);
+const receiptCache = new LruCache(config.receiptCacheSize);
+
+/**
+ * Cache key scoped to a chain
+ * @param {number} chainId - Chain ID
+ * @param {number|string} id - Block number or transaction hash
+ * @returns {string}
+ */
+function cacheKey(chainId, id) {
+    return `${chainId}:${id}`;
+}
+
+/**
+ * Create a per-poll RPC usage counter
+ * `calls` are RPC requests actually made, `saved` are requests avoided
+ * @returns {Object}
+ */
+export function createRpcStats() {
+    return {
+        calls: { getLogs: 0, getBlock: 0, getTransactionReceipt: 0, call: 0 },
+        saved: { getLogs: 0, getBlock: 0, getTransactionReceipt: 0, call: 0 },
+    };
+}
+
+/**
+ * Total calls made and saved in an RPC stats object
+ * @param {Object} stats - From createRpcStats
+ * @returns {Object} { calls, saved }
+ */
+export function summarizeRpcStats(stats) {
+    const sum = obj => Object.values(obj).reduce((total, n) => total + n, 0);
+    return {
+        calls: sum(stats.calls),
+        saved: sum(stats.saved),
+        byMethod: {
+            calls: { ...stats.calls },
+            saved: { ...stats.saved },
+        },
+    };
+}
+
+/**
+ * Fetch a block, served from cache when possible
+ * @param {number} chainId - Chain ID
+ * @param {number} blockNumber - Block number
+ * @param {Object} stats - RPC stats to update (optional)
+ * @returns {Promise<Object|null>}
+ */
+export async function getBlockCached(chainId, blockNumber, stats = null) {
+    const key = cacheKey(chainId, Number(blockNumber));
+    const cached = blockCache.get(key);
+
+    if (cached) {
+        if (stats) stats.saved.getBlock++;
+        return cached;
+    }
+
+    const block = await getProvider(chainId).getBlock(Number(blockNumber));
+    if (stats) stats.calls.getBlock++;
+
+    if (block) {
+        blockCache.set(key, block);
+    }
+
+    return block;
+}
+
+/**
+ * Whether a block was fetched with its full transactions
+ * @param {Object} block - ethers Block
+ * @returns {boolean}
+ */
+function hasPrefetchedTransactions(block) {
+    try {
+        // ethers throws when the block was fetched with transaction hashes only
+        return Array.isArray(block.prefetchedTransactions);
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Fetch a block with full transactions, served from cache when possible
+ * The result replaces any hash-only copy in the cache (it is a superset)
+ * @param {number} chainId - Chain ID
+ * @param {number} blockNumber - Block number
+ * @param {Object} stats - RPC stats to update (optional)
+ * @returns {Promise<Object|null>}
+ */
+export async function getBlockWithTransactionsCached(chainId, blockNumber, stats = null) {
+    const key = cacheKey(chainId, Number(blockNumber));
+    const cached = blockCache.get(key);
+
+    if (cached && hasPrefetchedTransactions(cached)) {
+        if (stats) stats.saved.getBlock++;
+        return cached;
+    }
+
+    const block = await getProvider(chainId).getBlock(Number(blockNumber), true);
+    if (stats) stats.calls.getBlock++;
+
+    if (block) {
+        blockCache.set(key, block);
+    }
+
+    return block;
+}
+
+/**
+ * Fetch a transaction receipt, served from cache when possible
+ * @param {number} chainId - Chain ID
+ * @param {string} txHash - Transaction hash
+ * @param {Object} stats - RPC stats to update (optional)
+ * @returns {Promise<Object|null>}
+ */
+export async function getReceiptCached(chainId, txHash, stats = null) {
+    const key = cacheKey(chainId, txHash);
+    const cached = receiptCache.get(key);
+
+    if (cached) {
+        if (stats) stats.saved.getTransactionReceipt++;
+        return cached;
+    }
+
+    const receipt = await getProvider(chainId).getTransactionReceipt(txHash);
+    if (stats) stats.calls.getTransactionReceipt++;
+
+    if (receipt) {
+        receiptCache.set(key, receipt);
+    }
+
+    return receipt;
+}
+
+/**
+ * Drop a chain's cached blocks and receipts at or after a block (reorg rollback)
+ * @param {number} chainId - Chain ID
+ * @param {number} blockNumber - First invalid block
+ */
+export function invalidateCacheFrom(chainId, blockNumber) {
+    const prefix = `${chainId}:`;
+
+    for (const key of blockCache.keys()) {
+        const block = blockCache.entries.get(key);
+        if (key.startsWith(prefix) && block && block.number >= blockNumber) {
+            blockCache.delete(key);
+        }
+    }
+
+    for (const key of receiptCache.keys()) {
+        const receipt = receiptCache.entries.get(key);
+        if (key.startsWith(prefix) && receipt && receipt.blockNumber >= blockNumber) {
+            receiptCache.delete(key);
+        }
+    }
+}
+
+/**
+ * Current cache occupancy
+ * @returns {Object}
+ */
+export function getCacheStatus() {
+    return {
+        blocks: { size: blockCache.size, maxSize: blockCache.maxSize },
+        receipts: { size: receiptCache.size, maxSize: receiptCache.maxSize },
+    };
+}
@@ -0,0 +1,163 @@
+/**
+ * Manual checkpoint moves (operator tool, see POST /admin/checkpoint)
+ * Moves a source's lastProcessedBlock to a target block:
+ *
+ * - rewind (target below the checkpoint): events after the target are removed
+ *   with everything derived from them (as in a reorg rollback, see reorg.js)
+ *   and their workflows rebuilt from the remaining events; the listener then
+ *   re-ingests the range from the chain.
+ * - skip (target above the checkpoint): the blocks in between are never
+ *   ingested. The target must be confirmed (head - confirmationBlocks).
+ *
+ * previewCheckpointMove reports what a move would do without changing anything.
+ * The listener should be paused while a move runs (see admin/jobs.js).
+ */
+
+import { getPrismaClient } from '../db/db.js';
+import { replayWorkflow } from '../db/replay.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { sourceWhere } from '../utils/sources.js';
+import { getProvider } from './provider.js';
+import { removeEventsFrom } from './reorg.js';
+
+/**
+ * A source's current checkpoint (startBlock - 1 before its first poll)
+ * @param {Object} source - Configured source
+ * @returns {Promise<number>}
+ */
+export async function getCheckpoint(source) {
+    const prisma = getPrismaClient();
+    const systemState = await prisma.systemState.findUnique({
+        where: { chainId_contractAddress: sourceWhere(source) },
+    });
+
+    return Math.max(systemState ? Number(systemState.lastProcessedBlock) : 0, source.startBlock - 1);
+}
+
+/**
+ * Describe a checkpoint move without applying it
+ * @param {Object} source - Configured source
+ * @param {number} targetBlock - New lastProcessedBlock
+ * @returns {Promise<Object>} Preview on success, { error } if the target is not allowed
+ */
+export async function previewCheckpointMove(source, targetBlock) {
+    const prisma = getPrismaClient();
+    const currentCheckpoint = await getCheckpoint(source);
+
+    if (targetBlock < source.startBlock - 1) {
+        return { error: `Invalid blockNumber - the source starts at block ${source.startBlock}` };
+    }
+
+    const preview = {
+        ...sourceWhere(source),
+        currentCheckpoint,
+        targetCheckpoint: targetBlock,
+        direction: 'unchanged',
+        eventsRemoved: 0,
+        affectedWorkflows: [],
+        blocksToReingest: 0,
+        blocksSkipped: 0,
+    };
+
+    if (targetBlock < currentCheckpoint) {
+        const removedWhere = { ...sourceWhere(source), blockNumber: { gt: BigInt(targetBlock) } };
+        const [eventsRemoved, workflows] = await Promise.all([
+            prisma.chainEvent.count({ where: removedWhere }),
+            prisma.chainEvent.findMany({
+                where: removedWhere,
+                select: { workflowId: true },
+                distinct: ['workflowId'],
+            }),
+        ]);
+
+        return {
+            ...preview,
+            direction: 'rewind',
+            eventsRemoved,
+            affectedWorkflows: workflows.map(w => w.workflowId),
+            blocksToReingest: currentCheckpoint - targetBlock,
+        };
+    }
+
+    if (targetBlock > currentCheckpoint) {
+        const latestBlock = await getProvider(source.chainId).getBlockNumber();
+        const safeBlock = latestBlock - config.chains[source.chainId].confirmationBlocks;
+
+        if (targetBlock > safeBlock) {
+            return { error: `Invalid blockNumber - the latest confirmed block is ${safeBlock}` };
+        }
+
+        return {
+            ...preview,
+            direction: 'skip',
+            blocksSkipped: targetBlock - currentCheckpoint,
+        };
+    }
+
+    return preview;
+}
+
+/**
+ * Move a source's checkpoint
+ * @param {Object} source - Configured source
+ * @param {number} targetBlock - New lastProcessedBlock
+ * @param {Function} onProgress - Called after each workflow rebuild (optional)
+ * @returns {Promise<Object>} The applied preview plus { workflowsRebuilt }, or { error }
+ */
+export async function moveCheckpoint(source, targetBlock, onProgress = () => {}) {
+    const prisma = getPrismaClient();
+
+    const preview = await previewCheckpointMove(source, targetBlock);
+    if (preview.error || preview.direction === 'unchanged') {
+        return { ...preview, workflowsRebuilt: 0 };
+    }
+
+    try {
+        const removed = await prisma.$transaction(async (tx) => {
+            const events = preview.direction === 'rewind'
+                ? await removeEventsFrom(tx, source, targetBlock + 1)
+                : [];
+
+            await tx.systemState.upsert({
+                where: { chainId_contractAddress: sourceWhere(source) },
+                update: { lastProcessedBlock: BigInt(targetBlock), lastProcessedBlockHash: null },
+                create: { ...sourceWhere(source), lastProcessedBlock: BigInt(targetBlock) },
+            });
+
+            return events;
+        });
+
+        // Rebuild from the remaining events; re-ingested ones then apply in order
+        const affected = [...new Set(removed.map(e => e.workflowId))];
+        let workflowsRebuilt = 0;
+        for (const workflowId of affected) {
+            await replayWorkflow(source, workflowId);
+            workflowsRebuilt++;
+            onProgress({ workflowsRebuilt, workflowsTotal: affected.length });
+        }
+
+        logger.warn('Checkpoint moved', {
+            ...sourceWhere(source),
+            direction: preview.direction,
+            previousCheckpoint: preview.currentCheckpoint,
+            newCheckpoint: targetBlock,
+            eventsRemoved: removed.length,
+            workflowsRebuilt,
+        });
+
+        return {
+            ...preview,
+            eventsRemoved: removed.length,
+            affectedWorkflows: affected,
+            workflowsRebuilt,
+        };
+    } catch (error) {
+        logger.error('Checkpoint move failed', {
+            ...sourceWhere(source),
+            targetBlock,
+            error: error.message,
+        });
+        throw error;
+    }
+}
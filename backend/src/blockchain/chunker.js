@@ -0,0 +1,181 @@
+/**
+ * Adaptive block-range chunking for eth_getLogs
+ * Providers reject large ranges ("range too large", "too many results").
+ * The chunker halves the range on those errors and grows it back after
+ * a run of successful queries, up to the provider's configured maximum.
+ *
+ * One chunker is kept per RPC endpoint; limits come from GETLOGS_MAX_RANGE,
+ * GETLOGS_MIN_RANGE and per-host overrides in GETLOGS_RANGE_LIMITS.
+ */
+
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+
+// Provider error messages that mean "ask for fewer blocks"
+const RANGE_ERROR_PATTERNS = [
+    /range too (large|wide)/i,
+    /block range/i,
+    /too many (results|logs|blocks)/i,
+    /query returned more than/i,
+    /exceed(s|ed)? (the )?max(imum)?/i,
+    /response size (exceeded|too large)/i,
+    /limit exceeded/i,
+    /query timeout/i,
+];
+
+// Error history entries kept for status reporting
+const MAX_ERROR_HISTORY = 20;
+
+/**
+ * Collect error messages from ethers' nested error shapes
+ * @param {Error} error - Error thrown by the provider
+ * @returns {string}
+ */
+function collectErrorText(error) {
+    return [
+        error?.message,
+        error?.shortMessage,
+        error?.error?.message,
+        error?.info?.error?.message,
+    ].filter(Boolean).join(' | ');
+}
+
+/**
+ * Whether a provider error means the getLogs range should shrink
+ * @param {Error} error - Error thrown by the provider
+ * @returns {boolean}
+ */
+export function isRangeError(error) {
+    const text = collectErrorText(error);
+    return RANGE_ERROR_PATTERNS.some(pattern => pattern.test(text));
+}
+
+export class AdaptiveChunker {
+    /**
+     * @param {Object} options
+     * @param {string} options.provider - Endpoint identifier (for status)
+     * @param {number} options.maxRange - Largest range ever requested
+     * @param {number} options.minRange - Smallest range before giving up
+     * @param {number} options.growAfter - Consecutive successes before doubling
+     */
+    constructor({ provider, maxRange, minRange, growAfter }) {
+        this.provider = provider;
+        this.maxRange = maxRange;
+        this.minRange = Math.min(minRange, maxRange);
+        this.growAfter = growAfter;
+        this.range = maxRange;
+        this.consecutiveSuccesses = 0;
+        this.errors = [];
+    }
+
+    /**
+     * Record a successful query; grows the range after a run of successes
+     */
+    onSuccess() {
+        this.consecutiveSuccesses++;
+
+        if (this.range < this.maxRange && this.consecutiveSuccesses >= this.growAfter) {
+            const previous = this.range;
+            this.range = Math.min(this.range * 2, this.maxRange);
+            this.consecutiveSuccesses = 0;
+
+            logger.info('getLogs range increased', {
+                provider: this.provider,
+                from: previous,
+                to: this.range,
+            });
+        }
+    }
+
+    /**
+     * Record a range error and halve the range
+     * @param {Error} error - Provider error
+     * @param {number} fromBlock - Start of the failed range
+     * @param {number} toBlock - End of the failed range
+     * @returns {boolean} True if the range shrank and the query can be retried
+     */
+    onRangeError(error, fromBlock, toBlock) {
+        const previous = this.range;
+        this.range = Math.max(Math.floor(this.range / 2), this.minRange);
+        this.consecutiveSuccesses = 0;
+
+        this.errors.push({
+            at: new Date().toISOString(),
+            message: collectErrorText(error),
+            fromBlock,
+            toBlock,
+            rangeBefore: previous,
+            rangeAfter: this.range,
+        });
+        if (this.errors.length > MAX_ERROR_HISTORY) {
+            this.errors.shift();
+        }
+
+        logger.warn('getLogs range rejected by provider - shrinking', {
+            provider: this.provider,
+            fromBlock,
+            toBlock,
+            from: previous,
+            to: this.range,
+            error: error.message,
+        });
+
+        // Requested span was already at the floor: retrying will not help
+        return toBlock - fromBlock + 1 > this.range;
+    }
+
+    status() {
+        return {
+            provider: this.provider,
+            range: this.range,
+            minRange: this.minRange,
+            maxRange: this.maxRange,
+            consecutiveSuccesses: this.consecutiveSuccesses,
+            errors: [...this.errors],
+        };
+    }
+}
+
+const chunkers = new Map();
+
+/**
+ * Host part of an RPC URL (used to match GETLOGS_RANGE_LIMITS)
+ * @param {string} url - RPC URL
+ * @returns {string}
+ */
+function hostOf(url) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return url;
+    }
+}
+
+/**
+ * Get (or create) the chunker for an RPC endpoint
+ * @param {string} rpcUrl - Endpoint URL
+ * @returns {AdaptiveChunker}
+ */
+export function getChunker(rpcUrl) {
+    if (!chunkers.has(rpcUrl)) {
+        const host = hostOf(rpcUrl);
+        const maxRange = config.getLogsRangeLimits[host] || config.getLogsMaxRange;
+
+        chunkers.set(rpcUrl, new AdaptiveChunker({
+            provider: host,
+            maxRange,
+            minRange: config.getLogsMinRange,
+            growAfter: config.getLogsGrowAfter,
+        }));
+    }
+
+    return chunkers.get(rpcUrl);
+}
+
+/**
+ * Status of every chunker in use
+ * @returns {Array}
+ */
+export function getChunkerStatus() {
+    return [...chunkers.values()].map(chunker => chunker.status());
+}
@@ -1,50 +1,25 @@
 /**
- * Smart contract ABI and address
- * Defines the x402 workflow contract interface
- * 
- * NOTE: Update CONTRACT_ADDRESS in .env before running
- * ABI is hardcoded here - in production, fetch from chain or file
+ * Contract instances per source
+ * The ABI comes from the source's workflow definition (see definitions.js),
+ * so every observed contract type is described by data rather than code
  */
 
 import { ethers } from 'ethers';
-import { config } from '../config.js';
 import { getProvider } from './provider.js';
+import { getSourceDefinition } from '../definitions.js';
 
-// x402 Workflow Contract ABI
-// Matches the actual X402HelloWorld.sol contract
-export const CONTRACT_ABI = [
-    // WorkflowStarted(bytes32 workflowId, address initiator)
-    'event WorkflowStarted(bytes32 indexed workflowId, address indexed initiator)',
-
-    // DecisionRecorded(bytes32 workflowId, bool approved, string reason)
-    'event DecisionRecorded(bytes32 indexed workflowId, bool approved, string reason)',
-
-    // PaymentExecuted(bytes32 workflowId, address to, uint256 amount)
-    'event PaymentExecuted(bytes32 indexed workflowId, address indexed to, uint256 amount)',
-
-    // WorkflowCompleted(bytes32 workflowId)
-    'event WorkflowCompleted(bytes32 indexed workflowId)',
-
-    // WorkflowFailed(bytes32 workflowId, string reason)
-    'event WorkflowFailed(bytes32 indexed workflowId, string reason)',
-];
-
-export function getContract() {
-    const provider = getProvider();
+/**
+ * Contract instance for an ingestion source
+ * @param {Object} source - { chainId, contractAddress }
+ * @returns {ethers.Contract}
+ */
+export function getContract(source) {
+    const provider = getProvider(source.chainId);
     const contract = new ethers.Contract(
-        config.contractAddress,
-        CONTRACT_ABI,
+        source.contractAddress,
+        getSourceDefinition(source).abi,
         provider
     );
 
     return contract;
 }
-
-// Event names for easy reference
-export const Events = {
-    WORKFLOW_STARTED: 'WorkflowStarted',
-    DECISION_RECORDED: 'DecisionRecorded',
-    PAYMENT_EXECUTED: 'PaymentExecuted',
-    WORKFLOW_COMPLETED: 'WorkflowCompleted',
-    WORKFLOW_FAILED: 'WorkflowFailed',
-};
@@ -0,0 +1,178 @@
+/**
+ * Recorded JSON-RPC fixtures
+ * Lets ingestion run against a captured RPC session instead of a live node
+ *
+ * RPC_FIXTURE_MODE=record appends every JSON-RPC response the providers receive
+ * (eth_blockNumber, eth_getLogs, eth_getBlockByNumber, eth_getTransactionReceipt,
+ * ...) to RPC_FIXTURE_FILE, one line per request:
+ *
+ *   {"chainId":338,"method":"eth_blockNumber","params":[],"result":"0x12d687"}
+ *   {"chainId":338,"method":"eth_getLogs","params":[{...}],"error":{"code":-32005,"message":"..."}}
+ *
+ * RPC_FIXTURE_MODE=replay serves that file back with no network. Requests match
+ * on chain, method and params; a request recorded several times gets its
+ * responses in recorded order, and the last one repeats (so eth_blockNumber
+ * replays the head advancing, then stays at the last recorded head). Requests
+ * that were never recorded fail like an unreachable endpoint.
+ *
+ * Responses go through ethers' usual JSON-RPC handling, so logs, blocks and RPC
+ * errors (e.g. getLogs range limits) decode exactly as they did live.
+ */
+
+import { appendFileSync, readFileSync } from 'fs';
+import { ethers } from 'ethers';
+import { config } from '../config.js';
+import { canonicalJson } from '../utils/hash.js';
+import { logger } from '../utils/logger.js';
+
+// Recorded responses per request key, loaded on first replay
+let fixtures = null;
+
+/**
+ * Key of a request within the fixture file
+ * @param {number} chainId
+ * @param {string} method - JSON-RPC method
+ * @param {Array} params - JSON-RPC params
+ * @returns {string}
+ */
+function requestKey(chainId, method, params) {
+    return `${chainId}:${method}:${canonicalJson(params ?? [])}`;
+}
+
+/**
+ * Append a JSON-RPC exchange to the fixture file
+ * @param {number} chainId
+ * @param {Object|Array} payload - Request payload (or batch)
+ * @param {Array} responses - Response objects
+ */
+function recordExchange(chainId, payload, responses) {
+    const lines = [];
+
+    for (const request of [].concat(payload)) {
+        const response = responses.find(r => r.id === request.id);
+        if (!response) {
+            continue;
+        }
+
+        const entry = { chainId, method: request.method, params: request.params ?? [] };
+        if ('error' in response) {
+            entry.error = response.error;
+        } else {
+            entry.result = response.result;
+        }
+        lines.push(`${JSON.stringify(entry)}\n`);
+    }
+
+    // Appended synchronously so a crash keeps everything received until then
+    if (lines.length > 0) {
+        appendFileSync(config.rpcFixtureFile, lines.join(''));
+    }
+}
+
+/**
+ * Record every response an ethers JSON-RPC provider (HTTP or WebSocket) receives
+ * @param {ethers.JsonRpcApiProvider} provider
+ * @param {number} chainId
+ * @returns {ethers.JsonRpcApiProvider} The same provider
+ */
+export function recordResponses(provider, chainId) {
+    const send = provider._send.bind(provider);
+
+    provider._send = async (payload) => {
+        const responses = await send(payload);
+        try {
+            recordExchange(chainId, payload, responses);
+        } catch (error) {
+            logger.error('Failed to record RPC fixture', { file: config.rpcFixtureFile, error: error.message });
+        }
+        return responses;
+    };
+
+    return provider;
+}
+
+/**
+ * Load the fixture file into per-request response queues
+ * @returns {Map} requestKey -> { responses, served }
+ */
+function loadFixtures() {
+    if (fixtures) {
+        return fixtures;
+    }
+
+    const loaded = new Map();
+    const lines = readFileSync(config.rpcFixtureFile, 'utf8').split('\n');
+    let count = 0;
+
+    lines.forEach((line, index) => {
+        if (!line.trim()) {
+            return;
+        }
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid RPC fixture at ${config.rpcFixtureFile}:${index + 1} - ${error.message}`);
+        }
+
+        const key = requestKey(entry.chainId, entry.method, entry.params);
+        if (!loaded.has(key)) {
+            loaded.set(key, { responses: [], served: 0 });
+        }
+        loaded.get(key).responses.push(entry);
+        count++;
+    });
+
+    fixtures = loaded;
+    logger.info('RPC fixtures loaded', { file: config.rpcFixtureFile, responses: count, requests: loaded.size });
+    return fixtures;
+}
+
+/**
+ * Next recorded response to a request
+ * @param {number} chainId
+ * @param {Object} request - { id, method, params }
+ * @returns {Object} JSON-RPC response
+ */
+function replayResponse(chainId, request) {
+    const recorded = loadFixtures().get(requestKey(chainId, request.method, request.params));
+    if (!recorded) {
+        throw new Error(`No recorded response for ${request.method} ${JSON.stringify(request.params ?? [])}`);
+    }
+
+    const entry = recorded.responses[Math.min(recorded.served, recorded.responses.length - 1)];
+    recorded.served++;
+
+    return 'error' in entry
+        ? { jsonrpc: '2.0', id: request.id, error: entry.error }
+        : { jsonrpc: '2.0', id: request.id, result: entry.result };
+}
+
+/**
+ * ethers provider answering from the fixture file (RPC_FIXTURE_MODE=replay)
+ */
+export class FixtureProvider extends ethers.JsonRpcApiProvider {
+    constructor(chainId) {
+        const network = ethers.Network.from(chainId);
+        super(network, { staticNetwork: network, batchMaxCount: 1 });
+        this.chainId = chainId;
+    }
+
+    async send(method, params) {
+        // As JsonRpcProvider: nothing is dispatched until started
+        await this._start();
+        return await super.send(method, params);
+    }
+
+    async _send(payload) {
+        return [].concat(payload).map(request => replayResponse(this.chainId, request));
+    }
+}
+
+/**
+ * Forget which recorded responses were served (next replay starts over)
+ */
+export function resetFixtures() {
+    fixtures = null;
+}
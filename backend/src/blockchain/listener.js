@@ -3,254 +3,621 @@
  * Polls contract logs using eth_getLogs to work around RPC limitations
  * 
  * Events flow:
- * 1. Poll every N seconds for new logs
+ * 1. Poll for new logs - polls never overlap; the next one is scheduled when
+ *    the previous finishes, immediately while behind the head, otherwise after
+ *    POLL_INTERVAL_MS
  * 2. Query logs from lastProcessedBlock + 1 to latestBlock - confirmationBlocks
- * 3. Fetch receipt and block for ordering metadata
+ *    (at most MAX_BLOCKS_PER_POLL blocks per poll)
+ *    (one OR-topic getLogs per adaptively sized chunk, sorted by block, txIndex, logIndex)
+ * 3. Fetch block timestamps through an LRU cache (txIndex comes from the log)
  * 4. Store in ChainEvent table (immutable, append-only)
  * 5. Update WorkflowState using deterministic reducer
+ * 6. Advance the checkpoint - steps 4-6 commit in one transaction per chunk
+ *    (with any reverted transactions found in the chunk, see reverts.js)
  * 
- * Reorg safety: Only processes events with >= CONFIRMATION_BLOCKS confirmations
+ * Reorg safety: Only processes events with >= CONFIRMATION_BLOCKS confirmations.
+ * Deeper reorgs are caught by re-checking recent block hashes (see reorg.js)
+ * before each poll, rolling back orphaned events and re-ingesting the range.
+ *
+ * Failure handling: events that fail to process are written to the dead-letter
+ * queue (see deadLetter.js) and retried with backoff on later polls.
+ *
+ * Sources: every configured (chainId, contractAddress) source has its own poll
+ * loop, checkpoint, reorg check and dead-letter retries. Loops run independently,
+ * so a slow backfill on one chain does not hold back the others.
+ *
+ * Definitions: the source's workflow definition (definitions.js) lists the ABI
+ * events to track and which event arguments become the stored payload.
  */
 
-import { getContract, Events } from './contract.js';
+import { getContract } from './contract.js';
+import { getSourceDefinition } from '../definitions.js';
+import { toJsonValue } from '../utils/abi.js';
 import { getPrismaClient } from '../db/db.js';
-import { reduceWorkflow } from '../db/reducer.js';
+import { commitEvents } from '../db/ingest.js';
+import { replayWorkflow } from '../db/replay.js';
+import { maybeTakeSnapshot } from '../db/snapshot.js';
+import { maybeRecordDigest } from '../db/digest.js';
+import { checkStalledWorkflows } from '../db/stalled.js';
+import {
+    recordDeadLetter,
+    getDueDeadLetters,
+    resolveDeadLetter,
+} from '../db/deadLetter.js';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
+import { pollDuration } from '../utils/metrics.js';
+import { sourceKey, sourceWhere, matchesSourceFilter } from '../utils/sources.js';
 import { getProvider } from './provider.js';
+import {
+    getBlockCached,
+    getReceiptCached,
+    createRpcStats,
+    summarizeRpcStats,
+    getCacheStatus,
+} from './cache.js';
+import { getChunker, getChunkerStatus, isRangeError } from './chunker.js';
+import { scanRevertedTransactions } from './reverts.js';
+import { detectReorg, rollbackReorg, rebuildPendingReorgs } from './reorg.js';
 
-let pollingInterval = null;
 let isListening = false;
 
 /**
- * Process and persist a single event
+ * Poll loop state for one source
+ * @param {Object} source - Configured source
+ * @returns {Object}
+ */
+function createPoller(source) {
+    return {
+        source,
+        timer: null,
+        isPolling: false,
+        lagBlocks: null,
+        checkpointTimestamp: null,
+        lastSuccessfulPollAt: null,
+        lastPollError: null,
+        lastPoll: null,
+    };
+}
+
+// Poll loop state per source, keyed by sourceKey
+const pollers = new Map(config.sources.map(source => [sourceKey(source), createPoller(source)]));
+
+/**
+ * Build ChainEvent data for a single log
+ * The workflow ID and payload fields come from the source's workflow definition.
+ * Ordering metadata comes from the log itself (transactionIndex); the
+ * receipt is only fetched if the RPC omitted it. Blocks come from the LRU cache.
+ * Errors are rethrown so the caller can dead-letter the log.
+ * @param {Object} source - { chainId, contractAddress } the log came from
  * @param {Object} log - Raw log from eth_getLogs
- * @param {string} eventType - Event type enum
- * @param {Object} parsedArgs - Parsed event arguments
+ * @param {string} eventType - Definition event type
+ * @param {Object} parsedArgs - Parsed event arguments (ethers Result)
+ * @param {Object} rpcStats - Per-poll RPC counters (optional)
+ * @returns {Promise<Object>} ChainEvent create data
  */
-async function processAndPersistEvent(log, eventType, parsedArgs) {
-    const prisma = getPrismaClient();
-    const provider = getProvider();
+async function buildEventData(source, log, eventType, parsedArgs, rpcStats = null) {
+    const definitionEvent = getSourceDefinition(source).eventsByType.get(eventType);
+    if (!definitionEvent) {
+        throw new Error(`Event type ${eventType} is not in the source's workflow definition`);
+    }
 
-    try {
-        // Extract workflow ID (first argument in all events)
-        const workflowId = parsedArgs[0].toString();
-
-        // Fetch transaction receipt for ordering metadata
-        const receipt = await provider.getTransactionReceipt(log.transactionHash);
-
-        // Fetch block for timestamp
-        const block = await provider.getBlock(log.blockNumber);
-
-        // Prepare payload based on event type
-        let payload = {};
-        switch (eventType) {
-            case 'WORKFLOW_STARTED':
-                payload = { initiator: parsedArgs[1] };
-                break;
-            case 'DECISION_RECORDED':
-                payload = { approved: parsedArgs[1], reason: parsedArgs[2] };
-                break;
-            case 'PAYMENT_EXECUTED':
-                payload = { to: parsedArgs[1], amount: parsedArgs[2].toString() };
-                break;
-            case 'WORKFLOW_COMPLETED':
-                payload = {};
-                break;
-            case 'WORKFLOW_FAILED':
-                payload = { reason: parsedArgs[1] };
-                break;
-        }
+    const workflowId = parsedArgs.getValue(definitionEvent.workflowIdArg).toString();
 
-        // Prepare event data
-        const eventData = {
-            workflowId,
-            eventType,
-            payload,
-            blockNumber: BigInt(log.blockNumber),
-            transactionIndex: receipt.index,
-            logIndex: log.index,
-            txHash: log.transactionHash,
-            blockHash: log.blockHash,
-            blockTimestamp: BigInt(block.timestamp),
-        };
+    // Transaction index for ordering metadata (receipt fallback)
+    let transactionIndex = log.transactionIndex;
+    if (transactionIndex === undefined || transactionIndex === null) {
+        const receipt = await getReceiptCached(source.chainId, log.transactionHash, rpcStats);
+        transactionIndex = receipt.index;
+    } else if (rpcStats) {
+        rpcStats.saved.getTransactionReceipt++;
+    }
 
-        // Store in ChainEvent table (idempotent due to unique constraint)
-        await prisma.chainEvent.upsert({
-            where: {
-                txHash_logIndex: {
-                    txHash: eventData.txHash,
-                    logIndex: eventData.logIndex,
-                },
-            },
-            update: {}, // No-op if already exists
-            create: eventData,
-        });
+    // Fetch block for timestamp
+    const block = await getBlockCached(source.chainId, log.blockNumber, rpcStats);
 
-        logger.info('Event persisted', {
-            workflowId,
-            eventType,
-            blockNumber: log.blockNumber,
-            txHash: eventData.txHash,
-        });
+    // Payload fields declared by the definition (BigInts stored as strings)
+    const payload = {};
+    for (const [field, arg] of Object.entries(definitionEvent.payload)) {
+        payload[field] = toJsonValue(parsedArgs.getValue(arg));
+    }
 
-        // Fetch current workflow state
-        let workflowState = await prisma.workflowState.findUnique({
-            where: { workflowId },
-        });
+    return {
+        chainId: source.chainId,
+        contractAddress: source.contractAddress,
+        workflowId,
+        eventType,
+        payload,
+        blockNumber: BigInt(log.blockNumber),
+        transactionIndex,
+        logIndex: log.index,
+        txHash: log.transactionHash,
+        blockHash: log.blockHash,
+        blockTimestamp: BigInt(block.timestamp),
+    };
+}
 
-        // Apply reducer to update state
-        const newState = reduceWorkflow(workflowState, eventData);
-
-        if (newState) {
-            // Update WorkflowState
-            await prisma.workflowState.upsert({
-                where: { workflowId },
-                update: {
-                    status: newState.status,
-                    initiator: newState.initiator,
-                    startedAt: newState.startedAt,
-                    completedAt: newState.completedAt,
-                    failureReason: newState.failureReason,
-                    lastEventBlock: newState.lastEventBlock,
-                    lastEventLogIndex: newState.lastEventLogIndex,
-                },
-                create: {
-                    workflowId,
-                    status: newState.status,
-                    initiator: newState.initiator,
-                    startedAt: newState.startedAt,
-                    completedAt: newState.completedAt,
-                    failureReason: newState.failureReason,
-                    lastEventBlock: newState.lastEventBlock,
-                    lastEventLogIndex: newState.lastEventLogIndex,
-                },
-            });
+/**
+ * Fetch a chunk's logs for every event in the source's definition
+ * One OR-topic getLogs per chunk: topic0 matches any event in the definition
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {Object} chunker - Adaptive chunker of the active endpoint
+ * @param {Object} chunk - { from, to } block range
+ * @param {Object} rpcStats - Per-poll RPC counters
+ * @returns {Promise<Array|null>} Logs in canonical order, null if the range was too
+ *   large and the chunker shrank it (retry the same start block)
+ */
+async function fetchChunkLogs(source, chunker, chunk, rpcStats) {
+    const eventTypes = getSourceDefinition(source).events;
+    let logs;
 
-            logger.info('Workflow state updated', {
-                workflowId,
-                status: newState.status,
-            });
+    try {
+        logs = await getProvider(source.chainId).getLogs({
+            address: source.contractAddress,
+            topics: [eventTypes.map(t => t.topicHash)],
+            fromBlock: chunk.from,
+            toBlock: chunk.to,
+        });
+        rpcStats.calls.getLogs++;
+        rpcStats.saved.getLogs += eventTypes.length - 1;
+        chunker.onSuccess();
+    } catch (error) {
+        rpcStats.calls.getLogs++;
+
+        if (isRangeError(error) && chunker.onRangeError(error, chunk.from, chunk.to)) {
+            return null;
         }
+        throw error;
+    }
 
-    } catch (error) {
-        // Ignore duplicate key errors (idempotency)
-        if (error.code === 'P2002') {
-            logger.debug('Event already processed (duplicate)', {
+    if (logs.length > 0) {
+        logger.debug(`Found ${logs.length} events in blocks ${chunk.from}-${chunk.to}`);
+    }
+
+    // Canonical order (block, txIndex, logIndex) before fetching metadata
+    return logs.sort((a, b) =>
+        a.blockNumber - b.blockNumber ||
+        a.transactionIndex - b.transactionIndex ||
+        a.index - b.index
+    );
+}
+
+/**
+ * Parse a chunk's logs into ChainEvent data
+ * Logs that fail are dead-lettered (by default) so advancing the checkpoint does not lose them
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {Array} logs - From fetchChunkLogs
+ * @param {Object} rpcStats - Per-poll RPC counters
+ * @param {Function} onFailure - async (log, eventType, error) for a log that failed (optional)
+ * @returns {Promise<Array>} Event data for the logs that parsed
+ */
+async function buildChunkEvents(source, logs, rpcStats, onFailure = null) {
+    const contract = getContract(source);
+    const typeByTopic = new Map(getSourceDefinition(source).events.map(t => [t.topicHash, t.type]));
+    const events = [];
+
+    for (const log of logs) {
+        const name = typeByTopic.get(log.topics[0]);
+
+        try {
+            const parsed = contract.interface.parseLog(log);
+            events.push(await buildEventData(source, log, name, parsed.args, rpcStats));
+        } catch (error) {
+            if (onFailure) {
+                await onFailure(log, name, error);
+                continue;
+            }
+
+            logger.error('Error processing event', {
+                ...sourceWhere(source),
+                eventType: name,
                 txHash: log.transactionHash,
-                logIndex: log.logIndex,
+                error: error.message,
             });
-            return;
+            await recordDeadLetter(source, log, name, error);
         }
+    }
 
-        logger.error('Error processing event', {
-            eventType,
-            error: error.message,
-            stack: error.stack,
+    return events;
+}
+
+/**
+ * Retry a single dead-lettered event
+ * On success the workflow is replayed so the late event lands in canonical order
+ * @param {Object} deadLetter - DeadLetterEvent row
+ * @returns {Promise<boolean>} True if the retry succeeded
+ */
+export async function retryDeadLetter(deadLetter) {
+    const source = {
+        chainId: deadLetter.chainId,
+        contractAddress: deadLetter.contractAddress,
+    };
+    const log = deadLetter.rawLog;
+
+    try {
+        const contract = getContract(source);
+        const parsed = contract.interface.parseLog(log);
+        const eventData = await buildEventData(source, log, deadLetter.eventType, parsed.args);
+
+        await commitEvents(source, [eventData]);
+        await replayWorkflow(source, eventData.workflowId);
+
+        await resolveDeadLetter(deadLetter.id);
+
+        logger.info('Dead letter reprocessed', {
+            ...source,
+            id: deadLetter.id,
+            txHash: deadLetter.txHash,
+            logIndex: deadLetter.logIndex,
         });
+        return true;
+    } catch (error) {
+        await recordDeadLetter(source, log, deadLetter.eventType, error);
+        return false;
+    }
+}
+
+/**
+ * Retry a source's dead letters whose backoff has elapsed
+ * @param {Object} source - { chainId, contractAddress }
+ */
+async function retryDueDeadLetters(source) {
+    const due = await getDueDeadLetters(source);
+
+    if (due.length === 0) {
+        return;
+    }
+
+    logger.info('Retrying dead-lettered events', { ...sourceWhere(source), count: due.length });
+
+    for (const deadLetter of due) {
+        await retryDeadLetter(deadLetter);
     }
 }
 
 /**
- * Poll for new events
+ * Re-evaluate stalled workflows as of the source's last processed block
+ * Also records the block's timestamp for the ingestion lag metric
+ * @param {Object} poller - Source poll state
+ * @param {number} lastProcessedBlock - Checkpoint block
+ * @param {Object} rpcStats - Per-poll RPC counters (optional)
  */
-async function pollEvents() {
+async function checkSlas(poller, lastProcessedBlock, rpcStats = null) {
+    const { source } = poller;
+    if (lastProcessedBlock < source.startBlock) {
+        return;
+    }
+
+    const block = await getBlockCached(source.chainId, lastProcessedBlock, rpcStats);
+    if (block) {
+        poller.checkpointTimestamp = Number(block.timestamp);
+        await checkStalledWorkflows(source, block.timestamp);
+    }
+}
+
+/**
+ * Poll a source for new events
+ * Processes at most MAX_BLOCKS_PER_POLL blocks so a long backfill yields to
+ * reorg checks, dead-letter retries and status updates between polls
+ * @param {Object} poller - Source poll state
+ * @returns {Promise<Object|null>} { lagBlocks } on success, null if the poll failed
+ */
+async function pollEvents(poller) {
+    const { source } = poller;
     const prisma = getPrismaClient();
-    const provider = getProvider();
-    const contract = getContract();
+    const provider = getProvider(source.chainId);
+    const { confirmationBlocks } = config.chains[source.chainId];
 
     try {
         // Get current block number
         const latestBlock = await provider.getBlockNumber();
 
-        // Get last processed block from database
-        const systemState = await prisma.systemState.findUnique({ where: { id: 1 } });
-        const lastProcessedBlock = systemState ? Number(systemState.lastProcessedBlock) : config.blockStart;
+        // Get the source's last processed block from database
+        const systemState = await prisma.systemState.findUnique({
+            where: { chainId_contractAddress: sourceWhere(source) },
+        });
+        let lastProcessedBlock = Math.max(
+            systemState ? Number(systemState.lastProcessedBlock) : 0,
+            source.startBlock - 1
+        );
+
+        // Re-check recent block hashes and roll back orphaned events
+        const reorg = await detectReorg(source, lastProcessedBlock, systemState?.lastProcessedBlockHash);
+        if (reorg) {
+            const recovery = await rollbackReorg(source, reorg, lastProcessedBlock);
+            lastProcessedBlock = recovery.newCheckpoint;
+        }
 
-        // Calculate safe block range (with confirmation depth)
-        const toBlock = latestBlock - config.confirmationBlocks;
+        // Retry previously failed events before ingesting new ones
+        await retryDueDeadLetters(source);
+
+        // Calculate safe block range (with confirmation depth), capped per poll
+        const safeBlock = latestBlock - confirmationBlocks;
         const fromBlock = lastProcessedBlock + 1;
+        const toBlock = Math.min(safeBlock, lastProcessedBlock + config.maxBlocksPerPoll);
 
         // Skip if no new confirmed blocks
         if (fromBlock > toBlock) {
             logger.debug('No new confirmed blocks to process', {
+                ...sourceWhere(source),
                 lastProcessedBlock,
                 latestBlock,
-                confirmationBlocks: config.confirmationBlocks,
+                confirmationBlocks,
             });
-            return;
-        }
-
-        // RPC providers often have block range limits (e.g., 2000 blocks)
-        // Chunk the range to avoid errors
-        const MAX_BLOCK_RANGE = 2000;
-        const chunks = [];
 
-        for (let start = fromBlock; start <= toBlock; start += MAX_BLOCK_RANGE) {
-            const end = Math.min(start + MAX_BLOCK_RANGE - 1, toBlock);
-            chunks.push({ from: start, to: end });
+            await rebuildPendingReorgs(source);
+            await checkSlas(poller, lastProcessedBlock);
+            return recordPollSuccess(poller, Math.max(safeBlock - lastProcessedBlock, 0));
         }
 
+        // RPC providers limit getLogs ranges; the chunker adapts to each provider
+        const chunker = getChunker(provider.getActiveUrl());
+
         logger.info('Polling for events', {
+            ...sourceWhere(source),
             fromBlock,
             toBlock,
             totalRange: toBlock - fromBlock + 1,
-            chunks: chunks.length,
+            chunkRange: chunker.range,
         });
 
-        // Query logs for all event types
-        const eventTypes = [
-            { name: 'WORKFLOW_STARTED', event: Events.WORKFLOW_STARTED },
-            { name: 'DECISION_RECORDED', event: Events.DECISION_RECORDED },
-            { name: 'PAYMENT_EXECUTED', event: Events.PAYMENT_EXECUTED },
-            { name: 'WORKFLOW_COMPLETED', event: Events.WORKFLOW_COMPLETED },
-            { name: 'WORKFLOW_FAILED', event: Events.WORKFLOW_FAILED },
-        ];
-
+        const rpcStats = createRpcStats();
         let totalLogs = 0;
-
-        // Process each chunk
-        for (const chunk of chunks) {
-            for (const { name, event } of eventTypes) {
-                const filter = contract.filters[event]();
-                const logs = await provider.getLogs({
-                    address: config.contractAddress,
-                    topics: filter.topics,
-                    fromBlock: chunk.from,
-                    toBlock: chunk.to,
-                });
-
-                if (logs.length > 0) {
-                    logger.debug(`Found ${logs.length} ${name} events in blocks ${chunk.from}-${chunk.to}`);
-                }
-
-                for (const log of logs) {
-                    const parsed = contract.interface.parseLog(log);
-                    await processAndPersistEvent(log, name, parsed.args);
-                    totalLogs++;
-                }
+        let totalReverts = 0;
+        let chunkCount = 0;
+        let chunkStart = fromBlock;
+
+        // Process each chunk; events, state and checkpoint commit together per chunk
+        while (chunkStart <= toBlock) {
+            const chunk = {
+                from: chunkStart,
+                to: Math.min(chunkStart + chunker.range - 1, toBlock),
+            };
+
+            const logs = await fetchChunkLogs(source, chunker, chunk, rpcStats);
+            if (logs === null) {
+                // Retry the same start block with a smaller range
+                continue;
             }
-        }
 
-        // Update last processed block
-        if (totalLogs > 0 || toBlock > lastProcessedBlock) {
-            await prisma.systemState.update({
-                where: { id: 1 },
-                data: { lastProcessedBlock: BigInt(toBlock) },
-            });
+            const chunkEvents = await buildChunkEvents(source, logs, rpcStats);
+            totalLogs += logs.length;
 
-            logger.info('Polling complete', {
-                eventsProcessed: totalLogs,
-                lastProcessedBlock: toBlock,
-            });
+            // Failed transactions emit no logs; find them in the chunk's blocks
+            const revertedAttempts = config.captureReverts
+                ? await scanRevertedTransactions(source, chunk.from, chunk.to, rpcStats)
+                : [];
+            totalReverts += revertedAttempts.length;
+
+            // Hash of the chunk's last block, stored with the checkpoint for reorg detection
+            const checkpointBlock = await getBlockCached(source.chainId, chunk.to, rpcStats);
+
+            await commitEvents(source, chunkEvents, {
+                blockNumber: chunk.to,
+                blockHash: checkpointBlock ? checkpointBlock.hash : null,
+            }, revertedAttempts);
+
+            chunkStart = chunk.to + 1;
+            chunkCount++;
         }
 
+        const rpcSummary = summarizeRpcStats(rpcStats);
+        poller.lastPoll = {
+            fromBlock,
+            toBlock,
+            chunks: chunkCount,
+            eventsProcessed: totalLogs,
+            revertedAttempts: totalReverts,
+            rpcCalls: rpcSummary.calls,
+            rpcCallsSaved: rpcSummary.saved,
+            rpcByMethod: rpcSummary.byMethod,
+        };
+
+        logger.info('Polling complete', {
+            ...sourceWhere(source),
+            eventsProcessed: totalLogs,
+            revertedAttempts: totalReverts,
+            lastProcessedBlock: toBlock,
+            lagBlocks: safeBlock - toBlock,
+            rpcCalls: rpcSummary.calls,
+            rpcCallsSaved: rpcSummary.saved,
+        });
+
+        // Rebuild workflows touched by a reorg now that the range is re-ingested
+        await rebuildPendingReorgs(source);
+
+        // Periodic reducer snapshot so restarts only replay recent events
+        await maybeTakeSnapshot(source, toBlock);
+
+        // Periodic state digest (GET /checkpoints), outside the chunk transactions
+        await maybeRecordDigest(source, toBlock);
+
+        await checkSlas(poller, toBlock, rpcStats);
+
+        return recordPollSuccess(poller, safeBlock - toBlock);
+
     } catch (error) {
+        poller.lastPollError = { at: new Date().toISOString(), message: error.message };
         logger.error('Error during polling', {
+            ...sourceWhere(source),
             error: error.message,
             stack: error.stack,
         });
+        return null;
+    }
+}
+
+/**
+ * Update lag / last-success status after a completed poll
+ * @param {Object} poller - Source poll state
+ * @param {number} lag - Confirmed blocks still to process
+ * @returns {Object} { lagBlocks }
+ */
+function recordPollSuccess(poller, lag) {
+    poller.lagBlocks = lag;
+    poller.lastSuccessfulPollAt = new Date().toISOString();
+    poller.lastPollError = null;
+    return { lagBlocks: lag };
+}
+
+/**
+ * Re-scan an already processed block range and ingest any events missing from it
+ * Events already stored are skipped (commitEvents is idempotent); the checkpoint
+ * does not move. Workflows that gained events are replayed afterwards so the late
+ * events land in canonical order, as for dead-letter retries.
+ * The listener should be paused while this runs (see admin/jobs.js).
+ * @param {Object} source - Configured source
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block (at most the source's checkpoint)
+ * @param {Function} onProgress - Called with progress after each chunk and rebuild (optional)
+ * @returns {Promise<Object>} Backfill statistics
+ */
+export async function backfillRange(source, fromBlock, toBlock, onProgress = () => {}) {
+    const chunker = getChunker(getProvider(source.chainId).getActiveUrl());
+    const rpcStats = createRpcStats();
+    const touched = new Set();
+    const stats = {
+        fromBlock,
+        toBlock,
+        scannedToBlock: fromBlock - 1,
+        logsFound: 0,
+        eventsInserted: 0,
+        duplicates: 0,
+        revertedAttempts: 0,
+        workflowsRebuilt: 0,
+        workflowsToRebuild: 0,
+    };
+
+    logger.info('Backfill started', { ...sourceWhere(source), fromBlock, toBlock });
+
+    let chunkStart = fromBlock;
+    while (chunkStart <= toBlock) {
+        const chunk = {
+            from: chunkStart,
+            to: Math.min(chunkStart + chunker.range - 1, toBlock),
+        };
+
+        const logs = await fetchChunkLogs(source, chunker, chunk, rpcStats);
+        if (logs === null) {
+            continue;
+        }
+
+        const chunkEvents = await buildChunkEvents(source, logs, rpcStats);
+        const revertedAttempts = config.captureReverts
+            ? await scanRevertedTransactions(source, chunk.from, chunk.to, rpcStats)
+            : [];
+
+        const result = await commitEvents(source, chunkEvents, null, revertedAttempts);
+        for (const change of result.changes) {
+            touched.add(change.event.workflowId);
+        }
+
+        stats.scannedToBlock = chunk.to;
+        stats.logsFound += logs.length;
+        stats.eventsInserted += result.inserted;
+        stats.duplicates += result.duplicates;
+        stats.revertedAttempts += result.attemptsInserted;
+        stats.workflowsToRebuild = touched.size;
+        onProgress({ ...stats });
+
+        chunkStart = chunk.to + 1;
+    }
+
+    for (const workflowId of touched) {
+        await replayWorkflow(source, workflowId);
+        stats.workflowsRebuilt++;
+        onProgress({ ...stats });
+    }
+
+    const rpcSummary = summarizeRpcStats(rpcStats);
+    logger.info('Backfill complete', {
+        ...sourceWhere(source),
+        ...stats,
+        rpcCalls: rpcSummary.calls,
+    });
+
+    return { ...stats, rpcCalls: rpcSummary.calls };
+}
+
+/**
+ * Fetch and decode a block range's events from the chain without storing anything
+ * Events are built exactly as ingestion builds them (see buildEventData); logs
+ * that fail to decode are returned instead of being dead-lettered.
+ * @param {Object} source - Configured source
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @param {Function} onProgress - Called with { scannedToBlock, logsFound } after each chunk (optional)
+ * @returns {Promise<Object>} { events, failures: [{ log, eventType, error }], rpcCalls }
+ */
+export async function fetchRangeEvents(source, fromBlock, toBlock, onProgress = () => {}) {
+    const chunker = getChunker(getProvider(source.chainId).getActiveUrl());
+    const rpcStats = createRpcStats();
+    const events = [];
+    const failures = [];
+    let logsFound = 0;
+
+    let chunkStart = fromBlock;
+    while (chunkStart <= toBlock) {
+        const chunk = {
+            from: chunkStart,
+            to: Math.min(chunkStart + chunker.range - 1, toBlock),
+        };
+
+        const logs = await fetchChunkLogs(source, chunker, chunk, rpcStats);
+        if (logs === null) {
+            continue;
+        }
+
+        events.push(...await buildChunkEvents(source, logs, rpcStats, async (log, eventType, error) => {
+            failures.push({ log, eventType, error: error.message });
+        }));
+        logsFound += logs.length;
+        onProgress({ scannedToBlock: chunk.to, logsFound });
+
+        chunkStart = chunk.to + 1;
     }
+
+    return { events, failures, rpcCalls: summarizeRpcStats(rpcStats).calls };
+}
+
+/**
+ * Schedule a source's next poll
+ * @param {Object} poller - Source poll state
+ * @param {number} delayMs - Delay before polling
+ */
+function scheduleNextPoll(poller, delayMs) {
+    if (!isListening) {
+        return;
+    }
+
+    poller.timer = setTimeout(() => runPollLoop(poller), delayMs);
+}
+
+/**
+ * Run one poll for a source, then schedule its next
+ * While behind the head the next poll starts immediately (backfill at full
+ * speed); once caught up, or after an error, it waits POLL_INTERVAL_MS
+ * @param {Object} poller - Source poll state
+ */
+async function runPollLoop(poller) {
+    poller.timer = null;
+    poller.isPolling = true;
+
+    const observeDuration = pollDuration.startTimer({
+        chain_id: poller.source.chainId,
+        contract: poller.source.contractAddress,
+    });
+
+    let result = null;
+    try {
+        result = await pollEvents(poller);
+    } finally {
+        poller.isPolling = false;
+        observeDuration({ outcome: result === null ? 'error' : 'success' });
+    }
+
+    const behind = result !== null && result.lagBlocks > 0;
+    scheduleNextPoll(poller, behind ? 0 : config.pollIntervalMs);
 }
 
 /**
@@ -262,21 +629,22 @@ export function startEventListener() {
         return;
     }
 
-    // Start polling loop
-    pollingInterval = setInterval(pollEvents, config.pollIntervalMs);
     isListening = true;
 
     logger.info('Event listener started (polling mode)', {
-        contractAddress: config.contractAddress,
-        confirmationBlocks: config.confirmationBlocks,
+        sources: config.sources.map(source => `${sourceKey(source)} (${source.definitionId})`),
         pollIntervalMs: config.pollIntervalMs,
-        events: Object.values(Events),
+        maxBlocksPerPoll: config.maxBlocksPerPoll,
+        captureReverts: config.captureReverts,
     });
 
-    // Run initial poll immediately
-    pollEvents().catch(error => {
-        logger.error('Initial poll failed', { error: error.message });
-    });
+    // Run each source's initial poll immediately; each poll schedules the next
+    // (a poll still finishing from before a stop schedules its own)
+    for (const poller of pollers.values()) {
+        if (!poller.isPolling) {
+            scheduleNextPoll(poller, 0);
+        }
+    }
 }
 
 /**
@@ -288,25 +656,92 @@ export function stopEventListener() {
         return;
     }
 
-    if (pollingInterval) {
-        clearInterval(pollingInterval);
-        pollingInterval = null;
+    // A poll already in progress finishes but does not schedule another
+    for (const poller of pollers.values()) {
+        if (poller.timer) {
+            clearTimeout(poller.timer);
+            poller.timer = null;
+        }
     }
 
     isListening = false;
     logger.info('Event listener stopped');
 }
 
+/**
+ * Run a single poll for a source outside the poll loop (e.g. against a replayed
+ * RPC fixture); the listener must not be running
+ * @param {Object} source - Configured source
+ * @returns {Promise<Object|null>} { lagBlocks } on success, null if the poll failed
+ */
+export async function pollSourceOnce(source) {
+    if (isListening) {
+        throw new Error('Event listener is running');
+    }
+
+    const poller = pollers.get(sourceKey(source));
+    if (!poller) {
+        throw new Error(`Unknown source ${sourceKey(source)}`);
+    }
+
+    poller.isPolling = true;
+    try {
+        return await pollEvents(poller);
+    } finally {
+        poller.isPolling = false;
+    }
+}
+
+/**
+ * Wait until no source is mid-poll (after stopEventListener, a poll in progress finishes)
+ * @param {number} timeoutMs - Give up after this long
+ * @returns {Promise<boolean>} True once idle, false on timeout
+ */
+export async function waitForListenerIdle(timeoutMs = 60000) {
+    const deadline = Date.now() + timeoutMs;
+
+    while ([...pollers.values()].some(poller => poller.isPolling)) {
+        if (Date.now() >= deadline) {
+            return false;
+        }
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    return true;
+}
+
 /**
  * Get listener status
+ * @param {Object} filter - Source filter from parseSourceFilter (optional)
  */
-export function getListenerStatus() {
+export function getListenerStatus(filter = {}) {
+    const sources = [...pollers.values()]
+        .filter(poller => matchesSourceFilter(poller.source, filter))
+        .map(poller => ({
+            chainId: poller.source.chainId,
+            contractAddress: poller.source.contractAddress,
+            startBlock: poller.source.startBlock,
+            definition: poller.source.definitionId,
+            events: getSourceDefinition(poller.source).events.map(event => event.abiEvent),
+            confirmationBlocks: config.chains[poller.source.chainId].confirmationBlocks,
+            isPolling: poller.isPolling,
+            lagBlocks: poller.lagBlocks,
+            checkpointTimestamp: poller.checkpointTimestamp,
+            caughtUp: poller.lagBlocks === null ? null : poller.lagBlocks === 0,
+            lastSuccessfulPollAt: poller.lastSuccessfulPollAt,
+            lastPollError: poller.lastPollError,
+            lastPoll: poller.lastPoll,
+        }));
+
     return {
         isListening,
         mode: 'polling',
-        contractAddress: config.contractAddress,
-        confirmationBlocks: config.confirmationBlocks,
+        reorgCheckDepth: config.reorgCheckDepth,
         pollIntervalMs: config.pollIntervalMs,
-        events: Object.values(Events),
+        maxBlocksPerPoll: config.maxBlocksPerPoll,
+        captureReverts: config.captureReverts,
+        sources,
+        chunking: getChunkerStatus(),
+        cache: getCacheStatus(),
     };
 }
@@ -1,73 +1,478 @@
 /**
  * Blockchain provider setup
- * Creates and exports ethers.js provider instance
+ * Creates one failover provider per chain over one or more RPC endpoints
  * Supports both WebSocket and HTTP JSON-RPC
+ *
+ * RPC_URLS_<chainId> (comma-separated) lists a chain's endpoints; RPC_URLS,
+ * then RPC_URL, are used when unset.
+ * Each endpoint gets a health score from:
+ * - error rate over the last RPC_HEALTH_WINDOW calls
+ * - latency (exponentially weighted moving average)
+ * - head-block lag behind the most advanced endpoint
+ * Calls go to the healthiest endpoint and fail over to the next on error.
+ * Endpoints that fail repeatedly are put in a short cooldown.
+ *
+ * RPC_FIXTURE_MODE=record / replay records endpoint responses to a file or serves
+ * them back instead of the endpoints (see fixtures.js).
  */
 
 import { ethers } from 'ethers';
 import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
+import { rpcRequests, rpcErrors } from '../utils/metrics.js';
+import { isRangeError } from './chunker.js';
+import { FixtureProvider, recordResponses } from './fixtures.js';
 
-let provider = null;
+// Weight of the newest sample in the latency moving average
+const LATENCY_EWMA_ALPHA = 0.3;
 
-export function getProvider() {
-    if (provider) {
-        return provider;
-    }
+// Latency at which the latency component of the score halves
+const LATENCY_HALF_SCORE_MS = 500;
+
+// FailoverProvider per chain ID
+const providers = new Map();
 
+/**
+ * Strip credentials and paths (API keys) from an RPC URL for logs and APIs
+ * @param {string} url - RPC URL
+ * @returns {string}
+ */
+export function redactUrl(url) {
     try {
-        // Determine provider type based on RPC URL
-        if (config.rpcUrl.startsWith('ws')) {
-            provider = new ethers.WebSocketProvider(config.rpcUrl);
-            logger.info('WebSocket provider initialized', { url: config.rpcUrl });
-        } else {
-            provider = new ethers.JsonRpcProvider(config.rpcUrl);
-            logger.info('JSON-RPC provider initialized', { url: config.rpcUrl });
-        }
+        const parsed = new URL(url);
+        return `${parsed.protocol}//${parsed.host}`;
+    } catch {
+        return 'invalid-url';
+    }
+}
+
+/**
+ * Errors caused by the request itself (bad range, revert) rather than the
+ * endpoint - failing over would just repeat them
+ * @param {Error} error - Provider error
+ * @returns {boolean}
+ */
+function isRequestError(error) {
+    return isRangeError(error) || error?.code === 'CALL_EXCEPTION' || error?.code === 'INVALID_ARGUMENT';
+}
+
+/**
+ * Create the underlying ethers provider for a URL (or the fixture replay provider)
+ * @param {string} url - RPC URL
+ * @param {number} chainId - Chain the endpoint serves
+ * @returns {ethers.AbstractProvider}
+ */
+function createEthersProvider(url, chainId) {
+    if (config.rpcFixtureMode === 'replay') {
+        logger.info('Replaying recorded RPC responses', { url: redactUrl(url), file: config.rpcFixtureFile });
+        return new FixtureProvider(chainId);
+    }
+
+    const provider = createNetworkProvider(url, chainId);
+    return config.rpcFixtureMode === 'record' ? recordResponses(provider, chainId) : provider;
+}
+
+/**
+ * Create the ethers provider that talks to a URL
+ * @param {string} url - RPC URL
+ * @param {number} chainId - Chain the endpoint serves
+ * @returns {ethers.AbstractProvider}
+ */
+function createNetworkProvider(url, chainId) {
+    // Static network: a dead endpoint must fail its calls, not stall in network detection
+    const network = ethers.Network.from(chainId);
+
+    // Determine provider type based on RPC URL
+    if (url.startsWith('ws')) {
+        const wsProvider = new ethers.WebSocketProvider(url, network);
+        logger.info('WebSocket provider initialized', { url: redactUrl(url) });
 
         // Set up connection event handlers
-        if (provider.websocket) {
-            provider.websocket.on('open', () => {
-                logger.info('WebSocket connection opened');
+        if (wsProvider.websocket) {
+            wsProvider.websocket.on('open', () => {
+                logger.info('WebSocket connection opened', { url: redactUrl(url) });
+            });
+
+            wsProvider.websocket.on('close', (code) => {
+                logger.warn('WebSocket connection closed', { url: redactUrl(url), code });
             });
 
-            provider.websocket.on('close', (code) => {
-                logger.warn('WebSocket connection closed', { code });
+            wsProvider.websocket.on('error', (error) => {
+                logger.error('WebSocket error', { url: redactUrl(url), error: error.message });
             });
+        }
+
+        return wsProvider;
+    }
+
+    const httpProvider = new ethers.JsonRpcProvider(url, network, { staticNetwork: network });
+    logger.info('JSON-RPC provider initialized', { url: redactUrl(url) });
+    return httpProvider;
+}
+
+/**
+ * Reject a provider call that does not settle within RPC_TIMEOUT_MS
+ * @param {Promise} promise - Provider call
+ * @param {string} method - Method name (for the error)
+ * @returns {Promise}
+ */
+function withTimeout(promise, method) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            reject(new Error(`RPC ${method} timed out after ${config.rpcTimeoutMs}ms`));
+        }, config.rpcTimeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * A single RPC endpoint with health tracking
+ */
+class RpcEndpoint {
+    constructor(url, chainId) {
+        this.url = url;
+        this.provider = createEthersProvider(url, chainId);
+        this.latencyMs = null;
+        this.outcomes = []; // true = success, false = error (sliding window)
+        this.consecutiveFailures = 0;
+        this.cooldownUntil = 0;
+        this.headBlock = null;
+        this.lastError = null;
+        this.lastErrorAt = null;
+        this.calls = 0;
+        this.errors = 0;
+    }
+
+    recordSuccess(latencyMs) {
+        this.calls++;
+        this.latencyMs = this.latencyMs === null
+            ? latencyMs
+            : LATENCY_EWMA_ALPHA * latencyMs + (1 - LATENCY_EWMA_ALPHA) * this.latencyMs;
+        this.consecutiveFailures = 0;
+        this.pushOutcome(true);
+    }
+
+    recordFailure(error) {
+        this.calls++;
+        this.errors++;
+        this.consecutiveFailures++;
+        // Error messages can echo the request URL (and its API key)
+        this.lastError = (error.message || '').split(this.url).join(redactUrl(this.url));
+        this.lastErrorAt = new Date().toISOString();
+        this.pushOutcome(false);
+
+        if (this.consecutiveFailures >= config.rpcFailureThreshold) {
+            this.cooldownUntil = Date.now() + config.rpcCooldownMs;
+            logger.warn('RPC endpoint in cooldown', {
+                url: redactUrl(this.url),
+                consecutiveFailures: this.consecutiveFailures,
+                cooldownMs: config.rpcCooldownMs,
+            });
+        }
+    }
+
+    pushOutcome(ok) {
+        this.outcomes.push(ok);
+        if (this.outcomes.length > config.rpcHealthWindow) {
+            this.outcomes.shift();
+        }
+    }
+
+    get errorRate() {
+        if (this.outcomes.length === 0) {
+            return 0;
+        }
+        return this.outcomes.filter(ok => !ok).length / this.outcomes.length;
+    }
+
+    isCoolingDown(now = Date.now()) {
+        return this.cooldownUntil > now;
+    }
+
+    /**
+     * Health score in [0, 1] (higher is healthier)
+     * @param {number|null} maxHead - Highest head block across endpoints
+     * @returns {number}
+     */
+    score(maxHead) {
+        const errorScore = 1 - this.errorRate;
+        const latencyScore = this.latencyMs === null
+            ? 1
+            : 1 / (1 + this.latencyMs / LATENCY_HALF_SCORE_MS);
+
+        const lag = this.lag(maxHead);
+        const lagScore = lag === null ? 1 : Math.max(0, 1 - lag / config.rpcMaxLagBlocks);
+
+        return 0.5 * errorScore + 0.3 * latencyScore + 0.2 * lagScore;
+    }
+
+    lag(maxHead) {
+        if (maxHead === null || this.headBlock === null) {
+            return null;
+        }
+        return maxHead - this.headBlock;
+    }
+}
+
+/**
+ * Provider facade that routes each call to the healthiest endpoint
+ * Exposes the subset of the ethers provider API used by the backend
+ */
+class FailoverProvider {
+    constructor(chainId, urls) {
+        this.chainId = chainId;
+        this.endpoints = urls.map(url => new RpcEndpoint(url, chainId));
+        this.healthTimer = null;
+    }
 
-            provider.websocket.on('error', (error) => {
-                logger.error('WebSocket error', { error: error.message });
+    maxHead() {
+        const heads = this.endpoints.map(e => e.headBlock).filter(h => h !== null);
+        return heads.length > 0 ? Math.max(...heads) : null;
+    }
+
+    /**
+     * Endpoints ordered by preference: available before cooling down, then by score
+     * @returns {Array<RpcEndpoint>}
+     */
+    rankedEndpoints() {
+        const now = Date.now();
+        const maxHead = this.maxHead();
+
+        return [...this.endpoints].sort((a, b) => {
+            const coolingA = a.isCoolingDown(now);
+            const coolingB = b.isCoolingDown(now);
+            if (coolingA !== coolingB) {
+                return coolingA ? 1 : -1;
+            }
+            return b.score(maxHead) - a.score(maxHead);
+        });
+    }
+
+    /**
+     * URL of the endpoint the next call will use
+     * @returns {string}
+     */
+    getActiveUrl() {
+        return this.rankedEndpoints()[0].url;
+    }
+
+    /**
+     * Run a provider method with failover across endpoints
+     * @param {string} method - ethers provider method name
+     * @param {Array} args - Method arguments
+     * @returns {Promise<any>}
+     */
+    async execute(method, args) {
+        let lastError = null;
+
+        const labels = { chain_id: this.chainId, method };
+
+        for (const endpoint of this.rankedEndpoints()) {
+            const start = Date.now();
+            rpcRequests.inc(labels);
+
+            try {
+                const result = await withTimeout(endpoint.provider[method](...args), method);
+                endpoint.recordSuccess(Date.now() - start);
+
+                if (method === 'getBlockNumber') {
+                    endpoint.headBlock = result;
+                }
+
+                return result;
+            } catch (error) {
+                rpcErrors.inc(labels);
+
+                if (isRequestError(error)) {
+                    // The endpoint answered; the request itself is the problem
+                    endpoint.recordSuccess(Date.now() - start);
+                    throw error;
+                }
+
+                endpoint.recordFailure(error);
+                lastError = error;
+
+                logger.warn('RPC call failed - failing over', {
+                    chainId: this.chainId,
+                    method,
+                    url: redactUrl(endpoint.url),
+                    error: endpoint.lastError,
+                });
+            }
+        }
+
+        throw lastError;
+    }
+
+    getBlockNumber() {
+        return this.execute('getBlockNumber', []);
+    }
+
+    getBlock(blockHashOrTag, prefetchTxs) {
+        return this.execute('getBlock', prefetchTxs === undefined ? [blockHashOrTag] : [blockHashOrTag, prefetchTxs]);
+    }
+
+    getLogs(filter) {
+        return this.execute('getLogs', [filter]);
+    }
+
+    getTransaction(txHash) {
+        return this.execute('getTransaction', [txHash]);
+    }
+
+    getTransactionReceipt(txHash) {
+        return this.execute('getTransactionReceipt', [txHash]);
+    }
+
+    getNetwork() {
+        return this.execute('getNetwork', []);
+    }
+
+    call(tx) {
+        return this.execute('call', [tx]);
+    }
+
+    send(method, params) {
+        return this.execute('send', [method, params]);
+    }
+
+    /**
+     * Probe every endpoint's head block (updates latency, errors and lag)
+     */
+    async checkHealth() {
+        await Promise.all(this.endpoints.map(async (endpoint) => {
+            const start = Date.now();
+            try {
+                endpoint.headBlock = await withTimeout(endpoint.provider.getBlockNumber(), 'getBlockNumber');
+                endpoint.recordSuccess(Date.now() - start);
+            } catch (error) {
+                endpoint.recordFailure(error);
+            }
+        }));
+    }
+
+    startHealthChecks() {
+        // Probes would interleave extra eth_blockNumber calls with the recorded ones
+        if (this.healthTimer || this.endpoints.length < 2 || config.rpcFixtureMode) {
+            return;
+        }
+
+        this.healthTimer = setInterval(() => {
+            this.checkHealth().catch(error => {
+                logger.error('RPC health check failed', { error: error.message });
             });
+        }, config.rpcHealthIntervalMs);
+
+        // Do not keep short-lived processes alive just for health probes
+        this.healthTimer.unref?.();
+    }
+
+    stopHealthChecks() {
+        if (this.healthTimer) {
+            clearInterval(this.healthTimer);
+            this.healthTimer = null;
         }
+    }
+
+    /**
+     * Per-endpoint health for the /health/rpc route
+     * @returns {Array}
+     */
+    getHealth() {
+        const now = Date.now();
+        const maxHead = this.maxHead();
+        const activeUrl = this.getActiveUrl();
+
+        return this.endpoints.map(endpoint => ({
+            chainId: this.chainId,
+            url: redactUrl(endpoint.url),
+            active: endpoint.url === activeUrl,
+            score: Number(endpoint.score(maxHead).toFixed(3)),
+            latencyMs: endpoint.latencyMs === null ? null : Math.round(endpoint.latencyMs),
+            errorRate: Number(endpoint.errorRate.toFixed(3)),
+            headBlock: endpoint.headBlock,
+            lagBlocks: endpoint.lag(maxHead),
+            coolingDown: endpoint.isCoolingDown(now),
+            calls: endpoint.calls,
+            errors: endpoint.errors,
+            lastError: endpoint.lastError,
+            lastErrorAt: endpoint.lastErrorAt,
+        }));
+    }
+}
+
+/**
+ * Get (or create) the failover provider for a chain
+ * @param {number} chainId - Chain ID (must be a configured source chain)
+ * @returns {FailoverProvider}
+ */
+export function getProvider(chainId) {
+    if (providers.has(chainId)) {
+        return providers.get(chainId);
+    }
+
+    const chain = config.chains[chainId];
+    if (!chain) {
+        throw new Error(`No RPC endpoints configured for chain ${chainId}`);
+    }
+
+    try {
+        const provider = new FailoverProvider(chainId, chain.rpcUrls);
+        provider.startHealthChecks();
+        providers.set(chainId, provider);
+
+        logger.info('RPC failover provider initialized', {
+            chainId,
+            endpoints: chain.rpcUrls.map(redactUrl),
+        });
 
         return provider;
     } catch (error) {
-        logger.error('Failed to initialize provider', { error: error.message });
+        logger.error('Failed to initialize provider', { chainId, error: error.message });
         throw error;
     }
 }
 
-export async function getBlockNumber() {
+export async function getBlockNumber(chainId) {
     try {
-        const p = getProvider();
+        const p = getProvider(chainId);
         const blockNumber = await p.getBlockNumber();
         return blockNumber;
     } catch (error) {
-        logger.error('Failed to get block number', { error: error.message });
+        logger.error('Failed to get block number', { chainId, error: error.message });
         throw error;
     }
 }
 
-export async function getNetwork() {
+export async function getNetwork(chainId) {
     try {
-        const p = getProvider();
+        const p = getProvider(chainId);
         const network = await p.getNetwork();
         return {
             name: network.name,
             chainId: network.chainId.toString(),
         };
     } catch (error) {
-        logger.error('Failed to get network', { error: error.message });
+        logger.error('Failed to get network', { chainId, error: error.message });
         throw error;
     }
 }
+
+/**
+ * Per-endpoint RPC health across every configured chain
+ * @returns {Array}
+ */
+export function getRpcHealth() {
+    return Object.keys(config.chains).flatMap(chainId => getProvider(Number(chainId)).getHealth());
+}
+
+/**
+ * Stop background health probes (graceful shutdown)
+ */
+export function stopProvider() {
+    for (const provider of providers.values()) {
+        provider.stopHealthChecks();
+    }
+}
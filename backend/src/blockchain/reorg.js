@@ -0,0 +1,289 @@
+/**
+ * Reorg detection and rollback
+ * Re-checks canonical block hashes of a source's recently ingested blocks
+ *
+ * Detection:
+ * 1. Collect stored hashes for the last REORG_CHECK_DEPTH blocks
+ *    (ChainEvent.blockHash plus SystemState.lastProcessedBlockHash)
+ * 2. Compare the newest against the canonical hash from the provider; a match
+ *    vouches for every older block (a block hash commits to its ancestors)
+ * 3. On a mismatch, binary-search the stored hashes for the oldest mismatch;
+ *    everything after the last verified block is treated as forked
+ *
+ * Rollback:
+ * 1. Delete orphaned ChainEvent rows (plus unresolved dead letters, reverted
+ *    attempts, anomalies and undelivered webhooks) from forkBlock
+ * 2. Move lastProcessedBlock back to forkBlock - 1 and drop newer snapshots
+ *    and state digests
+ * 3. Record a ReorgAudit row describing what was undone
+ *
+ * The listener then re-ingests the range and rebuilds affected workflows.
+ * Each source is checked and rolled back independently.
+ */
+
+import { getPrismaClient } from '../db/db.js';
+import { replayWorkflow } from '../db/replay.js';
+import { invalidateSnapshotsFrom } from '../db/snapshot.js';
+import { invalidateDigestsFrom } from '../db/digest.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { sourceWhere } from '../utils/sources.js';
+import { getProvider } from './provider.js';
+import { invalidateCacheFrom } from './cache.js';
+
+/**
+ * Compare a source's stored block hashes against the canonical chain
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} lastProcessedBlock - Source's current checkpoint
+ * @param {string|null} lastProcessedBlockHash - Hash stored with the checkpoint
+ * @returns {Promise<Object|null>} Fork description, or null if no reorg
+ */
+export async function detectReorg(source, lastProcessedBlock, lastProcessedBlockHash) {
+    const prisma = getPrismaClient();
+    const provider = getProvider(source.chainId);
+
+    const windowStart = Math.max(lastProcessedBlock - config.reorgCheckDepth + 1, 0);
+
+    // Distinct (blockNumber, blockHash) pairs we have stored in the window
+    const storedBlocks = await prisma.chainEvent.findMany({
+        where: {
+            ...sourceWhere(source),
+            blockNumber: {
+                gte: BigInt(windowStart),
+                lte: BigInt(lastProcessedBlock),
+            },
+        },
+        select: { blockNumber: true, blockHash: true },
+        distinct: ['blockNumber', 'blockHash'],
+        orderBy: { blockNumber: 'asc' },
+    });
+
+    const checks = storedBlocks.map(b => ({
+        blockNumber: Number(b.blockNumber),
+        blockHash: b.blockHash,
+    }));
+
+    if (lastProcessedBlockHash) {
+        checks.push({ blockNumber: lastProcessedBlock, blockHash: lastProcessedBlockHash });
+    }
+
+    if (checks.length === 0) {
+        return null;
+    }
+
+    // Lookups stay uncached: a cached block may be the orphaned one
+    const canonicalHashes = new Map();
+    const isCanonical = async (check) => {
+        if (!canonicalHashes.has(check.blockNumber)) {
+            const canonical = await provider.getBlock(check.blockNumber);
+            canonicalHashes.set(check.blockNumber, canonical ? canonical.hash : null);
+        }
+        return canonicalHashes.get(check.blockNumber) === check.blockHash;
+    };
+
+    // A block hash commits to all its ancestors, so a canonical newest block
+    // vouches for the whole window (one lookup per poll)
+    if (await isCanonical(checks[checks.length - 1])) {
+        return null;
+    }
+
+    // Binary search for the oldest mismatch (checks before it are canonical)
+    let low = 0;
+    let high = checks.length - 1;
+    while (low < high) {
+        const mid = Math.floor((low + high) / 2);
+        if (await isCanonical(checks[mid])) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+
+    const mismatch = checks[low];
+    const canonicalHash = canonicalHashes.get(mismatch.blockNumber);
+
+    // Blocks between the last verified block and the mismatch have no stored
+    // hash, so roll back from the first block we cannot vouch for
+    const forkBlock = low > 0 ? checks[low - 1].blockNumber + 1 : windowStart;
+
+    logger.warn('Reorg detected', {
+        ...sourceWhere(source),
+        forkBlock,
+        mismatchBlock: mismatch.blockNumber,
+        storedBlockHash: mismatch.blockHash,
+        canonicalBlockHash: canonicalHash,
+    });
+
+    return {
+        forkBlock,
+        mismatchBlock: mismatch.blockNumber,
+        storedBlockHash: mismatch.blockHash,
+        canonicalBlockHash: canonicalHash,
+    };
+}
+
+/**
+ * Delete a source's events from a block on, with everything derived from them
+ * (snapshots, state digests, unresolved dead letters, reverted attempts, anomalies and
+ * undelivered webhooks). Workflow state is left for the caller to rebuild.
+ * @param {Object} tx - Prisma transaction client
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} fromBlock - First block removed
+ * @returns {Promise<Array>} Removed ChainEvent rows in canonical order
+ */
+export async function removeEventsFrom(tx, source, fromBlock) {
+    const removedWhere = { ...sourceWhere(source), blockNumber: { gte: BigInt(fromBlock) } };
+
+    const removed = await tx.chainEvent.findMany({
+        where: removedWhere,
+        orderBy: [
+            { blockNumber: 'asc' },
+            { transactionIndex: 'asc' },
+            { logIndex: 'asc' },
+        ],
+    });
+
+    await tx.chainEvent.deleteMany({ where: removedWhere });
+
+    // Snapshots at or after the block include removed state
+    await invalidateSnapshotsFrom(tx, source, fromBlock);
+    await invalidateDigestsFrom(tx, source, fromBlock);
+
+    // Unresolved dead letters from removed blocks are re-ingested with the range
+    await tx.deadLetterEvent.deleteMany({
+        where: {
+            ...removedWhere,
+            status: { in: ['PENDING', 'EXHAUSTED'] },
+        },
+    });
+
+    // Reverted transactions are re-scanned with the range
+    await tx.revertedAttempt.deleteMany({ where: removedWhere });
+
+    // Anomalies of removed events; the workflow rebuild re-derives the rest
+    await tx.workflowAnomaly.deleteMany({ where: removedWhere });
+
+    // Webhooks not yet delivered for removed events (delivered ones stay logged)
+    await tx.webhookDelivery.deleteMany({
+        where: { ...removedWhere, status: { not: 'DELIVERED' } },
+    });
+
+    return removed;
+}
+
+/**
+ * Roll back a source's orphaned events and move its checkpoint before the fork
+ * Runs in a single transaction so the audit always matches what was removed
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {Object} reorg - Result of detectReorg
+ * @param {number} previousCheckpoint - lastProcessedBlock before rollback
+ * @returns {Promise<Object>} Audit record with affected workflows
+ */
+export async function rollbackReorg(source, reorg, previousCheckpoint) {
+    const prisma = getPrismaClient();
+    const newCheckpoint = reorg.forkBlock - 1;
+
+    try {
+        const audit = await prisma.$transaction(async (tx) => {
+            const orphaned = await removeEventsFrom(tx, source, reorg.forkBlock);
+
+            await tx.systemState.update({
+                where: { chainId_contractAddress: sourceWhere(source) },
+                data: {
+                    lastProcessedBlock: BigInt(newCheckpoint),
+                    lastProcessedBlockHash: null,
+                },
+            });
+
+            const affectedWorkflows = [...new Set(orphaned.map(e => e.workflowId))];
+
+            return tx.reorgAudit.create({
+                data: {
+                    ...sourceWhere(source),
+                    forkBlock: BigInt(reorg.forkBlock),
+                    mismatchBlock: BigInt(reorg.mismatchBlock),
+                    storedBlockHash: reorg.storedBlockHash,
+                    canonicalBlockHash: reorg.canonicalBlockHash,
+                    previousCheckpoint: BigInt(previousCheckpoint),
+                    newCheckpoint: BigInt(newCheckpoint),
+                    eventsRolledBack: orphaned.length,
+                    orphanedEvents: orphaned.map(e => ({
+                        workflowId: e.workflowId,
+                        eventType: e.eventType,
+                        blockNumber: e.blockNumber.toString(),
+                        blockHash: e.blockHash,
+                        txHash: e.txHash,
+                        logIndex: e.logIndex,
+                    })),
+                    affectedWorkflows,
+                },
+            });
+        });
+
+        // Cached blocks/receipts from the orphaned range are no longer canonical
+        invalidateCacheFrom(source.chainId, reorg.forkBlock);
+
+        logger.warn('Reorg rolled back', {
+            ...sourceWhere(source),
+            forkBlock: reorg.forkBlock,
+            eventsRolledBack: audit.eventsRolledBack,
+            affectedWorkflows: audit.affectedWorkflows.length,
+            newCheckpoint,
+        });
+
+        return {
+            auditId: audit.id,
+            newCheckpoint,
+        };
+    } catch (error) {
+        logger.error('Reorg rollback failed', {
+            ...sourceWhere(source),
+            forkBlock: reorg.forkBlock,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Rebuild a source's workflows touched by reorgs once the range has been re-ingested
+ * Audits stay pending until rebuilt, so a poll that fails mid-recovery
+ * is picked up again by the next one
+ * @param {Object} source - { chainId, contractAddress }
+ * @returns {Promise<number>} Number of workflows rebuilt
+ */
+export async function rebuildPendingReorgs(source) {
+    const prisma = getPrismaClient();
+
+    const pending = await prisma.reorgAudit.findMany({
+        where: { ...sourceWhere(source), rebuiltAt: null },
+        orderBy: { detectedAt: 'asc' },
+    });
+
+    let total = 0;
+
+    for (const audit of pending) {
+        for (const workflowId of audit.affectedWorkflows) {
+            await replayWorkflow(source, workflowId);
+        }
+
+        await prisma.reorgAudit.update({
+            where: { id: audit.id },
+            data: {
+                workflowsRebuilt: audit.affectedWorkflows.length,
+                rebuiltAt: new Date(),
+            },
+        });
+
+        logger.info('Workflows rebuilt after reorg', {
+            ...sourceWhere(source),
+            auditId: audit.id,
+            forkBlock: audit.forkBlock.toString(),
+            workflowsRebuilt: audit.affectedWorkflows.length,
+        });
+
+        total += audit.affectedWorkflows.length;
+    }
+
+    return total;
+}
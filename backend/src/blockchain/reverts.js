@@ -0,0 +1,197 @@
+/**
+ * Reverted transaction capture
+ * A revert rolls back every event the transaction emitted, so failures such as
+ * PaymentFailed, WorkflowNotApproved or InsufficientPayment never appear in
+ * eth_getLogs. They are recovered from the blocks instead:
+ *
+ * 1. Fetch each confirmed block with its transactions (through the block cache)
+ * 2. Keep transactions sent to the source contract whose receipt has status 0
+ * 3. Decode the calldata with the definition's ABI (function + arguments)
+ * 4. Re-run the call with eth_call against the parent block to recover the
+ *    revert data, and decode the custom error with the definition's error ABI
+ *
+ * Step 4 replays against the state at the start of the block, so a revert that
+ * depended on an earlier transaction in the same block may not reproduce. The
+ * attempt is still stored, with a null error.
+ */
+
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { toJsonArgs } from '../utils/abi.js';
+import { getSourceDefinition } from '../definitions.js';
+import { getProvider } from './provider.js';
+import { getBlockWithTransactionsCached, getReceiptCached } from './cache.js';
+
+/**
+ * Decode the calldata of a transaction sent to the contract
+ * @param {Object} definition - Source's workflow definition
+ * @param {Object} tx - ethers TransactionResponse
+ * @returns {Object} { functionName, functionSelector, args, workflowId }
+ */
+export function decodeCalldata(definition, tx) {
+    const functionSelector = tx.data.slice(0, 10);
+    const parsed = definition.iface.parseTransaction({ data: tx.data, value: tx.value });
+
+    if (!parsed) {
+        return { functionName: null, functionSelector, args: {}, workflowId: null };
+    }
+
+    const args = toJsonArgs(parsed.fragment.inputs, parsed.args, definition.argEnums);
+
+    return {
+        functionName: parsed.name,
+        functionSelector,
+        args,
+        workflowId: args[definition.workflowIdArg] || null,
+    };
+}
+
+/**
+ * Recover and decode the revert reason by replaying the call on the parent block
+ * @param {Object} definition - Source's workflow definition (error ABI)
+ * @param {number} chainId - Chain ID
+ * @param {Object} tx - ethers TransactionResponse
+ * @returns {Promise<Object>} { errorName, errorSelector, errorArgs, revertData }
+ */
+export async function decodeRevert(definition, chainId, tx) {
+    const notReproduced = { errorName: null, errorSelector: null, errorArgs: null, revertData: null };
+
+    try {
+        await getProvider(chainId).call({
+            from: tx.from,
+            to: tx.to,
+            data: tx.data,
+            value: tx.value,
+            gasLimit: tx.gasLimit,
+            blockTag: tx.blockNumber - 1,
+        });
+
+        // The call succeeds against the parent block state
+        return notReproduced;
+    } catch (error) {
+        if (error.code !== 'CALL_EXCEPTION') {
+            throw error;
+        }
+
+        const revertData = error.data && error.data !== '0x' ? error.data : null;
+        if (!revertData) {
+            return notReproduced;
+        }
+
+        const parsed = definition.iface.parseError(revertData);
+
+        return {
+            errorName: parsed ? parsed.name : null,
+            errorSelector: revertData.slice(0, 10),
+            errorArgs: parsed ? toJsonArgs(parsed.fragment.inputs, parsed.args, definition.argEnums) : null,
+            revertData,
+        };
+    }
+}
+
+/**
+ * Find and decode reverted transactions sent to a source contract
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} fromBlock - First block (inclusive)
+ * @param {number} toBlock - Last block (inclusive)
+ * @param {Object} rpcStats - Per-poll RPC counters (optional)
+ * @returns {Promise<Array>} RevertedAttempt create data, in block order
+ */
+export async function scanRevertedTransactions(source, fromBlock, toBlock, rpcStats = null) {
+    const definition = getSourceDefinition(source);
+    const attempts = [];
+
+    for (let start = fromBlock; start <= toBlock; start += config.revertScanConcurrency) {
+        const end = Math.min(start + config.revertScanConcurrency - 1, toBlock);
+        const blockNumbers = [];
+        for (let n = start; n <= end; n++) {
+            blockNumbers.push(n);
+        }
+
+        const blocks = await Promise.all(blockNumbers.map(n =>
+            getBlockWithTransactionsCached(source.chainId, n, rpcStats)
+        ));
+
+        for (const block of blocks) {
+            if (!block) {
+                throw new Error(`Block not found while scanning for reverts`);
+            }
+
+            const candidates = block.prefetchedTransactions.filter(tx =>
+                tx.to && tx.to.toLowerCase() === source.contractAddress
+            );
+
+            for (const tx of candidates) {
+                const receipt = await getReceiptCached(source.chainId, tx.hash, rpcStats);
+                if (!receipt || receipt.status !== 0) {
+                    continue;
+                }
+
+                const call = decodeCalldata(definition, tx);
+                const revert = await decodeRevert(definition, source.chainId, tx);
+                if (rpcStats) rpcStats.calls.call++;
+
+                attempts.push({
+                    chainId: source.chainId,
+                    contractAddress: source.contractAddress,
+                    workflowId: call.workflowId,
+                    txHash: tx.hash,
+                    blockNumber: BigInt(block.number),
+                    transactionIndex: receipt.index,
+                    blockHash: block.hash,
+                    blockTimestamp: BigInt(block.timestamp),
+                    from: tx.from.toLowerCase(),
+                    value: tx.value.toString(),
+                    gasUsed: receipt.gasUsed,
+                    functionName: call.functionName,
+                    functionSelector: call.functionSelector,
+                    args: call.args,
+                    ...revert,
+                });
+
+                logger.info('Reverted transaction captured', {
+                    chainId: source.chainId,
+                    contractAddress: source.contractAddress,
+                    txHash: tx.hash,
+                    workflowId: call.workflowId,
+                    functionName: call.functionName,
+                    errorName: revert.errorName,
+                });
+            }
+        }
+    }
+
+    return attempts;
+}
+
+/**
+ * Convert a RevertedAttempt row for JSON responses
+ * @param {Object} attempt - RevertedAttempt row
+ * @returns {Object}
+ */
+export function formatRevertedAttempt(attempt) {
+    return {
+        id: attempt.id,
+        chainId: attempt.chainId,
+        contractAddress: attempt.contractAddress,
+        workflowId: attempt.workflowId,
+        txHash: attempt.txHash,
+        blockNumber: Number(attempt.blockNumber),
+        transactionIndex: attempt.transactionIndex,
+        timestamp: Number(attempt.blockTimestamp),
+        from: attempt.from,
+        value: attempt.value,
+        gasUsed: attempt.gasUsed.toString(),
+        function: attempt.functionName,
+        functionSelector: attempt.functionSelector,
+        args: attempt.args,
+        error: attempt.errorSelector
+            ? {
+                name: attempt.errorName,
+                selector: attempt.errorSelector,
+                args: attempt.errorArgs,
+            }
+            : null,
+        revertData: attempt.revertData,
+    };
+}
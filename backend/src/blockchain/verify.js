@@ -0,0 +1,260 @@
+/**
+ * Consistency verifier (POST /admin/verify, `x402-observer verify`)
+ * Re-fetches a block range's logs from the chain, decodes them as ingestion
+ * would, and compares them with the stored ChainEvent rows. Nothing is written.
+ *
+ * Events are matched by identity (txHash, logIndex). Discrepancy kinds:
+ * - missing_event:       on chain, not stored
+ * - extra_event:         stored, not on chain (e.g. an unhandled reorg)
+ * - payload_mismatch:    workflowId, eventType or payload differ
+ * - block_hash_mismatch: stored in a block with a different hash
+ * - ordering_mismatch:   blockNumber, transactionIndex or blockTimestamp differ
+ *
+ * An event stored outside the range it belongs to is matched by identity and
+ * reported as an ordering mismatch rather than missing. Logs that fail to
+ * decode are listed separately (ingestion dead-letters them).
+ *
+ * verifySource also re-derives the source's workflow states from the stored
+ * events and diffs them with WorkflowState (see db/verify.js).
+ */
+
+import { getPrismaClient } from '../db/db.js';
+import { verifyWorkflowStates } from '../db/verify.js';
+import { canonicalJson } from '../utils/hash.js';
+import { logger } from '../utils/logger.js';
+import { sourceWhere } from '../utils/sources.js';
+import { getCheckpoint } from './checkpoint.js';
+import { fetchRangeEvents } from './listener.js';
+
+const ORDERING_FIELDS = ['blockNumber', 'transactionIndex', 'blockTimestamp'];
+
+// Missing events looked up per query
+const LOOKUP_BATCH_SIZE = 500;
+
+/**
+ * Identity of an event within a chain
+ * @param {Object} event - ChainEvent row or data
+ * @returns {string}
+ */
+function eventIdentity(event) {
+    return `${event.txHash.toLowerCase()}:${event.logIndex}`;
+}
+
+/**
+ * A field difference for reports (BigInts as strings, payloads as objects)
+ * @param {string} field
+ * @param {*} expected - Chain value
+ * @param {*} actual - Stored value
+ * @returns {Object}
+ */
+function fieldDiff(field, expected, actual) {
+    const plain = value => (typeof value === 'bigint' ? value.toString() : value);
+    return { field, expected: plain(expected), actual: plain(actual) };
+}
+
+/**
+ * Discrepancies between an event built from the chain and its stored row
+ * @param {Object} expected - Event data from fetchRangeEvents
+ * @param {Object} stored - ChainEvent row
+ * @returns {Array} [{ kind, fields }]
+ */
+function compareEvent(expected, stored) {
+    const found = [];
+
+    const payloadFields = [];
+    for (const field of ['workflowId', 'eventType']) {
+        if (expected[field] !== stored[field]) {
+            payloadFields.push(fieldDiff(field, expected[field], stored[field]));
+        }
+    }
+    if (canonicalJson(expected.payload) !== canonicalJson(stored.payload)) {
+        payloadFields.push(fieldDiff('payload', expected.payload, stored.payload));
+    }
+    if (payloadFields.length > 0) {
+        found.push({ kind: 'payload_mismatch', fields: payloadFields });
+    }
+
+    if (expected.blockHash.toLowerCase() !== stored.blockHash.toLowerCase()) {
+        found.push({
+            kind: 'block_hash_mismatch',
+            fields: [fieldDiff('blockHash', expected.blockHash, stored.blockHash)],
+        });
+    }
+
+    const orderingFields = ORDERING_FIELDS
+        .filter(field => String(expected[field]) !== String(stored[field]))
+        .map(field => fieldDiff(field, expected[field], stored[field]));
+    if (orderingFields.length > 0) {
+        found.push({ kind: 'ordering_mismatch', fields: orderingFields });
+    }
+
+    return found;
+}
+
+/**
+ * Report entry for one event
+ * @param {Object} event - Chain event data or stored row
+ * @param {string} kind
+ * @param {Array} fields
+ * @returns {Object}
+ */
+function discrepancy(event, kind, fields = []) {
+    return {
+        kind,
+        txHash: event.txHash,
+        logIndex: event.logIndex,
+        blockNumber: Number(event.blockNumber),
+        workflowId: event.workflowId,
+        eventType: event.eventType,
+        fields,
+    };
+}
+
+/**
+ * Compare a source's stored events in a block range with the chain
+ * @param {Object} source - Configured source
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block (at most the source's checkpoint)
+ * @param {Function} onProgress - Called with scan progress (optional)
+ * @returns {Promise<Object>} { fromBlock, toBlock, eventsOnChain, eventsStored, discrepancies, undecodableLogs, rpcCalls }
+ */
+export async function verifyEventsAgainstChain(source, fromBlock, toBlock, onProgress = () => {}) {
+    const prisma = getPrismaClient();
+    const where = sourceWhere(source);
+
+    try {
+        const { events, failures, rpcCalls } = await fetchRangeEvents(source, fromBlock, toBlock, onProgress);
+        const stored = await prisma.chainEvent.findMany({
+            where: { ...where, blockNumber: { gte: BigInt(fromBlock), lte: BigInt(toBlock) } },
+            orderBy: [
+                { blockNumber: 'asc' },
+                { transactionIndex: 'asc' },
+                { logIndex: 'asc' },
+            ],
+        });
+
+        const storedById = new Map(stored.map(row => [eventIdentity(row), row]));
+        const onChain = new Set();
+        const missing = [];
+        const discrepancies = [];
+
+        for (const event of events) {
+            const id = eventIdentity(event);
+            onChain.add(id);
+
+            const row = storedById.get(id);
+            if (!row) {
+                missing.push(event);
+                continue;
+            }
+            for (const { kind, fields } of compareEvent(event, row)) {
+                discrepancies.push(discrepancy(event, kind, fields));
+            }
+        }
+
+        // Events stored at another block than the chain reports
+        const elsewhereById = new Map();
+        for (let i = 0; i < missing.length; i += LOOKUP_BATCH_SIZE) {
+            const rows = await prisma.chainEvent.findMany({
+                where: {
+                    ...where,
+                    OR: missing.slice(i, i + LOOKUP_BATCH_SIZE)
+                        .map(event => ({ txHash: event.txHash, logIndex: event.logIndex })),
+                },
+            });
+            for (const row of rows) {
+                elsewhereById.set(eventIdentity(row), row);
+            }
+        }
+
+        for (const event of missing) {
+            const row = elsewhereById.get(eventIdentity(event));
+            if (!row) {
+                discrepancies.push(discrepancy(event, 'missing_event'));
+                continue;
+            }
+            for (const { kind, fields } of compareEvent(event, row)) {
+                discrepancies.push(discrepancy(event, kind, fields));
+            }
+        }
+
+        for (const row of stored) {
+            if (!onChain.has(eventIdentity(row))) {
+                discrepancies.push(discrepancy(row, 'extra_event'));
+            }
+        }
+
+        discrepancies.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+
+        const undecodableLogs = failures.map(({ log, eventType, error }) => ({
+            txHash: log.transactionHash,
+            logIndex: log.index,
+            blockNumber: Number(log.blockNumber),
+            eventType: eventType ?? null,
+            error,
+        }));
+
+        const result = {
+            fromBlock,
+            toBlock,
+            eventsOnChain: events.length,
+            eventsStored: stored.length,
+            discrepancies,
+            undecodableLogs,
+            rpcCalls,
+        };
+
+        if (discrepancies.length > 0) {
+            logger.warn('Event store differs from the chain', {
+                ...where,
+                fromBlock,
+                toBlock,
+                discrepancies: discrepancies.length,
+            });
+        } else {
+            logger.info('Event store matches the chain', { ...where, fromBlock, toBlock, events: events.length });
+        }
+
+        return result;
+    } catch (error) {
+        logger.error('Chain verification failed', { ...where, fromBlock, toBlock, error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Verify a source: stored events against the chain (when a range is given) and
+ * persisted workflow states against a replay of the stored events
+ * @param {Object} source - Configured source
+ * @param {Object|null} range - { fromBlock, toBlock }; null skips the chain comparison
+ * @param {Function} onProgress - Called with { stage, ... } (optional)
+ * @returns {Promise<Object>} Report, or { error } if the range is not verifiable
+ */
+export async function verifySource(source, range = null, onProgress = () => {}) {
+    if (range) {
+        if (range.fromBlock < source.startBlock) {
+            return { error: `Invalid fromBlock - the source starts at block ${source.startBlock}` };
+        }
+
+        // Blocks after the checkpoint are not ingested yet and would all report missing
+        const checkpoint = await getCheckpoint(source);
+        if (range.toBlock > checkpoint) {
+            return { error: `Invalid toBlock - the checkpoint is ${checkpoint}` };
+        }
+    }
+
+    const chain = range
+        ? await verifyEventsAgainstChain(source, range.fromBlock, range.toBlock,
+            progress => onProgress({ stage: 'chain', ...progress }))
+        : null;
+
+    const { workflowsChecked, discrepancies } = await verifyWorkflowStates(source,
+        progress => onProgress({ stage: 'state', ...progress }));
+
+    return {
+        ...sourceWhere(source),
+        ok: (chain ? chain.discrepancies.length === 0 : true) && discrepancies.length === 0,
+        chain,
+        state: { workflowsChecked, discrepancies },
+    };
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env bun
+/**
+ * Operator CLI (x402-observer)
+ * Runs one command against the configured database and chains, without the
+ * HTTP server or the listener, then exits:
+ *
+ *   x402-observer status | backfill | replay | verify | export [options]
+ *
+ * Configuration comes from the same environment / .env file as the server.
+ * Results go to stdout (tables, or JSON with --json); logs go to stderr
+ * (warnings and errors only with --quiet).
+ *
+ * Exit codes: 0 ok, 1 problems found (verify discrepancies, status --max-lag
+ * exceeded), 2 usage error, 3 the command failed.
+ */
+
+import { parseArgs } from 'node:util';
+import { config, validateConfig } from './config.js';
+import { validateDefinitions } from './definitions.js';
+import { connectDatabase, disconnectDatabase } from './db/db.js';
+import { stopProvider } from './blockchain/provider.js';
+import { COMMANDS, EXIT } from './cli/commands.js';
+import { configureLogger, logger } from './utils/logger.js';
+
+const GLOBAL_OPTIONS = {
+    json: { type: 'boolean', default: false },
+    quiet: { type: 'boolean', default: false },
+    help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Print usage for every command, or one
+ * @param {string|null} name - Command name
+ */
+function printUsage(name = null) {
+    const lines = name
+        ? [`Usage: x402-observer ${COMMANDS[name].usage}`, '', COMMANDS[name].summary]
+        : [
+            'Usage: x402-observer <command> [options]',
+            '',
+            'Commands:',
+            ...Object.entries(COMMANDS).map(([command, spec]) => `  ${command.padEnd(10)}${spec.summary}`),
+            '',
+            'Options: --json (machine-readable output), --quiet (warnings and errors only), --help',
+        ];
+
+    console.error(lines.join('\n'));
+}
+
+async function main(argv) {
+    const [name, ...rest] = argv;
+
+    if (!name || name === '--help' || name === '-h' || name === 'help') {
+        printUsage();
+        return name ? EXIT.OK : EXIT.USAGE;
+    }
+
+    const command = COMMANDS[name];
+    if (!command) {
+        console.error(`Error: Unknown command ${name}`);
+        printUsage();
+        return EXIT.USAGE;
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args: rest,
+            options: { ...GLOBAL_OPTIONS, ...command.options },
+            allowPositionals: Boolean(command.positionals),
+            strict: true,
+        });
+    } catch (error) {
+        console.error(`Error: ${error.message}`);
+        printUsage(name);
+        return EXIT.USAGE;
+    }
+
+    const { values, positionals } = parsed;
+    if (values.help) {
+        printUsage(name);
+        return EXIT.OK;
+    }
+
+    // stdout is reserved for command output
+    configureLogger({
+        write: line => console.error(line),
+        levels: values.quiet ? ['WARN', 'ERROR'] : undefined,
+    });
+
+    if (!validateConfig()) {
+        return EXIT.USAGE;
+    }
+    if (!validateDefinitions()) {
+        console.error(`❌ Invalid workflow definitions - please check ${config.definitionsDir}`);
+        return EXIT.USAGE;
+    }
+
+    try {
+        await connectDatabase();
+        return await command.run(values, positionals);
+    } catch (error) {
+        logger.error(`Command ${name} failed`, { error: error.message });
+        return EXIT.FAILED;
+    } finally {
+        stopProvider();
+        await disconnectDatabase().catch(() => {});
+    }
+}
+
+// Exit explicitly: provider sockets would otherwise keep the process alive
+main(process.argv.slice(2)).then(code => process.exit(code));
@@ -0,0 +1,596 @@
+/**
+ * CLI commands
+ * Each command declares its options (node:util parseArgs format) and a run
+ * function returning the process exit code (see EXIT).
+ *
+ * Commands that rewrite state (backfill, replay) do not coordinate with a
+ * running server's listener: stop the server first, or use the admin API
+ * (POST /admin/backfill, /admin/replay), which pauses the listener. verify
+ * only reads, but against a live listener it may report transient state
+ * differences for workflows updated mid-check (POST /admin/verify pauses it).
+ */
+
+import { getPrismaClient } from '../db/db.js';
+import { replayAllEvents, replayWorkflow, replayWorkflowsInRange, getReplayProgress } from '../db/replay.js';
+import { formatWorkflowState } from '../db/workflowState.js';
+import { countAnomalies } from '../db/anomalies.js';
+import { backfillRange } from '../blockchain/listener.js';
+import { getCheckpoint } from '../blockchain/checkpoint.js';
+import { verifySource } from '../blockchain/verify.js';
+import { getBlockNumber } from '../blockchain/provider.js';
+import { config } from '../config.js';
+import { STATUSES } from '../definitions.js';
+import { logger } from '../utils/logger.js';
+import { sourceKey, sourceWhere, matchSources, resolveSource } from '../utils/sources.js';
+import { writeLine, printJson, printTable, toJsonLine, toCsvRow } from './output.js';
+
+// Exit codes (cron alerts on anything but 0)
+export const EXIT = {
+    OK: 0,
+    PROBLEMS: 1, // the command ran and found something wrong (discrepancies, lag)
+    USAGE: 2,
+    FAILED: 3, // the command could not complete (database, RPC)
+};
+
+const BLOCK_PATTERN = /^\d+$/;
+
+// Rows fetched per query when exporting
+const EXPORT_BATCH_SIZE = 1000;
+
+const SOURCE_OPTIONS = {
+    'chain-id': { type: 'string' },
+    contract: { type: 'string' },
+};
+
+const SOURCE_USAGE = '[--chain-id <id>] [--contract <address>]';
+
+/**
+ * Print a usage error
+ * @param {string} message
+ * @returns {number} EXIT.USAGE
+ */
+function usageError(message) {
+    console.error(`Error: ${message}`);
+    return EXIT.USAGE;
+}
+
+/**
+ * chainId / contract filter fields from CLI options (for matchSources)
+ * @param {Object} values - Parsed options
+ * @returns {Object}
+ */
+function sourceOptions(values) {
+    return { chainId: values['chain-id'], contract: values.contract };
+}
+
+/**
+ * Parse --from / --to block options
+ * @param {Object} values - Parsed options
+ * @param {boolean} required - Whether both must be present
+ * @returns {Object} { range } (null when absent and optional) on success, { error } on invalid input
+ */
+function parseBlockRange(values, required) {
+    if (!required && values.from === undefined && values.to === undefined) {
+        return { range: null };
+    }
+
+    const range = {};
+    for (const name of ['from', 'to']) {
+        if (values[name] === undefined || !BLOCK_PATTERN.test(values[name])) {
+            return { error: `Invalid --${name} - expected a block number` };
+        }
+        range[name] = Number(values[name]);
+    }
+
+    if (range.from > range.to) {
+        return { error: 'Invalid range - --from must not be after --to' };
+    }
+
+    return { range };
+}
+
+/**
+ * status: checkpoint, lag and row counts per source
+ */
+const status = {
+    summary: 'Checkpoint, ingestion lag and row counts per source',
+    usage: `status ${SOURCE_USAGE} [--max-lag <blocks>] [--json]`,
+    options: {
+        ...SOURCE_OPTIONS,
+        'max-lag': { type: 'string' },
+    },
+    async run(values) {
+        const { sources, error } = matchSources(sourceOptions(values));
+        if (error) {
+            return usageError(error);
+        }
+
+        let maxLag = null;
+        if (values['max-lag'] !== undefined) {
+            if (!BLOCK_PATTERN.test(values['max-lag'])) {
+                return usageError('Invalid --max-lag - expected a number of blocks');
+            }
+            maxLag = Number(values['max-lag']);
+        }
+
+        const prisma = getPrismaClient();
+        const rows = [];
+
+        for (const source of sources) {
+            const where = sourceWhere(source);
+            const [checkpoint, progress, running, stalled, pendingDeadLetters, anomalies] = await Promise.all([
+                getCheckpoint(source),
+                getReplayProgress(source),
+                prisma.workflowState.count({ where: { ...where, status: 'RUNNING' } }),
+                prisma.workflowState.count({ where: { ...where, stalled: true } }),
+                prisma.deadLetterEvent.count({ where: { ...where, status: 'PENDING' } }),
+                countAnomalies(where),
+            ]);
+
+            // The chain head is informative; an unreachable RPC does not fail the command
+            let latestBlock = null;
+            try {
+                latestBlock = await getBlockNumber(source.chainId);
+            } catch {
+                // Logged by the provider
+            }
+
+            const confirmedBlock = latestBlock === null
+                ? null
+                : latestBlock - config.chains[source.chainId].confirmationBlocks;
+
+            rows.push({
+                source: sourceKey(source),
+                ...where,
+                definition: source.definitionId,
+                checkpoint,
+                latestBlock,
+                confirmedBlock,
+                lagBlocks: confirmedBlock === null ? null : Math.max(0, confirmedBlock - checkpoint),
+                events: progress.totalEvents,
+                workflows: progress.totalWorkflows,
+                running,
+                stalled,
+                pendingDeadLetters,
+                anomalies: anomalies.total,
+            });
+        }
+
+        if (values.json) {
+            await printJson(rows.map(({ source, ...row }) => row));
+        } else {
+            await printTable(rows, [
+                { key: 'source', header: 'SOURCE' },
+                { key: 'checkpoint', header: 'CHECKPOINT' },
+                { key: 'latestBlock', header: 'HEAD' },
+                { key: 'lagBlocks', header: 'LAG' },
+                { key: 'events', header: 'EVENTS' },
+                { key: 'workflows', header: 'WORKFLOWS' },
+                { key: 'running', header: 'RUNNING' },
+                { key: 'stalled', header: 'STALLED' },
+                { key: 'pendingDeadLetters', header: 'DEAD LETTERS' },
+                { key: 'anomalies', header: 'ANOMALIES' },
+            ]);
+        }
+
+        if (maxLag !== null && rows.some(row => row.lagBlocks === null || row.lagBlocks > maxLag)) {
+            return EXIT.PROBLEMS;
+        }
+        return EXIT.OK;
+    },
+};
+
+/**
+ * backfill: re-scan an already processed block range from the chain
+ */
+const backfill = {
+    summary: 'Re-scan processed blocks from the chain and ingest missing events',
+    usage: `backfill --from <block> --to <block> ${SOURCE_USAGE} [--json]`,
+    options: {
+        ...SOURCE_OPTIONS,
+        from: { type: 'string' },
+        to: { type: 'string' },
+    },
+    async run(values) {
+        const { source, error } = resolveSource(sourceOptions(values));
+        if (error) {
+            return usageError(error);
+        }
+
+        const { range, error: rangeError } = parseBlockRange(values, true);
+        if (rangeError) {
+            return usageError(rangeError);
+        }
+        if (range.from < source.startBlock) {
+            return usageError(`Invalid --from - the source starts at block ${source.startBlock}`);
+        }
+
+        const checkpoint = await getCheckpoint(source);
+        if (range.to > checkpoint) {
+            return usageError(`Invalid --to - the checkpoint is ${checkpoint}; the listener ingests later blocks`);
+        }
+
+        const result = await backfillRange(source, range.from, range.to);
+        const row = { ...sourceWhere(source), ...result };
+
+        if (values.json) {
+            await printJson(row);
+        } else {
+            await printTable([{ source: sourceKey(source), ...row }], [
+                { key: 'source', header: 'SOURCE' },
+                { key: 'fromBlock', header: 'FROM' },
+                { key: 'toBlock', header: 'TO' },
+                { key: 'logsFound', header: 'LOGS' },
+                { key: 'eventsInserted', header: 'INSERTED' },
+                { key: 'duplicates', header: 'DUPLICATES' },
+                { key: 'workflowsRebuilt', header: 'REBUILT' },
+                { key: 'rpcCalls', header: 'RPC CALLS' },
+            ]);
+        }
+
+        return EXIT.OK;
+    },
+};
+
+/**
+ * replay: rebuild derived state from stored events
+ */
+const replay = {
+    summary: 'Rebuild workflow state from stored events (all, a block range or one workflow)',
+    usage: `replay [--workflow <id> | --from <block> --to <block>] ${SOURCE_USAGE} [--json]`,
+    options: {
+        ...SOURCE_OPTIONS,
+        workflow: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+    },
+    async run(values) {
+        if (values.workflow !== undefined) {
+            if (values.from !== undefined || values.to !== undefined) {
+                return usageError('--workflow cannot be combined with --from/--to');
+            }
+
+            const { source, error } = resolveSource(sourceOptions(values));
+            if (error) {
+                return usageError(error);
+            }
+
+            const state = await replayWorkflow(source, values.workflow);
+            const workflow = state ? formatWorkflowState(state) : null;
+
+            if (values.json) {
+                await printJson({ workflow });
+            } else if (!workflow) {
+                await writeLine(`Workflow ${values.workflow} has no valid events; its state was removed`);
+            } else {
+                await printTable([{ source: sourceKey(source), ...workflow }], [
+                    { key: 'source', header: 'SOURCE' },
+                    { key: 'workflowId', header: 'WORKFLOW' },
+                    { key: 'status', header: 'STATUS' },
+                    { key: 'phase', header: 'PHASE' },
+                ]);
+            }
+            return EXIT.OK;
+        }
+
+        const { sources, error } = matchSources(sourceOptions(values));
+        if (error) {
+            return usageError(error);
+        }
+
+        const { range, error: rangeError } = parseBlockRange(values, false);
+        if (rangeError) {
+            return usageError(rangeError);
+        }
+
+        const results = [];
+        for (const source of sources) {
+            results.push(range
+                ? await replayWorkflowsInRange(source, range.from, range.to)
+                : await replayAllEvents({ source }));
+        }
+
+        if (values.json) {
+            await printJson({ sources: results });
+        } else {
+            await printTable(results.map(result => ({ source: sourceKey(result), ...result })), [
+                { key: 'source', header: 'SOURCE' },
+                { key: 'eventsProcessed', header: 'EVENTS' },
+                { key: 'workflowsRebuilt', header: 'REBUILT' },
+                { key: 'anomalies', header: 'ANOMALIES' },
+                { key: 'duration', header: 'MS' },
+            ]);
+        }
+
+        return EXIT.OK;
+    },
+};
+
+/**
+ * Describe a discrepancy's differing fields for tables
+ * @param {Array} fields - [{ field, expected, actual }]
+ * @returns {string}
+ */
+function describeFields(fields) {
+    const text = value => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+    return fields.map(f => `${f.field}: ${text(f.actual)} (expected ${text(f.expected)})`).join('; ');
+}
+
+/**
+ * verify: compare the event store with the chain and workflow state with a replay
+ */
+const verify = {
+    summary: 'Compare stored events with the chain (--from/--to) and workflow state with a replay',
+    usage: `verify [--from <block> --to <block>] ${SOURCE_USAGE} [--json]`,
+    options: {
+        ...SOURCE_OPTIONS,
+        from: { type: 'string' },
+        to: { type: 'string' },
+    },
+    async run(values) {
+        const { range, error: rangeError } = parseBlockRange(values, false);
+        if (rangeError) {
+            return usageError(rangeError);
+        }
+
+        // Block numbers are per chain, so a range needs exactly one source
+        const { source, sources: matched, error } = range
+            ? resolveSource(sourceOptions(values))
+            : matchSources(sourceOptions(values));
+        if (error) {
+            return usageError(error);
+        }
+        const sources = range ? [source] : matched;
+
+        const reports = [];
+        for (const verified of sources) {
+            const report = await verifySource(verified, range && { fromBlock: range.from, toBlock: range.to });
+            if (report.error) {
+                return usageError(report.error);
+            }
+            reports.push(report);
+        }
+
+        const ok = reports.every(report => report.ok);
+
+        if (values.json) {
+            await printJson({ ok, sources: reports });
+            return ok ? EXIT.OK : EXIT.PROBLEMS;
+        }
+
+        await printTable(reports.map(report => ({
+            source: sourceKey(report),
+            blocks: report.chain ? `${report.chain.fromBlock}-${report.chain.toBlock}` : null,
+            eventsOnChain: report.chain?.eventsOnChain ?? null,
+            eventsStored: report.chain?.eventsStored ?? null,
+            eventDiscrepancies: report.chain?.discrepancies.length ?? null,
+            undecodable: report.chain?.undecodableLogs.length ?? null,
+            workflowsChecked: report.state.workflowsChecked,
+            stateDiscrepancies: report.state.discrepancies.length,
+        })), [
+            { key: 'source', header: 'SOURCE' },
+            { key: 'blocks', header: 'BLOCKS' },
+            { key: 'eventsOnChain', header: 'ON CHAIN' },
+            { key: 'eventsStored', header: 'STORED' },
+            { key: 'eventDiscrepancies', header: 'EVENT ISSUES' },
+            { key: 'undecodable', header: 'UNDECODABLE' },
+            { key: 'workflowsChecked', header: 'WORKFLOWS' },
+            { key: 'stateDiscrepancies', header: 'STATE ISSUES' },
+        ]);
+
+        const details = reports.flatMap(report => [
+            ...(report.chain?.discrepancies || []).map(d => ({
+                source: sourceKey(report),
+                kind: d.kind,
+                subject: `${d.txHash}:${d.logIndex} (block ${d.blockNumber})`,
+                workflowId: d.workflowId,
+                fields: describeFields(d.fields),
+            })),
+            ...(report.chain?.undecodableLogs || []).map(log => ({
+                source: sourceKey(report),
+                kind: 'undecodable_log',
+                subject: `${log.txHash}:${log.logIndex} (block ${log.blockNumber})`,
+                workflowId: null,
+                fields: log.error,
+            })),
+            ...report.state.discrepancies.map(d => ({
+                source: sourceKey(report),
+                kind: d.kind,
+                subject: 'workflow state',
+                workflowId: d.workflowId,
+                fields: describeFields(d.fields),
+            })),
+        ]);
+
+        if (details.length > 0) {
+            await writeLine('');
+            await printTable(details, [
+                { key: 'source', header: 'SOURCE' },
+                { key: 'kind', header: 'KIND' },
+                { key: 'subject', header: 'EVENT' },
+                { key: 'workflowId', header: 'WORKFLOW' },
+                { key: 'fields', header: 'FIELDS' },
+            ]);
+        }
+
+        return ok ? EXIT.OK : EXIT.PROBLEMS;
+    },
+};
+
+// export: columns per kind (CSV header order) and the row -> record conversion
+
+const WORKFLOW_EXPORT_COLUMNS = [
+    'chainId', 'contractAddress', 'workflowId', 'status', 'phase', 'initiator', 'recipient', 'amount',
+    'startedAt', 'completedAt', 'decisionApproved', 'decisionReason', 'failureReason',
+    'intentAt', 'decisionAt', 'settlementAt', 'finalityAt', 'stalled',
+];
+
+const EVENT_EXPORT_COLUMNS = [
+    'chainId', 'contractAddress', 'workflowId', 'eventType', 'blockNumber', 'transactionIndex',
+    'logIndex', 'txHash', 'blockHash', 'blockTimestamp', 'payload',
+];
+
+/**
+ * Flat CSV record for a WorkflowState row
+ * @param {Object} row
+ * @returns {Object}
+ */
+function workflowCsvRecord(row) {
+    const workflow = formatWorkflowState(row);
+    return {
+        ...workflow,
+        intentAt: workflow.phases.intent.enteredAt,
+        decisionAt: workflow.phases.decision.enteredAt,
+        settlementAt: workflow.phases.settlement.enteredAt,
+        finalityAt: workflow.phases.finality.enteredAt,
+    };
+}
+
+/**
+ * Export record for a ChainEvent row
+ * @param {Object} row
+ * @returns {Object}
+ */
+function eventRecord(row) {
+    return {
+        chainId: row.chainId,
+        contractAddress: row.contractAddress,
+        workflowId: row.workflowId,
+        eventType: row.eventType,
+        blockNumber: Number(row.blockNumber),
+        transactionIndex: row.transactionIndex,
+        logIndex: row.logIndex,
+        txHash: row.txHash,
+        blockHash: row.blockHash,
+        blockTimestamp: Number(row.blockTimestamp),
+        payload: row.payload,
+    };
+}
+
+const EXPORTS = {
+    workflows: {
+        columns: WORKFLOW_EXPORT_COLUMNS,
+        model: 'workflowState',
+        orderBy: [{ chainId: 'asc' }, { contractAddress: 'asc' }, { workflowId: 'asc' }],
+        cursor: row => ({
+            chainId_contractAddress_workflowId: {
+                chainId: row.chainId,
+                contractAddress: row.contractAddress,
+                workflowId: row.workflowId,
+            },
+        }),
+        json: formatWorkflowState,
+        csv: workflowCsvRecord,
+    },
+    events: {
+        columns: EVENT_EXPORT_COLUMNS,
+        model: 'chainEvent',
+        orderBy: [
+            { chainId: 'asc' },
+            { contractAddress: 'asc' },
+            { blockNumber: 'asc' },
+            { transactionIndex: 'asc' },
+            { logIndex: 'asc' },
+            { id: 'asc' },
+        ],
+        cursor: row => ({ id: row.id }),
+        json: eventRecord,
+        csv: eventRecord,
+    },
+};
+
+/**
+ * export: dump workflows or events as CSV (default) or NDJSON (--json)
+ */
+const exportCommand = {
+    summary: 'Write workflows or events to stdout as CSV, or NDJSON with --json',
+    usage: `export <workflows|events> ${SOURCE_USAGE} [--status <status>] [--from <block> --to <block>] [--json]`,
+    options: {
+        ...SOURCE_OPTIONS,
+        status: { type: 'string' },
+        from: { type: 'string' },
+        to: { type: 'string' },
+    },
+    positionals: true,
+    async run(values, positionals) {
+        const kind = positionals[0];
+        const spec = EXPORTS[kind];
+        if (!spec || positionals.length > 1) {
+            return usageError('Expected what to export - workflows or events');
+        }
+
+        const { sources, error } = matchSources(sourceOptions(values));
+        if (error) {
+            return usageError(error);
+        }
+
+        const { range, error: rangeError } = parseBlockRange(values, false);
+        if (rangeError) {
+            return usageError(rangeError);
+        }
+
+        const where = { OR: sources.map(sourceWhere) };
+
+        if (kind === 'workflows') {
+            if (range) {
+                return usageError('--from/--to only apply to events');
+            }
+            if (values.status !== undefined) {
+                const statusValue = values.status.toUpperCase();
+                if (!STATUSES.includes(statusValue)) {
+                    return usageError(`Invalid --status - expected one of ${STATUSES.join(', ').toLowerCase()}`);
+                }
+                where.status = statusValue;
+            }
+        } else {
+            if (values.status !== undefined) {
+                return usageError('--status only applies to workflows');
+            }
+            if (range) {
+                where.blockNumber = { gte: BigInt(range.from), lte: BigInt(range.to) };
+            }
+        }
+
+        const prisma = getPrismaClient();
+        if (!values.json) {
+            await writeLine(toCsvRow(spec.columns));
+        }
+
+        let exported = 0;
+        let last = null;
+        for (;;) {
+            const rows = await prisma[spec.model].findMany({
+                where,
+                orderBy: spec.orderBy,
+                take: EXPORT_BATCH_SIZE,
+                ...(last ? { cursor: spec.cursor(last), skip: 1 } : {}),
+            });
+
+            for (const row of rows) {
+                if (values.json) {
+                    await writeLine(toJsonLine(spec.json(row)));
+                } else {
+                    const record = spec.csv(row);
+                    await writeLine(toCsvRow(spec.columns.map(column => record[column])));
+                }
+            }
+
+            exported += rows.length;
+            if (rows.length < EXPORT_BATCH_SIZE) {
+                break;
+            }
+            last = rows[rows.length - 1];
+        }
+
+        logger.info('Export complete', { kind, rows: exported });
+        return EXIT.OK;
+    },
+};
+
+export const COMMANDS = {
+    status,
+    backfill,
+    replay,
+    verify,
+    export: exportCommand,
+};
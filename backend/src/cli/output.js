@@ -0,0 +1,103 @@
+/**
+ * CLI output helpers
+ * Tables for people, JSON / NDJSON / CSV for scripts. Everything here writes
+ * to stdout; logs go to stderr (see cli.js).
+ */
+
+/**
+ * JSON.stringify replacer for BigInt columns
+ * @param {string} key
+ * @param {*} value
+ * @returns {*}
+ */
+function jsonValue(key, value) {
+    return typeof value === 'bigint' ? value.toString() : value;
+}
+
+/**
+ * Write a line, waiting for stdout to drain when its buffer is full
+ * @param {string} line
+ * @returns {Promise<void>}
+ */
+export function writeLine(line) {
+    if (process.stdout.write(`${line}\n`)) {
+        return Promise.resolve();
+    }
+    return new Promise(resolve => process.stdout.once('drain', resolve));
+}
+
+/**
+ * Print a value as indented JSON
+ * @param {*} value
+ * @returns {Promise<void>}
+ */
+export function printJson(value) {
+    return writeLine(JSON.stringify(value, jsonValue, 2));
+}
+
+/**
+ * Serialize a value as one NDJSON line
+ * @param {*} value
+ * @returns {string}
+ */
+export function toJsonLine(value) {
+    return JSON.stringify(value, jsonValue);
+}
+
+/**
+ * Render a cell for tables and CSV
+ * @param {*} value
+ * @returns {string}
+ */
+function cellText(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    if (typeof value === 'object') {
+        return JSON.stringify(value, jsonValue);
+    }
+    return String(value);
+}
+
+/**
+ * Serialize one CSV row (RFC 4180 quoting)
+ * @param {Array} values
+ * @returns {string}
+ */
+export function toCsvRow(values) {
+    return values.map((value) => {
+        const text = cellText(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',');
+}
+
+/**
+ * Print rows as an aligned table (numbers right-aligned)
+ * @param {Array} rows - Objects
+ * @param {Array} columns - [{ key, header }]
+ * @returns {Promise<void>}
+ */
+export async function printTable(rows, columns) {
+    if (rows.length === 0) {
+        return writeLine('(none)');
+    }
+
+    const cells = rows.map(row => columns.map(column => cellText(row[column.key])));
+    const widths = columns.map((column, i) =>
+        Math.max(column.header.length, ...cells.map(rowCells => rowCells[i].length))
+    );
+    const numeric = columns.map(column => rows.every(row =>
+        typeof row[column.key] === 'number' || row[column.key] === null || row[column.key] === undefined
+    ));
+
+    const format = values => values
+        .map((value, i) => (numeric[i] ? value.padStart(widths[i]) : value.padEnd(widths[i])))
+        .join('  ')
+        .trimEnd();
+
+    await writeLine(format(columns.map(column => column.header)));
+    await writeLine(format(widths.map(width => '-'.repeat(width))));
+    for (const rowCells of cells) {
+        await writeLine(format(rowCells));
+    }
+}
@@ -5,32 +5,207 @@
  */
 
 import dotenv from 'dotenv';
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
 
 dotenv.config();
 
+/**
+ * Parse "host=range,host=range" into { host: range }
+ * @param {string} value - Raw env value
+ * @returns {Object}
+ */
+function parseRangeLimits(value) {
+  const limits = {};
+  for (const entry of (value || '').split(',')) {
+    const [host, range] = entry.split('=').map(part => part && part.trim());
+    if (host && range && !Number.isNaN(parseInt(range, 10))) {
+      limits[host] = parseInt(range, 10);
+    }
+  }
+  return limits;
+}
+
+/**
+ * Parse "chainId:contractAddress[:startBlock[:definition]],..." into source descriptors
+ * Falls back to the single CHAIN_ID / CONTRACT_ADDRESS / BLOCK_START source
+ * @param {string} value - Raw SOURCES value
+ * @param {Object} fallback - { chainId, contractAddress, startBlock, definitionId }
+ * @returns {Array<{chainId: number, contractAddress: string, startBlock: number, definitionId: string}>}
+ */
+function parseSources(value, fallback) {
+  const entries = (value || '').split(',').map(entry => entry.trim()).filter(Boolean);
+  const sources = entries.length > 0
+    ? entries.map(entry => {
+      const [chainId, contractAddress, startBlock, definitionId] = entry.split(':').map(part => part.trim());
+      return {
+        chainId: parseInt(chainId, 10),
+        contractAddress: contractAddress || '',
+        startBlock: parseInt(startBlock || '0', 10),
+        definitionId: definitionId || fallback.definitionId,
+      };
+    })
+    : [fallback];
+
+  // Addresses are stored lowercase so filters match regardless of checksum casing
+  return sources.map(source => ({
+    ...source,
+    contractAddress: source.contractAddress.toLowerCase(),
+  }));
+}
+
+/**
+ * Per-chain RPC endpoints and confirmation depth
+ * RPC_URLS_<chainId> / CONFIRMATION_BLOCKS_<chainId> override the global values
+ * @param {Array} sources - Parsed sources
+ * @param {Object} defaults - { rpcUrls, confirmationBlocks }
+ * @returns {Object} { [chainId]: { chainId, rpcUrls, confirmationBlocks } }
+ */
+function buildChains(sources, defaults) {
+  const chains = {};
+
+  for (const { chainId } of sources) {
+    const rpcUrls = (process.env[`RPC_URLS_${chainId}`] || '')
+      .split(',')
+      .map(url => url.trim())
+      .filter(Boolean);
+    const confirmations = process.env[`CONFIRMATION_BLOCKS_${chainId}`];
+
+    chains[chainId] = {
+      chainId,
+      rpcUrls: rpcUrls.length > 0 ? rpcUrls : defaults.rpcUrls,
+      confirmationBlocks: confirmations !== undefined
+        ? parseInt(confirmations, 10)
+        : defaults.confirmationBlocks,
+    };
+  }
+
+  return chains;
+}
+
 export const config = {
   // Server configuration
   port: process.env.PORT || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
 
   // Blockchain configuration
-  rpcUrl: process.env.RPC_URL || 'wss://eth-sepolia.g.alchemy.com/v2/demo',
+  rpcUrl: process.env.RPC_URL || (process.env.RPC_URLS || '').split(',')[0].trim() || 'wss://eth-sepolia.g.alchemy.com/v2/demo',
+  // Failover endpoints (comma-separated); falls back to RPC_URL
+  rpcUrls: (process.env.RPC_URLS || process.env.RPC_URL || 'wss://eth-sepolia.g.alchemy.com/v2/demo')
+    .split(',')
+    .map(url => url.trim())
+    .filter(Boolean),
   chainId: parseInt(process.env.CHAIN_ID || '11155111', 10),
 
   // Contract configuration
   contractAddress: process.env.CONTRACT_ADDRESS || '0x0000000000000000000000000000000000000000',
   blockStart: parseInt(process.env.BLOCK_START || '0', 10),
 
+  // Workflow definitions (one JSON file per contract type, see definitions/)
+  definitionsDir: process.env.WORKFLOW_DEFINITIONS_DIR ||
+    fileURLToPath(new URL('../definitions', import.meta.url)),
+  defaultDefinition: process.env.WORKFLOW_DEFINITION || 'x402-hello-world',
+
   // Database configuration
   databaseUrl: process.env.DATABASE_URL,
 
   // Reorg safety
   confirmationBlocks: parseInt(process.env.CONFIRMATION_BLOCKS || '3', 10),
 
+  // Ingestion sources (chainId:contractAddress[:startBlock], comma-separated)
+  // Defaults to the single CHAIN_ID / CONTRACT_ADDRESS / BLOCK_START source
+  sources: [],
+  // Per-chain RPC endpoints and confirmations (derived from sources)
+  chains: {},
+
+  // Reorg detection: how many recent blocks to re-check each poll
+  reorgCheckDepth: parseInt(process.env.REORG_CHECK_DEPTH || '64', 10),
+
   // Polling configuration
   pollIntervalMs: parseInt(process.env.POLL_INTERVAL_MS || '5000', 10),
+  // Confirmed blocks processed per poll; while behind, polls run back to back
+  maxBlocksPerPoll: parseInt(process.env.MAX_BLOCKS_PER_POLL || '10000', 10),
+
+  // RPC endpoint health scoring and failover
+  rpcHealthWindow: parseInt(process.env.RPC_HEALTH_WINDOW || '20', 10),
+  rpcHealthIntervalMs: parseInt(process.env.RPC_HEALTH_INTERVAL_MS || '15000', 10),
+  rpcMaxLagBlocks: parseInt(process.env.RPC_MAX_LAG_BLOCKS || '10', 10),
+  rpcFailureThreshold: parseInt(process.env.RPC_FAILURE_THRESHOLD || '3', 10),
+  rpcCooldownMs: parseInt(process.env.RPC_COOLDOWN_MS || '30000', 10),
+  rpcTimeoutMs: parseInt(process.env.RPC_TIMEOUT_MS || '20000', 10),
+
+  // Recorded JSON-RPC fixtures: 'record' appends responses to the file, 'replay'
+  // serves them back with no network (see blockchain/fixtures.js)
+  rpcFixtureMode: process.env.RPC_FIXTURE_MODE || '',
+  rpcFixtureFile: process.env.RPC_FIXTURE_FILE || '',
+
+  // getLogs block-range chunking (adaptive; per-host max via GETLOGS_RANGE_LIMITS)
+  getLogsMaxRange: parseInt(process.env.GETLOGS_MAX_RANGE || '2000', 10),
+  getLogsMinRange: parseInt(process.env.GETLOGS_MIN_RANGE || '10', 10),
+  getLogsGrowAfter: parseInt(process.env.GETLOGS_GROW_AFTER || '5', 10),
+  getLogsRangeLimits: parseRangeLimits(process.env.GETLOGS_RANGE_LIMITS),
+
+  // RPC caches (entries)
+  blockCacheSize: parseInt(process.env.BLOCK_CACHE_SIZE || '1000', 10),
+  receiptCacheSize: parseInt(process.env.RECEIPT_CACHE_SIZE || '1000', 10),
+
+  // Reverted transaction capture (fetches every confirmed block with its transactions)
+  captureReverts: process.env.CAPTURE_REVERTS !== 'false',
+  revertScanConcurrency: parseInt(process.env.REVERT_SCAN_CONCURRENCY || '4', 10),
+
+  // Max duration of a chunk's ingestion transaction
+  ingestTxTimeoutMs: parseInt(process.env.INGEST_TX_TIMEOUT_MS || '30000', 10),
+
+  // Startup replay: 'snapshot' (incremental) or 'full' (rebuild from block 0)
+  startupReplay: process.env.STARTUP_REPLAY || 'snapshot',
+  replayTxTimeoutMs: parseInt(process.env.REPLAY_TX_TIMEOUT_MS || '120000', 10),
+
+  // Reducer snapshots (0 disables periodic snapshots)
+  snapshotIntervalBlocks: parseInt(process.env.SNAPSHOT_INTERVAL_BLOCKS || '5000', 10),
+  snapshotRetain: parseInt(process.env.SNAPSHOT_RETAIN || '3', 10),
+
+  // State digests (state hash every N blocks of checkpoint progress, 0 disables; newest kept per source and kind, 0 keeps all)
+  digestIntervalBlocks: parseInt(process.env.DIGEST_INTERVAL_BLOCKS || '1000', 10),
+  digestRetain: parseInt(process.env.DIGEST_RETAIN || '10000', 10),
+
+  // Dead-letter queue (retry with exponential backoff)
+  deadLetterMaxAttempts: parseInt(process.env.DLQ_MAX_ATTEMPTS || '8', 10),
+  deadLetterBaseDelayMs: parseInt(process.env.DLQ_RETRY_BASE_MS || '30000', 10),
+  deadLetterMaxDelayMs: parseInt(process.env.DLQ_RETRY_MAX_MS || '3600000', 10),
+
+  // Per-phase SLAs in seconds (0 disables): start -> decision -> settlement -> completion
+  slaDecisionSeconds: parseInt(process.env.SLA_DECISION_SECONDS || '3600', 10),
+  slaSettlementSeconds: parseInt(process.env.SLA_SETTLEMENT_SECONDS || '3600', 10),
+  slaCompletionSeconds: parseInt(process.env.SLA_COMPLETION_SECONDS || '3600', 10),
+
+  // Live updates (GET /stream)
+  streamHeartbeatMs: parseInt(process.env.STREAM_HEARTBEAT_MS || '15000', 10),
+  streamRetryMs: parseInt(process.env.STREAM_RETRY_MS || '3000', 10),
+  streamReplayLimit: parseInt(process.env.STREAM_REPLAY_LIMIT || '1000', 10),
+
+  // Outbound webhooks (retry with exponential backoff)
+  webhookPollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '5000', 10),
+  webhookTimeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10),
+  webhookBatchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE || '20', 10),
+  webhookMaxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10),
+  webhookRetryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000', 10),
+  webhookRetryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS || '3600000', 10),
+
+  // Admin API (disabled when unset)
+  adminToken: process.env.ADMIN_TOKEN || null,
 };
 
+config.sources = parseSources(process.env.SOURCES, {
+  chainId: config.chainId,
+  contractAddress: config.contractAddress,
+  startBlock: config.blockStart,
+  definitionId: config.defaultDefinition,
+});
+config.chains = buildChains(config.sources, {
+  rpcUrls: config.rpcUrls,
+  confirmationBlocks: config.confirmationBlocks,
+});
+
 // Workflow status constants
 export const WorkflowStatus = {
   RUNNING: 'running',
@@ -40,18 +215,61 @@ export const WorkflowStatus = {
 
 // Validate required configuration
 export function validateConfig() {
-  const required = ['rpcUrl', 'contractAddress', 'databaseUrl'];
-  const missing = required.filter(key => {
-    if (key === 'contractAddress') {
-      return !config[key] || config[key] === '0x0000000000000000000000000000000000000000';
+  const missing = [];
+  if (!config.databaseUrl) {
+    missing.push('databaseUrl');
+  }
+
+  const invalid = [];
+  const seen = new Set();
+
+  for (const source of config.sources) {
+    const label = `${source.chainId}:${source.contractAddress}`;
+
+    if (!Number.isInteger(source.chainId) || source.chainId <= 0) {
+      invalid.push(`${label} (chainId)`);
     }
-    return !config[key];
-  });
+    if (!/^0x[0-9a-f]{40}$/.test(source.contractAddress) ||
+        source.contractAddress === '0x0000000000000000000000000000000000000000') {
+      invalid.push(`${label} (contractAddress)`);
+    }
+    if (!Number.isInteger(source.startBlock) || source.startBlock < 0) {
+      invalid.push(`${label} (startBlock)`);
+    }
+    if (seen.has(label)) {
+      invalid.push(`${label} (duplicate)`);
+    }
+    seen.add(label);
+  }
+
+  for (const chain of Object.values(config.chains)) {
+    if (chain.rpcUrls.length === 0) {
+      missing.push(`RPC_URLS_${chain.chainId}`);
+    }
+  }
+
+  let fixtureError = null;
+  if (config.rpcFixtureMode && !['record', 'replay'].includes(config.rpcFixtureMode)) {
+    fixtureError = `Invalid RPC_FIXTURE_MODE: ${config.rpcFixtureMode} (expected record or replay)`;
+  } else if (config.rpcFixtureMode && !config.rpcFixtureFile) {
+    missing.push('RPC_FIXTURE_FILE');
+  } else if (config.rpcFixtureMode === 'replay' && !existsSync(config.rpcFixtureFile)) {
+    fixtureError = `RPC fixture file not found: ${config.rpcFixtureFile}`;
+  }
 
   if (missing.length > 0) {
     console.error(`❌ Missing required configuration: ${missing.join(', ')}`);
     console.error('❌ Please update .env file');
   }
 
-  return missing.length === 0;
+  if (invalid.length > 0) {
+    console.error(`❌ Invalid sources: ${invalid.join(', ')}`);
+    console.error('❌ Expected SOURCES=chainId:contractAddress[:startBlock[:definition]],...');
+  }
+
+  if (fixtureError) {
+    console.error(`❌ ${fixtureError}`);
+  }
+
+  return missing.length === 0 && invalid.length === 0 && !fixtureError;
 }
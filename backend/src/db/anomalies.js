@@ -0,0 +1,155 @@
+/**
+ * Workflow anomalies
+ * Events that violate the lifecycle state machine (see reducer.js checkTransition),
+ * e.g. a PAYMENT_EXECUTED with no WORKFLOW_STARTED or a second WORKFLOW_STARTED
+ * after the workflow failed. The event stays in ChainEvent but is not applied.
+ *
+ * Anomalies are derived data: ingestion records them as events arrive, and
+ * replay deletes and re-derives them together with WorkflowState.
+ */
+
+import { getPrismaClient } from './db.js';
+import { sourceWhere } from '../utils/sources.js';
+
+/**
+ * WorkflowAnomaly create data for an event rejected by the reducer
+ * @param {Object} event - ChainEvent (row or create data)
+ * @param {Object} anomaly - From applyEvent: { phase, status, reason }
+ * @returns {Object}
+ */
+export function toAnomalyData(event, anomaly) {
+    return {
+        chainId: event.chainId,
+        contractAddress: event.contractAddress,
+        workflowId: event.workflowId,
+        eventType: event.eventType,
+        txHash: event.txHash,
+        logIndex: event.logIndex,
+        blockNumber: event.blockNumber,
+        blockTimestamp: event.blockTimestamp,
+        phase: anomaly.phase,
+        status: anomaly.status,
+        reason: anomaly.reason,
+    };
+}
+
+/**
+ * Store an anomaly unless the event already has one (re-ingestion)
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} event - ChainEvent (row or create data)
+ * @param {Object} anomaly - From applyEvent
+ * @returns {Promise<boolean>} True if a row was created
+ */
+export async function recordAnomaly(client, event, anomaly) {
+    const existing = await client.workflowAnomaly.findUnique({
+        where: {
+            chainId_txHash_logIndex: {
+                chainId: event.chainId,
+                txHash: event.txHash,
+                logIndex: event.logIndex,
+            },
+        },
+        select: { id: true },
+    });
+
+    if (existing) {
+        return false;
+    }
+
+    await client.workflowAnomaly.create({ data: toAnomalyData(event, anomaly) });
+    return true;
+}
+
+/**
+ * Replace the anomalies matching a where-clause with freshly derived ones
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} where - Rows to delete (source, workflow and/or block range)
+ * @param {Array} anomalies - [{ event, anomaly }] from the reducer
+ */
+export async function replaceAnomalies(client, where, anomalies) {
+    await client.workflowAnomaly.deleteMany({ where });
+
+    if (anomalies.length > 0) {
+        await client.workflowAnomaly.createMany({
+            data: anomalies.map(({ event, anomaly }) => toAnomalyData(event, anomaly)),
+        });
+    }
+}
+
+/**
+ * List anomalies (most recent first)
+ * @param {Object} options - { source, workflowId, eventType, limit, offset }
+ * @returns {Promise<Array>}
+ */
+export async function listAnomalies({ source = {}, workflowId, eventType, limit = 100, offset = 0 } = {}) {
+    const prisma = getPrismaClient();
+
+    return prisma.workflowAnomaly.findMany({
+        where: {
+            ...source,
+            ...(workflowId && { workflowId }),
+            ...(eventType && { eventType }),
+        },
+        orderBy: [
+            { blockNumber: 'desc' },
+            { logIndex: 'desc' },
+        ],
+        take: limit,
+        skip: offset,
+    });
+}
+
+/**
+ * Count a source's anomalies by event type
+ * @param {Object} source - Source filter (may be empty)
+ * @returns {Promise<Object>} { total, byEventType }
+ */
+export async function countAnomalies(source = {}) {
+    const prisma = getPrismaClient();
+
+    const groups = await prisma.workflowAnomaly.groupBy({
+        by: ['eventType'],
+        where: source,
+        _count: { _all: true },
+    });
+
+    const byEventType = Object.fromEntries(groups.map(g => [g.eventType, g._count._all]));
+
+    return {
+        total: groups.reduce((total, g) => total + g._count._all, 0),
+        byEventType,
+    };
+}
+
+/**
+ * Convert an anomaly row for JSON responses
+ * @param {Object} anomaly - WorkflowAnomaly row
+ * @returns {Object}
+ */
+export function formatAnomaly(anomaly) {
+    return {
+        id: anomaly.id,
+        chainId: anomaly.chainId,
+        contractAddress: anomaly.contractAddress,
+        workflowId: anomaly.workflowId,
+        eventType: anomaly.eventType,
+        txHash: anomaly.txHash,
+        logIndex: anomaly.logIndex,
+        blockNumber: Number(anomaly.blockNumber),
+        timestamp: Number(anomaly.blockTimestamp),
+        phase: anomaly.phase ? anomaly.phase.toLowerCase() : null,
+        status: anomaly.status ? anomaly.status.toLowerCase() : null,
+        reason: anomaly.reason,
+        detectedAt: anomaly.createdAt,
+    };
+}
+
+/**
+ * Where-clause for one source's anomalies at or after a block
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} fromBlock - First block (inclusive)
+ * @returns {Object}
+ */
+export function anomaliesFromBlock(source, fromBlock) {
+    return { ...sourceWhere(source), blockNumber: { gte: BigInt(fromBlock) } };
+}
@@ -0,0 +1,112 @@
+/**
+ * Change feed
+ * In-process publish/subscribe for ingestion results. commitEvents publishes
+ * only after its transaction commits, so subscribers (GET /stream) never see
+ * an event that was rolled back.
+ *
+ * Every change carries a position (chainId, blockNumber, logIndex): log indexes
+ * are unique within a block, so the position orders a chain's events and is
+ * used as the SSE event ID for resuming with Last-Event-ID.
+ */
+
+import { EventEmitter } from 'events';
+import { getSourceDefinition } from '../definitions.js';
+import { logger } from '../utils/logger.js';
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0); // One listener per connected stream client
+
+/**
+ * Publish committed changes to every subscriber
+ * A failing subscriber is logged and skipped; the commit has already happened.
+ * @param {Array} changes - [{ event, state, anomaly, initiator }] in canonical order
+ *   (state is the workflow state after the event, null when it was an anomaly;
+ *   initiator is the workflow's, null if it does not exist)
+ */
+export function publishChanges(changes) {
+    if (changes.length === 0) {
+        return;
+    }
+
+    for (const listener of emitter.listeners('changes')) {
+        try {
+            listener(changes);
+        } catch (error) {
+            logger.error('Change feed subscriber failed', { error: error.message });
+        }
+    }
+}
+
+/**
+ * Subscribe to committed changes
+ * @param {Function} listener - (changes) => void
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeChanges(listener) {
+    emitter.on('changes', listener);
+    return () => emitter.off('changes', listener);
+}
+
+/**
+ * Stream position of an event, used as its SSE ID
+ * @param {Object} event - ChainEvent (row or create data)
+ * @returns {string} "chainId:blockNumber:logIndex"
+ */
+export function changePosition(event) {
+    return `${event.chainId}:${event.blockNumber}:${event.logIndex}`;
+}
+
+/**
+ * Parse a position produced by changePosition
+ * @param {string} id - SSE event ID
+ * @returns {Object|null} { chainId, blockNumber (BigInt), logIndex }, null if invalid
+ */
+export function parseChangePosition(id) {
+    const match = /^(\d+):(\d+):(\d+)$/.exec(String(id));
+    if (!match) {
+        return null;
+    }
+
+    return {
+        chainId: Number(match[1]),
+        blockNumber: BigInt(match[2]),
+        logIndex: Number(match[3]),
+    };
+}
+
+/**
+ * Whether an event comes after a position on the same chain
+ * @param {Object} event - ChainEvent (row or create data)
+ * @param {Object} position - From parseChangePosition
+ * @returns {boolean}
+ */
+export function isAfterPosition(event, position) {
+    const blockNumber = BigInt(event.blockNumber);
+
+    return blockNumber > position.blockNumber ||
+        (blockNumber === position.blockNumber && event.logIndex > position.logIndex);
+}
+
+/**
+ * Convert a changed event for stream messages and webhook payloads
+ * @param {Object} event - ChainEvent (row or create data)
+ * @param {Object|null} anomaly - Anomaly recorded for the event ({ reason })
+ * @returns {Object}
+ */
+export function formatChangeEvent(event, anomaly = null) {
+    const definitionEvent = getSourceDefinition(event).eventsByType.get(event.eventType);
+
+    return {
+        chainId: event.chainId,
+        contractAddress: event.contractAddress,
+        workflowId: event.workflowId,
+        eventType: event.eventType,
+        phase: definitionEvent ? definitionEvent.phase.toLowerCase() : null,
+        txHash: event.txHash,
+        logIndex: event.logIndex,
+        blockNumber: Number(event.blockNumber),
+        timestamp: Number(event.blockTimestamp),
+        payload: event.payload,
+        anomaly: anomaly ? anomaly.reason : null,
+    };
+}
@@ -0,0 +1,155 @@
+/**
+ * Counterparty analytics (GET /initiators, GET /recipients)
+ * Per-address aggregates over WorkflowState: workflow counts by outcome,
+ * outcome rates, amounts and first/last activity.
+ *
+ * Rates are over finished workflows (completed + failed + rejected), so an
+ * address's running workflows do not dilute them; they are null until one
+ * finishes. Amounts are in base units (strings). First/last seen are block
+ * timestamps: the earliest startedAt and the latest phase entry or completion.
+ * Workflows without a recipient (not yet settled) are left out of /recipients.
+ */
+
+import { Prisma } from '@prisma/client';
+import { getPrismaClient } from './db.js';
+import { logger } from '../utils/logger.js';
+import { DEFAULT_LIMIT, MAX_LIMIT, parseOffset } from '../utils/workflowQuery.js';
+
+// WorkflowState column per counterparty kind
+export const COUNTERPARTY_COLUMNS = { initiators: 'initiator', recipients: 'recipient' };
+
+const finished = `count(*) FILTER (WHERE "status" <> 'RUNNING')`;
+const rateOf = status => `count(*) FILTER (WHERE "status" = '${status}')::float8 / nullif(${finished}, 0)`;
+
+// Sort key -> SQL expression
+const SORT_EXPRESSIONS = {
+    workflows: 'count(*)',
+    totalAmount: 'coalesce(sum("amount"), 0)',
+    averageAmount: 'avg("amount")',
+    successRate: rateOf('COMPLETED'),
+    failureRate: rateOf('FAILED'),
+    rejectionRate: rateOf('REJECTED'),
+    firstSeen: 'min("startedAt")',
+    lastSeen: 'max(greatest("startedAt", "decisionAt", "settlementAt", "completedAt"))',
+};
+
+const INTEGER_PATTERN = /^\d+$/;
+
+/**
+ * Parse the GET /initiators and GET /recipients query string
+ * @param {Object} query - Express req.query
+ * @returns {Object} { sort, order, minWorkflows, limit, offset } on success, { error } on invalid input
+ */
+export function parseCounterpartyQuery(query) {
+    const sort = query.sort !== undefined ? String(query.sort) : 'workflows';
+    if (!SORT_EXPRESSIONS[sort]) {
+        return { error: `Invalid sort - expected one of ${Object.keys(SORT_EXPRESSIONS).join(', ')}` };
+    }
+
+    const order = query.order !== undefined ? String(query.order).toLowerCase() : 'desc';
+    if (!['asc', 'desc'].includes(order)) {
+        return { error: 'Invalid order - expected asc or desc' };
+    }
+
+    let minWorkflows = 1;
+    if (query.minWorkflows !== undefined) {
+        if (!INTEGER_PATTERN.test(String(query.minWorkflows))) {
+            return { error: 'Invalid minWorkflows - expected a non-negative integer' };
+        }
+        minWorkflows = Number(query.minWorkflows);
+    }
+
+    const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_LIMIT) {
+        return { error: `Invalid limit - expected 1 to ${MAX_LIMIT}` };
+    }
+
+    const offset = parseOffset(query.offset);
+    if (offset === null) {
+        return { error: 'Invalid offset - expected a non-negative integer' };
+    }
+
+    return { sort, order, minWorkflows, limit, offset };
+}
+
+/**
+ * Round a rate for responses
+ * @param {number|null} value
+ * @returns {number|null}
+ */
+function formatRate(value) {
+    return value === null ? null : Number(value.toFixed(4));
+}
+
+/**
+ * Aggregate workflows per initiator or recipient address
+ * @param {string} kind - 'initiators' or 'recipients'
+ * @param {Object} where - Source filter from parseSourceFilter
+ * @param {Object} params - From parseCounterpartyQuery
+ * @returns {Promise<Object>} { total, counterparties }
+ */
+export async function getCounterparties(kind, where, params) {
+    const prisma = getPrismaClient();
+    const column = Prisma.raw(`"${COUNTERPARTY_COLUMNS[kind]}"`);
+
+    const conditions = [Prisma.sql`${column} IS NOT NULL`];
+    if (where.chainId !== undefined) {
+        conditions.push(Prisma.sql`"chainId" = ${where.chainId}`);
+    }
+    if (where.contractAddress !== undefined) {
+        conditions.push(Prisma.sql`"contractAddress" = ${where.contractAddress}`);
+    }
+    const filter = Prisma.sql`
+        FROM "WorkflowState"
+        WHERE ${Prisma.join(conditions, ' AND ')}
+        GROUP BY ${column}
+        HAVING count(*) >= ${params.minWorkflows}`;
+
+    // Ties (and null rates/averages, last) are broken by address for stable pages
+    const orderBy = Prisma.raw(`${SORT_EXPRESSIONS[params.sort]} ${params.order.toUpperCase()} NULLS LAST, 1 ASC`);
+
+    try {
+        const [rows, [{ total }]] = await Promise.all([
+            prisma.$queryRaw`
+                SELECT ${column} AS address,
+                       count(*)::int AS workflows,
+                       count(*) FILTER (WHERE "status" = 'RUNNING')::int AS running,
+                       count(*) FILTER (WHERE "status" = 'COMPLETED')::int AS completed,
+                       count(*) FILTER (WHERE "status" = 'FAILED')::int AS failed,
+                       count(*) FILTER (WHERE "status" = 'REJECTED')::int AS rejected,
+                       ${Prisma.raw(rateOf('COMPLETED'))} AS "successRate",
+                       ${Prisma.raw(rateOf('FAILED'))} AS "failureRate",
+                       ${Prisma.raw(rateOf('REJECTED'))} AS "rejectionRate",
+                       coalesce(sum("amount"), 0)::text AS "totalAmount",
+                       round(avg("amount"))::text AS "averageAmount",
+                       ${Prisma.raw(SORT_EXPRESSIONS.firstSeen)} AS "firstSeen",
+                       ${Prisma.raw(SORT_EXPRESSIONS.lastSeen)} AS "lastSeen"
+                ${filter}
+                ORDER BY ${orderBy}
+                LIMIT ${params.limit} OFFSET ${params.offset}`,
+            prisma.$queryRaw`SELECT count(*)::int AS total FROM (SELECT 1 ${filter}) AS counterparties`,
+        ]);
+
+        return {
+            total,
+            counterparties: rows.map(row => ({
+                address: row.address,
+                workflows: row.workflows,
+                running: row.running,
+                completed: row.completed,
+                failed: row.failed,
+                rejected: row.rejected,
+                successRate: formatRate(row.successRate),
+                failureRate: formatRate(row.failureRate),
+                rejectionRate: formatRate(row.rejectionRate),
+                totalAmount: row.totalAmount,
+                averageAmount: row.averageAmount,
+                firstSeen: Number(row.firstSeen),
+                lastSeen: Number(row.lastSeen),
+            })),
+        };
+    } catch (error) {
+        logger.error('Failed to aggregate counterparties', { kind, ...where, error: error.message });
+        throw error;
+    }
+}
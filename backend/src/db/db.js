@@ -99,26 +99,86 @@ export async function checkDatabaseHealth() {
 }
 
 /**
- * Initialize system state if not exists
+ * Initialize a checkpoint row for every configured source
+ * New sources start just before their startBlock
  */
 export async function initializeSystemState() {
     const client = getPrismaClient();
 
     try {
-        // Upsert system state (singleton)
-        await client.systemState.upsert({
-            where: { id: 1 },
-            update: {},
-            create: {
-                id: 1,
-                lastProcessedBlock: BigInt(0),
-                confirmationBlocks: 3,
-            },
+        for (const source of config.sources) {
+            await client.systemState.upsert({
+                where: {
+                    chainId_contractAddress: {
+                        chainId: source.chainId,
+                        contractAddress: source.contractAddress,
+                    },
+                },
+                update: {},
+                create: {
+                    chainId: source.chainId,
+                    contractAddress: source.contractAddress,
+                    lastProcessedBlock: BigInt(Math.max(source.startBlock - 1, 0)),
+                    confirmationBlocks: config.chains[source.chainId].confirmationBlocks,
+                },
+            });
+        }
+
+        logger.info('System state initialized', { sources: config.sources.length });
+    } catch (error) {
+        logger.error('Failed to initialize system state', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Assign rows from before multi-source support (chainId 0) to the first configured source
+ * The multi-source migration leaves those rows unassigned since it cannot know the source
+ * @returns {Promise<number>} Number of event rows adopted
+ */
+export async function adoptLegacyRows() {
+    const client = getPrismaClient();
+    const [source] = config.sources;
+    const legacy = { chainId: 0 };
+    const data = { chainId: source.chainId, contractAddress: source.contractAddress };
+
+    try {
+        const adopted = await client.$transaction(async (tx) => {
+            const legacyCheckpoint = await tx.systemState.findFirst({ where: legacy });
+            const events = await tx.chainEvent.updateMany({ where: legacy, data });
+
+            if (!legacyCheckpoint && events.count === 0) {
+                return 0;
+            }
+
+            await tx.workflowState.updateMany({ where: legacy, data });
+            await tx.deadLetterEvent.updateMany({ where: legacy, data });
+            await tx.reorgAudit.updateMany({ where: legacy, data });
+
+            // Keep the legacy checkpoint unless the source already has one
+            const existing = await tx.systemState.findFirst({ where: data });
+            if (legacyCheckpoint && !existing) {
+                await tx.systemState.updateMany({ where: legacy, data });
+            } else {
+                await tx.systemState.deleteMany({ where: legacy });
+            }
+
+            return events.count;
+        }, {
+            timeout: config.replayTxTimeoutMs,
         });
 
-        logger.info('System state initialized');
+        if (adopted > 0) {
+            logger.warn('Assigned legacy rows to the first configured source', {
+                chainId: source.chainId,
+                contractAddress: source.contractAddress,
+                events: adopted,
+            });
+        }
+
+        return adopted;
     } catch (error) {
-        logger.error('Failed to initialize system state', { error: error.message });
+        logger.error('Failed to adopt legacy rows', { error: error.message });
         throw error;
     }
 }
@@ -0,0 +1,236 @@
+/**
+ * Dead-letter queue for events that fail to process
+ * Failed logs are stored with the error, attempt count and raw log
+ * so the listener can retry them with exponential backoff
+ *
+ * Status lifecycle:
+ * PENDING   -> retried by the listener when nextAttemptAt is due
+ * EXHAUSTED -> DLQ_MAX_ATTEMPTS reached, only retried manually
+ * RESOLVED  -> retry succeeded
+ * DISCARDED -> dropped by an operator
+ */
+
+import { getPrismaClient } from './db.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { deadLettered } from '../utils/metrics.js';
+import { sourceWhere } from '../utils/sources.js';
+
+/**
+ * Convert an ethers Log into a plain JSON object
+ * Keeps everything needed to re-parse and re-process it later
+ * @param {Object} log - Raw log from eth_getLogs
+ * @returns {Object}
+ */
+export function serializeLog(log) {
+    return {
+        address: log.address,
+        topics: [...log.topics],
+        data: log.data,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        transactionIndex: log.transactionIndex,
+        index: log.index,
+    };
+}
+
+/**
+ * Backoff delay before the next retry
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export function computeRetryDelay(attempts) {
+    const delay = config.deadLetterBaseDelayMs * 2 ** Math.max(attempts - 1, 0);
+    return Math.min(delay, config.deadLetterMaxDelayMs);
+}
+
+/**
+ * Record a failed processing attempt
+ * Creates the dead letter on first failure, bumps attempts afterwards
+ * @param {Object} source - { chainId, contractAddress } the log came from
+ * @param {Object} log - Raw log that failed
+ * @param {string} eventType - Definition event type
+ * @param {Error} error - Processing error
+ * @returns {Promise<Object>} Dead-letter row
+ */
+export async function recordDeadLetter(source, log, eventType, error) {
+    const prisma = getPrismaClient();
+    const now = Date.now();
+    const key = {
+        chainId_txHash_logIndex: {
+            chainId: source.chainId,
+            txHash: log.transactionHash,
+            logIndex: log.index,
+        },
+    };
+
+    try {
+        const existing = await prisma.deadLetterEvent.findUnique({ where: key });
+
+        const attempts = existing ? existing.attempts + 1 : 1;
+        const status = attempts >= config.deadLetterMaxAttempts ? 'EXHAUSTED' : 'PENDING';
+        const nextAttemptAt = new Date(now + computeRetryDelay(attempts));
+
+        const deadLetter = await prisma.deadLetterEvent.upsert({
+            where: key,
+            update: {
+                error: error.message,
+                attempts,
+                status,
+                nextAttemptAt,
+                lastAttemptAt: new Date(now),
+            },
+            create: {
+                ...sourceWhere(source),
+                eventType,
+                rawLog: serializeLog(log),
+                txHash: log.transactionHash,
+                logIndex: log.index,
+                blockNumber: BigInt(log.blockNumber),
+                error: error.message,
+                attempts,
+                status,
+                nextAttemptAt,
+                lastAttemptAt: new Date(now),
+            },
+        });
+
+        if (!existing) {
+            deadLettered.inc({ chain_id: source.chainId, event_type: eventType });
+        }
+
+        logger.warn('Event dead-lettered', {
+            ...sourceWhere(source),
+            eventType,
+            txHash: log.transactionHash,
+            logIndex: log.index,
+            attempts,
+            status,
+            nextAttemptAt: nextAttemptAt.toISOString(),
+        });
+
+        return deadLetter;
+    } catch (dlqError) {
+        logger.error('Failed to record dead letter', {
+            txHash: log.transactionHash,
+            logIndex: log.index,
+            error: dlqError.message,
+        });
+        throw dlqError;
+    }
+}
+
+/**
+ * A source's dead letters due for an automatic retry
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} limit - Max rows to return
+ * @returns {Promise<Array>}
+ */
+export async function getDueDeadLetters(source, limit = 50) {
+    const prisma = getPrismaClient();
+
+    return prisma.deadLetterEvent.findMany({
+        where: {
+            ...sourceWhere(source),
+            status: 'PENDING',
+            nextAttemptAt: { lte: new Date() },
+        },
+        orderBy: [
+            { blockNumber: 'asc' },
+            { logIndex: 'asc' },
+        ],
+        take: limit,
+    });
+}
+
+/**
+ * Mark a dead letter as successfully reprocessed
+ * @param {string} id - Dead-letter ID
+ */
+export async function resolveDeadLetter(id) {
+    const prisma = getPrismaClient();
+
+    return prisma.deadLetterEvent.update({
+        where: { id },
+        data: { status: 'RESOLVED', lastAttemptAt: new Date() },
+    });
+}
+
+/**
+ * Drop a dead letter without reprocessing it
+ * @param {string} id - Dead-letter ID
+ * @returns {Promise<Object|null>} Updated row, or null if not found
+ */
+export async function discardDeadLetter(id) {
+    const prisma = getPrismaClient();
+
+    const existing = await prisma.deadLetterEvent.findUnique({ where: { id } });
+    if (!existing) {
+        return null;
+    }
+
+    const discarded = await prisma.deadLetterEvent.update({
+        where: { id },
+        data: { status: 'DISCARDED' },
+    });
+
+    logger.warn('Dead letter discarded', {
+        id,
+        txHash: existing.txHash,
+        logIndex: existing.logIndex,
+    });
+
+    return discarded;
+}
+
+/**
+ * List dead letters for the API
+ * @param {Object} options - Query options
+ * @param {Object} options.source - Source filter from parseSourceFilter (optional)
+ * @param {string} options.status - Filter by status (optional)
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Page offset
+ * @returns {Promise<Array>}
+ */
+export async function listDeadLetters({ source = {}, status, limit = 100, offset = 0 } = {}) {
+    const prisma = getPrismaClient();
+
+    return prisma.deadLetterEvent.findMany({
+        where: {
+            ...source,
+            ...(status && { status }),
+        },
+        orderBy: [
+            { chainId: 'asc' },
+            { blockNumber: 'asc' },
+            { logIndex: 'asc' },
+        ],
+        take: limit,
+        skip: offset,
+    });
+}
+
+/**
+ * Convert a dead-letter row for JSON responses
+ * @param {Object} deadLetter - DeadLetterEvent row
+ * @returns {Object}
+ */
+export function formatDeadLetter(deadLetter) {
+    return {
+        id: deadLetter.id,
+        chainId: deadLetter.chainId,
+        contractAddress: deadLetter.contractAddress,
+        eventType: deadLetter.eventType,
+        txHash: deadLetter.txHash,
+        logIndex: deadLetter.logIndex,
+        blockNumber: Number(deadLetter.blockNumber),
+        status: deadLetter.status.toLowerCase(),
+        error: deadLetter.error,
+        attempts: deadLetter.attempts,
+        nextAttemptAt: deadLetter.nextAttemptAt,
+        lastAttemptAt: deadLetter.lastAttemptAt,
+        createdAt: deadLetter.createdAt,
+        rawLog: deadLetter.rawLog,
+    };
+}
@@ -0,0 +1,441 @@
+/**
+ * State digests (GET /checkpoints)
+ * A digest describes a source as of a checkpoint block:
+ *
+ * - eventsHash: a rolling hash of the source's ChainEvent stream up to the
+ *   block, in canonical order (blockNumber, transactionIndex, logIndex):
+ *   h0 = 32 zero bytes, h(n) = sha256(h(n-1) || sha256(canonical event))
+ * - stateHash: sha256 of the source's WorkflowState set as of the block, one
+ *   canonical line per workflow sorted by workflowId (reducer-derived columns
+ *   only, so `stalled` is left out)
+ *
+ * Both are independent of row order, key order and database, so two observer
+ * instances (or a replay) that agree have equal digests at the same block.
+ *
+ * Every committed chunk stores an events-only digest for its checkpoint block,
+ * in the chunk's ingestion transaction: extending the previous digest's hash
+ * only reads the events since that digest. The state hash reads every workflow
+ * of the source, which would make each chunk's commit O(total workflows), so it
+ * is only added every DIGEST_INTERVAL_BLOCKS of checkpoint progress, after the
+ * poll's chunks have committed and outside the ingestion transactions.
+ *
+ * The state hash is also null for digests taken while a reorg rebuild is pending
+ * (the affected workflows are only rebuilt once the range is re-ingested).
+ * Digests from a block on are deleted when events at or below it change (reorg
+ * rollback, checkpoint rewind, late dead-letter or backfill inserts); the next
+ * digest then folds every event since the latest remaining one.
+ */
+
+import { getPrismaClient } from './db.js';
+import { REDUCER_VERSION, applyEvent } from './reducer.js';
+import { toWorkflowStateData } from './workflowState.js';
+import { getSourceDefinition } from '../definitions.js';
+import { config } from '../config.js';
+import { canonicalJson, columnString, sha256Hex } from '../utils/hash.js';
+import { DEFAULT_LIMIT, MAX_LIMIT, parseOffset } from '../utils/workflowQuery.js';
+import { logger } from '../utils/logger.js';
+import { sourceWhere } from '../utils/sources.js';
+
+const ZERO_HASH = `0x${'00'.repeat(32)}`;
+
+// ChainEvent rows read per query when folding
+const EVENT_BATCH_SIZE = 1000;
+
+const BLOCK_PATTERN = /^\d+$/;
+
+/**
+ * Hash of one event's canonical form
+ * @param {Object} event - ChainEvent row or create data
+ * @returns {string}
+ */
+export function hashEvent(event) {
+    return sha256Hex(canonicalJson({
+        chainId: event.chainId,
+        contractAddress: event.contractAddress.toLowerCase(),
+        workflowId: event.workflowId,
+        eventType: event.eventType,
+        payload: event.payload,
+        blockNumber: String(event.blockNumber),
+        transactionIndex: event.transactionIndex,
+        logIndex: event.logIndex,
+        txHash: event.txHash.toLowerCase(),
+        blockHash: event.blockHash.toLowerCase(),
+        blockTimestamp: String(event.blockTimestamp),
+    }));
+}
+
+/**
+ * Extend a rolling events hash with the next event
+ * @param {string} previousHash - Hash after the previous event (ZERO_HASH before the first)
+ * @param {Object} event - ChainEvent row or create data
+ * @returns {string}
+ */
+export function foldEventHash(previousHash, event) {
+    return sha256Hex(Buffer.concat([
+        Buffer.from(previousHash.slice(2), 'hex'),
+        Buffer.from(hashEvent(event).slice(2), 'hex'),
+    ]));
+}
+
+/**
+ * Hash of a workflow state set
+ * @param {Array} states - WorkflowState rows or reducer states
+ * @returns {Object} { stateHash, workflowCount }
+ */
+export function hashStates(states) {
+    const lines = [...states]
+        .sort((a, b) => (a.workflowId < b.workflowId ? -1 : a.workflowId > b.workflowId ? 1 : 0))
+        .map((state) => {
+            const columns = { workflowId: state.workflowId };
+            for (const [field, value] of Object.entries(toWorkflowStateData(state))) {
+                columns[field] = columnString(value);
+            }
+            return canonicalJson(columns);
+        });
+
+    return { stateHash: sha256Hex(lines.join('\n')), workflowCount: lines.length };
+}
+
+/**
+ * Call fn for each of a source's events in a block range, in canonical order
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number|null} afterBlock - Exclusive lower bound (null: from the first event)
+ * @param {number} toBlock - Inclusive upper bound
+ * @param {Function} fn - (event) => void
+ */
+async function eachEvent(client, source, afterBlock, toBlock, fn) {
+    const blockNumber = { lte: BigInt(toBlock) };
+    if (afterBlock !== null) {
+        blockNumber.gt = BigInt(afterBlock);
+    }
+
+    let last = null;
+    for (;;) {
+        const events = await client.chainEvent.findMany({
+            where: { ...sourceWhere(source), blockNumber },
+            orderBy: [
+                { blockNumber: 'asc' },
+                { transactionIndex: 'asc' },
+                { logIndex: 'asc' },
+                { id: 'asc' },
+            ],
+            take: EVENT_BATCH_SIZE,
+            ...(last ? { cursor: { id: last.id }, skip: 1 } : {}),
+        });
+
+        events.forEach(fn);
+
+        if (events.length < EVENT_BATCH_SIZE) {
+            return;
+        }
+        last = events[events.length - 1];
+    }
+}
+
+/**
+ * Extend the latest digest before a block with the events up to the block
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {bigint} blockNumber - Block the digest is as of
+ * @returns {Promise<Object>} { eventCount, eventsHash }
+ */
+async function foldEventsTo(client, source, blockNumber) {
+    const previous = await client.stateDigest.findFirst({
+        where: { ...sourceWhere(source), blockNumber: { lt: blockNumber } },
+        orderBy: { blockNumber: 'desc' },
+    });
+
+    let eventsHash = previous ? previous.eventsHash : ZERO_HASH;
+    let eventCount = previous ? previous.eventCount : 0;
+    await eachEvent(client, source, previous ? Number(previous.blockNumber) : null, Number(blockNumber), (event) => {
+        eventsHash = foldEventHash(eventsHash, event);
+        eventCount++;
+    });
+
+    return { eventCount, eventsHash };
+}
+
+/**
+ * Keep the newest DIGEST_RETAIN events-only digests and DIGEST_RETAIN digests
+ * with a state hash (chunk digests would otherwise crowd out the interval ones)
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} source - { chainId, contractAddress }
+ */
+async function pruneDigests(client, source) {
+    if (config.digestRetain <= 0) {
+        return;
+    }
+
+    for (const stateHash of [null, { not: null }]) {
+        const where = { ...sourceWhere(source), stateHash };
+        const oldestKept = await client.stateDigest.findFirst({
+            where,
+            orderBy: { blockNumber: 'desc' },
+            skip: config.digestRetain - 1,
+            select: { blockNumber: true },
+        });
+        if (oldestKept) {
+            await client.stateDigest.deleteMany({ where: { ...where, blockNumber: { lt: oldestKept.blockNumber } } });
+        }
+    }
+}
+
+/**
+ * Store the events-only digest of a committed chunk's checkpoint
+ * Called inside the chunk's ingestion transaction, after its events are inserted
+ * @param {Object} tx - Transaction client
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {Object} checkpoint - { blockNumber, blockHash }
+ * @returns {Promise<Object|null>} StateDigest row, null when digests are disabled
+ */
+export async function recordChunkDigest(tx, source, checkpoint) {
+    if (config.digestIntervalBlocks <= 0 || !checkpoint.blockHash) {
+        return null;
+    }
+
+    const where = sourceWhere(source);
+    const blockNumber = BigInt(checkpoint.blockNumber);
+    const data = {
+        blockHash: checkpoint.blockHash,
+        ...await foldEventsTo(tx, source, blockNumber),
+        workflowCount: null,
+        stateHash: null,
+        reducerVersion: REDUCER_VERSION,
+        definitionHash: getSourceDefinition(source).hash,
+    };
+
+    const digest = await tx.stateDigest.upsert({
+        where: { chainId_contractAddress_blockNumber: { ...where, blockNumber } },
+        update: data,
+        create: { ...where, blockNumber, ...data },
+    });
+
+    await pruneDigests(tx, source);
+    return digest;
+}
+
+/**
+ * Store the digest of a source's current checkpoint
+ * Runs in its own repeatable-read transaction (a consistent view of events,
+ * states and checkpoint) after ingestion has committed, so hashing every
+ * workflow never holds up an ingestion transaction.
+ * @param {Object} source - { chainId, contractAddress }
+ * @returns {Promise<Object|null>} StateDigest row, null before the first checkpoint
+ */
+export async function recordDigest(source) {
+    const prisma = getPrismaClient();
+    const where = sourceWhere(source);
+
+    return prisma.$transaction(async (tx) => {
+        const systemState = await tx.systemState.findUnique({ where: { chainId_contractAddress: where } });
+        if (!systemState || !systemState.lastProcessedBlockHash) {
+            return null;
+        }
+
+        const blockNumber = systemState.lastProcessedBlock;
+        const { eventCount, eventsHash } = await foldEventsTo(tx, source, blockNumber);
+
+        // Workflows touched by a reorg hold stale state until they are rebuilt
+        const pendingReorgs = await tx.reorgAudit.count({ where: { ...where, rebuiltAt: null } });
+        const state = pendingReorgs > 0
+            ? { stateHash: null, workflowCount: null }
+            : hashStates(await tx.workflowState.findMany({ where }));
+
+        const data = {
+            blockHash: systemState.lastProcessedBlockHash,
+            eventCount,
+            eventsHash,
+            ...state,
+            reducerVersion: REDUCER_VERSION,
+            definitionHash: getSourceDefinition(source).hash,
+        };
+
+        const digest = await tx.stateDigest.upsert({
+            where: { chainId_contractAddress_blockNumber: { ...where, blockNumber } },
+            update: data,
+            create: { ...where, blockNumber, ...data },
+        });
+
+        await pruneDigests(tx, source);
+
+        return digest;
+    }, {
+        isolationLevel: 'RepeatableRead',
+        timeout: config.replayTxTimeoutMs,
+    });
+}
+
+/**
+ * Record a digest with a state hash when the checkpoint has moved
+ * DIGEST_INTERVAL_BLOCKS past the last one
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} checkpointBlock - Source's current lastProcessedBlock
+ * @returns {Promise<Object|null>} StateDigest row if one was recorded
+ */
+export async function maybeRecordDigest(source, checkpointBlock) {
+    if (config.digestIntervalBlocks <= 0) {
+        return null;
+    }
+
+    const latest = await getPrismaClient().stateDigest.findFirst({
+        where: { ...sourceWhere(source), stateHash: { not: null } },
+        orderBy: { blockNumber: 'desc' },
+        select: { blockNumber: true },
+    });
+
+    const lastDigestBlock = latest ? Number(latest.blockNumber) : 0;
+    if (checkpointBlock - lastDigestBlock < config.digestIntervalBlocks) {
+        return null;
+    }
+
+    try {
+        const digest = await recordDigest(source);
+        if (digest) {
+            logger.info('State digest recorded', {
+                ...sourceWhere(source),
+                blockNumber: Number(digest.blockNumber),
+                eventCount: digest.eventCount,
+                workflowCount: digest.workflowCount,
+            });
+        }
+        return digest;
+    } catch (error) {
+        // Concurrent writes (backfill, reorg rollback) abort it; the next poll tries again
+        logger.warn('Failed to record state digest', { ...sourceWhere(source), error: error.message });
+        return null;
+    }
+}
+
+/**
+ * Delete a source's digests at or beyond a block (events there changed)
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} blockNumber - First invalid block
+ */
+export function invalidateDigestsFrom(client, source, blockNumber) {
+    return client.stateDigest.deleteMany({
+        where: { ...sourceWhere(source), blockNumber: { gte: BigInt(blockNumber) } },
+    });
+}
+
+/**
+ * Recompute a digest from the stored events alone (reducer run in memory)
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} blockNumber - Block the digest is as of
+ * @returns {Promise<Object>} { eventCount, eventsHash, workflowCount, stateHash }
+ */
+export async function recomputeDigest(source, blockNumber) {
+    const definition = getSourceDefinition(source);
+    const states = new Map();
+    let eventsHash = ZERO_HASH;
+    let eventCount = 0;
+
+    await eachEvent(getPrismaClient(), source, null, blockNumber, (event) => {
+        eventsHash = foldEventHash(eventsHash, event);
+        eventCount++;
+
+        const { state } = applyEvent(states.get(event.workflowId) || null, event, definition);
+        if (state) {
+            states.set(event.workflowId, state);
+        }
+    });
+
+    return { eventCount, eventsHash, ...hashStates([...states.values()]) };
+}
+
+/**
+ * Parse the GET /checkpoints query string
+ * @param {Object} query - Express req.query
+ * @returns {Object} { fromBlock, toBlock, limit, offset } on success, { error } on invalid input
+ */
+export function parseDigestQuery(query) {
+    const range = {};
+    for (const param of ['fromBlock', 'toBlock']) {
+        if (query[param] === undefined) {
+            continue;
+        }
+        if (!BLOCK_PATTERN.test(String(query[param]))) {
+            return { error: `Invalid ${param} - expected a block number` };
+        }
+        range[param] = Number(query[param]);
+    }
+
+    const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_LIMIT) {
+        return { error: `Invalid limit - expected 1 to ${MAX_LIMIT}` };
+    }
+
+    const offset = parseOffset(query.offset);
+    if (offset === null) {
+        return { error: 'Invalid offset - expected a non-negative integer' };
+    }
+
+    return { ...range, limit, offset };
+}
+
+/**
+ * List digests, most recent block first
+ * @param {Object} where - Source filter from parseSourceFilter
+ * @param {Object} params - From parseDigestQuery
+ * @returns {Promise<Object>} { total, checkpoints }
+ */
+export async function listDigests(where, params) {
+    const prisma = getPrismaClient();
+    const filter = { ...where };
+
+    if (params.fromBlock !== undefined || params.toBlock !== undefined) {
+        filter.blockNumber = {};
+        if (params.fromBlock !== undefined) {
+            filter.blockNumber.gte = BigInt(params.fromBlock);
+        }
+        if (params.toBlock !== undefined) {
+            filter.blockNumber.lte = BigInt(params.toBlock);
+        }
+    }
+
+    const [total, rows] = await Promise.all([
+        prisma.stateDigest.count({ where: filter }),
+        prisma.stateDigest.findMany({
+            where: filter,
+            orderBy: [{ blockNumber: 'desc' }, { chainId: 'asc' }, { contractAddress: 'asc' }],
+            take: params.limit,
+            skip: params.offset,
+        }),
+    ]);
+
+    return { total, checkpoints: rows.map(formatDigest) };
+}
+
+/**
+ * A source's digest at a block
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} blockNumber
+ * @returns {Promise<Object|null>} StateDigest row
+ */
+export function getDigest(source, blockNumber) {
+    return getPrismaClient().stateDigest.findUnique({
+        where: { chainId_contractAddress_blockNumber: { ...sourceWhere(source), blockNumber: BigInt(blockNumber) } },
+    });
+}
+
+/**
+ * Convert a StateDigest row for JSON responses
+ * @param {Object} row
+ * @returns {Object}
+ */
+export function formatDigest(row) {
+    return {
+        chainId: row.chainId,
+        contractAddress: row.contractAddress,
+        blockNumber: Number(row.blockNumber),
+        blockHash: row.blockHash,
+        eventCount: row.eventCount,
+        eventsHash: row.eventsHash,
+        workflowCount: row.workflowCount,
+        stateHash: row.stateHash,
+        reducerVersion: row.reducerVersion,
+        definitionHash: row.definitionHash,
+        createdAt: row.createdAt,
+    };
+}
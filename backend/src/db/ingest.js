@@ -0,0 +1,224 @@
+/**
+ * Atomic event ingestion
+ * Commits a chunk of events in one Prisma interactive transaction:
+ *
+ * 1. Insert each new ChainEvent (existing (chainId, txHash, logIndex) rows are skipped)
+ * 2. Apply the reducer and upsert WorkflowState (invalid transitions are
+ *    stored as WorkflowAnomaly rows instead)
+ * 3. Enqueue a WebhookDelivery per transition and matching subscription
+ * 4. Insert each new RevertedAttempt found in the chunk (not reducer input)
+ * 5. Advance the source's SystemState.lastProcessedBlock to the end of the chunk
+ * 6. Store the events-only StateDigest of the new checkpoint
+ *
+ * Either all of it lands or none does, so a crash can never leave the derived
+ * view or the checkpoint out of sync with the event log. The inserted events and
+ * resulting states are published to the change feed once the transaction commits.
+ *
+ * Fault injection: setFaultInjector() registers a hook that runs between
+ * steps and may throw to simulate a crash (used to verify rollback).
+ */
+
+import { getPrismaClient } from './db.js';
+import { applyEvent } from './reducer.js';
+import { workflowKey, upsertWorkflowState } from './workflowState.js';
+import { recordAnomaly } from './anomalies.js';
+import { publishChanges } from './changeFeed.js';
+import { enqueueWebhookDeliveries } from './webhooks.js';
+import { invalidateDigestsFrom, recordChunkDigest } from './digest.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { eventsIngested } from '../utils/metrics.js';
+import { sourceWhere } from '../utils/sources.js';
+
+/**
+ * Named points between ingestion steps where faults can be injected
+ */
+export const FaultPoint = {
+    AFTER_EVENT_INSERT: 'afterEventInsert',
+    AFTER_STATE_UPDATE: 'afterStateUpdate',
+    BEFORE_CHECKPOINT: 'beforeCheckpoint',
+    AFTER_CHECKPOINT: 'afterCheckpoint',
+};
+
+let faultInjector = null;
+
+/**
+ * Register (or clear with null) a fault-injection hook
+ * @param {Function|null} injector - (point, context) => void; throw to abort
+ */
+export function setFaultInjector(injector) {
+    faultInjector = injector;
+}
+
+async function injectFault(point, context) {
+    if (faultInjector) {
+        await faultInjector(point, context);
+    }
+}
+
+/**
+ * Sort events by canonical ordering (blockNumber, transactionIndex, logIndex)
+ * @param {Array} events - Event data objects
+ * @returns {Array} New sorted array
+ */
+export function sortEvents(events) {
+    return [...events].sort((a, b) => {
+        if (a.blockNumber !== b.blockNumber) {
+            return a.blockNumber < b.blockNumber ? -1 : 1;
+        }
+        if (a.transactionIndex !== b.transactionIndex) {
+            return a.transactionIndex - b.transactionIndex;
+        }
+        return a.logIndex - b.logIndex;
+    });
+}
+
+/**
+ * Persist events, their reducer transitions and (optionally) the checkpoint atomically
+ * @param {Object} source - { chainId, contractAddress } the events and checkpoint belong to
+ * @param {Array} events - Event data objects (ChainEvent create shape)
+ * @param {Object|null} checkpoint - { blockNumber, blockHash } to advance to, or null
+ * @param {Array} revertedAttempts - RevertedAttempt create data for the same range
+ * @returns {Promise<Object>} { inserted, duplicates, anomalies, attemptsInserted, webhookDeliveries,
+ *   workflowIds, changes }
+ */
+export async function commitEvents(source, events, checkpoint = null, revertedAttempts = []) {
+    const prisma = getPrismaClient();
+    const ordered = sortEvents(events);
+
+    const result = await prisma.$transaction(async (tx) => {
+        let inserted = 0;
+        let duplicates = 0;
+        let anomalies = 0;
+        let firstInsertedBlock = null;
+        const workflowIds = new Set();
+        const changes = [];
+
+        for (const eventData of ordered) {
+            // Idempotency: a failed insert would abort the whole transaction,
+            // so check for the (chainId, txHash, logIndex) row first
+            const existing = await tx.chainEvent.findUnique({
+                where: {
+                    chainId_txHash_logIndex: {
+                        chainId: eventData.chainId,
+                        txHash: eventData.txHash,
+                        logIndex: eventData.logIndex,
+                    },
+                },
+                select: { id: true },
+            });
+
+            if (existing) {
+                duplicates++;
+                continue;
+            }
+
+            await tx.chainEvent.create({ data: eventData });
+            inserted++;
+            // Events are in canonical order, so the first insert is the earliest
+            if (firstInsertedBlock === null) {
+                firstInsertedBlock = Number(eventData.blockNumber);
+            }
+            await injectFault(FaultPoint.AFTER_EVENT_INSERT, { event: eventData });
+
+            const currentState = await tx.workflowState.findUnique({
+                where: { chainId_contractAddress_workflowId: workflowKey(eventData) },
+            });
+
+            const { state: newState, anomaly } = applyEvent(currentState, eventData);
+
+            if (anomaly) {
+                // State is left as it was; the event is kept for audit
+                await recordAnomaly(tx, eventData, anomaly);
+                anomalies++;
+            } else if (newState) {
+                await upsertWorkflowState(tx, newState);
+                workflowIds.add(eventData.workflowId);
+            }
+            changes.push({
+                event: eventData,
+                state: anomaly ? null : newState,
+                anomaly,
+                initiator: (newState || currentState)?.initiator ?? null,
+            });
+            await injectFault(FaultPoint.AFTER_STATE_UPDATE, { event: eventData, state: newState });
+        }
+
+        const webhookDeliveries = await enqueueWebhookDeliveries(tx, changes);
+
+        let attemptsInserted = 0;
+        for (const attempt of revertedAttempts) {
+            const existing = await tx.revertedAttempt.findUnique({
+                where: { chainId_txHash: { chainId: attempt.chainId, txHash: attempt.txHash } },
+                select: { id: true },
+            });
+
+            if (!existing) {
+                await tx.revertedAttempt.create({ data: attempt });
+                attemptsInserted++;
+            }
+        }
+
+        if (checkpoint) {
+            await injectFault(FaultPoint.BEFORE_CHECKPOINT, { checkpoint });
+
+            await tx.systemState.update({
+                where: { chainId_contractAddress: sourceWhere(source) },
+                data: {
+                    lastProcessedBlock: BigInt(checkpoint.blockNumber),
+                    lastProcessedBlockHash: checkpoint.blockHash,
+                },
+            });
+            await injectFault(FaultPoint.AFTER_CHECKPOINT, { checkpoint });
+        }
+
+        // Late events (backfill, dead-letter retry) change digests at and after their block
+        if (firstInsertedBlock !== null) {
+            await invalidateDigestsFrom(tx, source, firstInsertedBlock);
+        }
+
+        // Events-only digest of the new checkpoint (the state hash is added on the interval)
+        if (checkpoint) {
+            await recordChunkDigest(tx, source, checkpoint);
+        }
+
+        return {
+            inserted,
+            duplicates,
+            anomalies,
+            attemptsInserted,
+            webhookDeliveries,
+            workflowIds: [...workflowIds],
+            changes,
+        };
+    }, {
+        timeout: config.ingestTxTimeoutMs,
+    });
+
+    for (const { event } of result.changes) {
+        eventsIngested.inc({ chain_id: event.chainId, contract: event.contractAddress, event_type: event.eventType });
+    }
+
+    publishChanges(result.changes);
+
+    if (result.anomalies > 0) {
+        logger.warn('Invalid lifecycle transitions recorded as anomalies', {
+            ...sourceWhere(source),
+            anomalies: result.anomalies,
+        });
+    }
+
+    if (result.inserted > 0 || result.attemptsInserted > 0 || checkpoint) {
+        logger.info('Chunk committed', {
+            ...sourceWhere(source),
+            eventsInserted: result.inserted,
+            duplicates: result.duplicates,
+            revertedAttempts: result.attemptsInserted,
+            webhookDeliveries: result.webhookDeliveries,
+            workflowsUpdated: result.workflowIds.length,
+            ...(checkpoint && { lastProcessedBlock: checkpoint.blockNumber }),
+        });
+    }
+
+    return result;
+}
@@ -6,95 +6,190 @@
  * - No Date.now() - use block timestamps only
  * - No side effects
  * - Same inputs always produce same outputs
+ *
+ * The state machine comes from the source's workflow definition (see
+ * definitions.js): each event type moves the workflow to its declared phase
+ * through the first transition whose `when`, `from` and `fromStatus` match.
+ * An event with no matching transition leaves the state untouched and is
+ * returned as an anomaly, which the caller stores as a WorkflowAnomaly row.
  */
 
-import { logger } from '../utils/logger.js';
+import { getSourceDefinition, NONE } from '../definitions.js';
+
+/**
+ * Reducer version
+ * Bump whenever reduceWorkflow output changes for the same events and definition.
+ * Snapshots taken with another version (or definition) are ignored and pruned.
+ */
+export const REDUCER_VERSION = 6;
+
+// Columns recording when (block timestamp) and in which transaction each phase was entered
+const PHASE_FIELDS = {
+    INTENT: { at: 'intentAt', txHash: 'intentTxHash' },
+    DECISION: { at: 'decisionAt', txHash: 'decisionTxHash' },
+    SETTLEMENT: { at: 'settlementAt', txHash: 'settlementTxHash' },
+    FINALITY: { at: 'finalityAt', txHash: 'finalityTxHash' },
+};
+
+/**
+ * Why no transition of an event type applies to the current state
+ * @param {Object} definitionEvent - Compiled definition event
+ * @param {Array} candidates - Transitions whose `when` matched the payload
+ * @param {Object|null} state - Current workflow state
+ * @param {Object} definition - Compiled definition
+ * @returns {string}
+ */
+function describeRejection(definitionEvent, candidates, state, definition) {
+    const { type } = definitionEvent;
+
+    if (candidates.length === 0) {
+        return `${type} payload matches no transition`;
+    }
+
+    const phase = state ? state.phase : NONE;
+    const fromPhases = [...new Set(candidates.flatMap(t => t.from))];
+
+    if (!fromPhases.includes(phase)) {
+        if (!state) {
+            return `${type} before ${definition.startTypes.join(' or ')}`;
+        }
+        if (fromPhases.includes(NONE)) {
+            return `${type} for an existing workflow (phase ${phase}, status ${state.status})`;
+        }
+        return `${type} not allowed in phase ${phase} (status ${state.status}); expected ${fromPhases.join(' or ')}`;
+    }
+
+    return `${type} not allowed with status ${state.status} in phase ${phase}`;
+}
+
+/**
+ * Check an event against the definition's state machine
+ * @param {Object} state - Current workflow state (or null)
+ * @param {Object} event - ChainEvent to apply
+ * @param {Object} definition - Compiled definition (default: the event's source)
+ * @returns {Object} { transition } when valid, { reason } otherwise
+ */
+export function checkTransition(state, event, definition = getSourceDefinition(event)) {
+    const definitionEvent = definition.eventsByType.get(event.eventType);
+    if (!definitionEvent) {
+        return { reason: `Event type ${event.eventType} is not in definition ${definition.id}` };
+    }
+
+    const payload = event.payload || {};
+    const candidates = definitionEvent.transitions.filter(transition =>
+        Object.entries(transition.when).every(([field, value]) => payload[field] === value)
+    );
+
+    const phase = state ? state.phase : NONE;
+    const transition = candidates.find(t =>
+        t.from.includes(phase) && (!t.fromStatus || (state && t.fromStatus.includes(state.status)))
+    );
+
+    if (transition) {
+        return { transition, phase: definitionEvent.phase };
+    }
+
+    return { reason: describeRejection(definitionEvent, candidates, state, definition) };
+}
+
+/**
+ * Apply a single event, validating the transition first
+ * Invalid events leave the state untouched and are reported as an anomaly
+ * @param {Object} state - Current workflow state (or null for new workflow)
+ * @param {Object} event - ChainEvent to apply
+ * @param {Object} definition - Compiled definition (default: the event's source)
+ * @returns {Object} { state, anomaly } - anomaly is null or { phase, status, reason }
+ */
+export function applyEvent(state, event, definition = getSourceDefinition(event)) {
+    const check = checkTransition(state, event, definition);
+
+    if (check.reason) {
+        return {
+            state,
+            anomaly: {
+                phase: state ? state.phase : null,
+                status: state ? state.status : null,
+                reason: check.reason,
+            },
+        };
+    }
+
+    return { state: transition(state, event, check.transition, check.phase), anomaly: null };
+}
 
 /**
  * Apply a single event to workflow state
  * @param {Object} state - Current workflow state (or null for new workflow)
  * @param {Object} event - ChainEvent to apply
+ * @param {Object} definition - Compiled definition (default: the event's source)
+ * @returns {Object|null} New workflow state (unchanged on an invalid transition)
+ */
+export function reduceWorkflow(state, event, definition = getSourceDefinition(event)) {
+    return applyEvent(state, event, definition).state;
+}
+
+/**
+ * State change for a validated event
+ * @param {Object|null} state - Current workflow state (null only for transitions from NONE)
+ * @param {Object} event - ChainEvent to apply
+ * @param {Object} transitionDef - Matched definition transition
+ * @param {string} phase - Phase the event moves the workflow to
  * @returns {Object} New workflow state
  */
-export function reduceWorkflow(state, event) {
-    const { eventType, payload, blockNumber, logIndex, blockTimestamp } = event;
+function transition(state, event, transitionDef, phase) {
+    const { payload, blockNumber, logIndex, blockTimestamp, txHash } = event;
 
     // Initialize state for new workflow
     if (!state) {
         state = {
+            chainId: event.chainId,
+            contractAddress: event.contractAddress,
             workflowId: event.workflowId,
-            status: 'RUNNING',
+            status: transitionDef.status,
+            phase,
             initiator: null,
             startedAt: blockTimestamp,
             completedAt: null,
             failureReason: null,
+            recipient: null,
+            amount: null,
+            decisionApproved: null,
+            decisionReason: null,
+            intentAt: null,
+            intentTxHash: null,
+            decisionAt: null,
+            decisionTxHash: null,
+            settlementAt: null,
+            settlementTxHash: null,
+            finalityAt: null,
+            finalityTxHash: null,
             lastEventBlock: blockNumber,
             lastEventLogIndex: logIndex,
         };
     }
 
-    // Apply event based on type
-    switch (eventType) {
-        case 'WORKFLOW_STARTED':
-            return {
-                ...state,
-                status: 'RUNNING',
-                initiator: payload.initiator,
-                startedAt: blockTimestamp,
-                lastEventBlock: blockNumber,
-                lastEventLogIndex: logIndex,
-            };
-
-        case 'DECISION_RECORDED':
-            if (payload.approved) {
-                return {
-                    ...state,
-                    status: 'RUNNING', // Still running, awaiting settlement
-                    lastEventBlock: blockNumber,
-                    lastEventLogIndex: logIndex,
-                };
-            } else {
-                return {
-                    ...state,
-                    status: 'REJECTED',
-                    completedAt: blockTimestamp,
-                    failureReason: payload.reason,
-                    lastEventBlock: blockNumber,
-                    lastEventLogIndex: logIndex,
-                };
-            }
-
-        case 'PAYMENT_EXECUTED':
-            return {
-                ...state,
-                status: 'RUNNING', // Still running, awaiting completion
-                lastEventBlock: blockNumber,
-                lastEventLogIndex: logIndex,
-            };
-
-        case 'WORKFLOW_COMPLETED':
-            return {
-                ...state,
-                status: 'COMPLETED',
-                completedAt: blockTimestamp,
-                lastEventBlock: blockNumber,
-                lastEventLogIndex: logIndex,
-            };
-
-        case 'WORKFLOW_FAILED':
-            return {
-                ...state,
-                status: 'FAILED',
-                completedAt: blockTimestamp,
-                failureReason: payload.reason,
-                lastEventBlock: blockNumber,
-                lastEventLogIndex: logIndex,
-            };
-
-        default:
-            logger.warn('Unknown event type in reducer', { eventType });
-            return state;
+    const assigned = {};
+    for (const [field, source] of Object.entries(transitionDef.set)) {
+        assigned[field] = source === 'blockTimestamp'
+            ? blockTimestamp
+            : (payload || {})[source.slice('payload.'.length)] ?? null;
     }
+
+    // First entry into a phase (a definition may allow staying in the same phase)
+    const phaseFields = PHASE_FIELDS[phase];
+    if (state[phaseFields.at] === null || state[phaseFields.at] === undefined) {
+        assigned[phaseFields.at] = blockTimestamp;
+        assigned[phaseFields.txHash] = txHash;
+    }
+
+    return {
+        ...state,
+        ...assigned,
+        status: transitionDef.status,
+        phase,
+        lastEventBlock: blockNumber,
+        lastEventLogIndex: logIndex,
+    };
 }
 
 /**
@@ -103,17 +198,30 @@ export function reduceWorkflow(state, event) {
  * @returns {Object} Final workflow state
  */
 export function reduceWorkflowFromEvents(events) {
-    if (!events || events.length === 0) {
-        return null;
-    }
+    return reduceWorkflowWithAnomalies(events).state;
+}
 
+/**
+ * Reduce multiple events, collecting the invalid transitions
+ * @param {Array} events - Array of ChainEvents (must be sorted)
+ * @returns {Object} { state, anomalies: [{ event, anomaly }] }
+ */
+export function reduceWorkflowWithAnomalies(events) {
     let state = null;
+    const anomalies = [];
+
+    // All events of a workflow belong to the same source
+    const definition = events && events.length > 0 ? getSourceDefinition(events[0]) : null;
 
-    for (const event of events) {
-        state = reduceWorkflow(state, event);
+    for (const event of events || []) {
+        const result = applyEvent(state, event, definition);
+        state = result.state;
+        if (result.anomaly) {
+            anomalies.push({ event, anomaly: result.anomaly });
+        }
     }
 
-    return state;
+    return { state, anomalies };
 }
 
 /**
@@ -1,37 +1,102 @@
 /**
  * Event replay module
- * Reconstructs workflow state from on-chain events
+ * Reconstructs workflow state from on-chain events, one source at a time
  * 
- * On startup:
- * 1. Query all ChainEvent rows ordered by (blockNumber, txIndex, logIndex)
+ * Full replay (replayAllEvents):
+ * 1. Query the source's ChainEvent rows ordered by (blockNumber, txIndex, logIndex)
  * 2. Group by workflowId
- * 3. Apply reducer to derive WorkflowState
- * 4. Update database with derived state
+ * 3. Apply reducer to derive WorkflowState and anomalies
+ * 4. Replace the source's WorkflowState and WorkflowAnomaly rows in one transaction
+ * 
+ * Incremental replay (replayFromSnapshot, default on startup):
+ * 1. Load the source's latest valid reducer snapshot
+ * 2. Apply only events after the snapshot block
+ * 3. Replace the source's WorkflowState rows (and anomalies after the snapshot
+ *    block) in one transaction
+ * 
+ * Neither mode moves the source's checkpoint: replay only rebuilds derived state
+ * from events already stored, and the listener resumes where it left off.
  * 
  * This ensures deterministic reconstruction from immutable event log
  */
 
 import { getPrismaClient } from './db.js';
-import { reduceWorkflowFromEvents, validateEventOrdering } from './reducer.js';
+import { applyEvent, reduceWorkflowWithAnomalies, validateEventOrdering } from './reducer.js';
+import { upsertWorkflowState, replaceSourceWorkflowStates } from './workflowState.js';
+import { getLatestValidSnapshot } from './snapshot.js';
+import { replaceAnomalies } from './anomalies.js';
+import { config } from '../config.js';
 import { logger } from '../utils/logger.js';
+import { replayDuration } from '../utils/metrics.js';
+import { sourceWhere } from '../utils/sources.js';
+
+/**
+ * Where-clause for a source's checkpoint row
+ * @param {Object} source - { chainId, contractAddress }
+ * @returns {Object}
+ */
+function checkpointWhere(source) {
+    return { chainId_contractAddress: sourceWhere(source) };
+}
+
+/**
+ * Add up per-source replay statistics
+ * @param {Array} results - Per-source stats
+ * @param {number} startTime - Replay start (ms)
+ * @returns {Object}
+ */
+function combineStats(results, startTime) {
+    return {
+        eventsProcessed: results.reduce((total, r) => total + r.eventsProcessed, 0),
+        workflowsRebuilt: results.reduce((total, r) => total + r.workflowsRebuilt, 0),
+        duration: Date.now() - startTime,
+        sources: results,
+    };
+}
 
 /**
  * Replay all events and rebuild workflow state
  * @param {Object} options - Replay options
+ * @param {Object} options.source - Only replay this source (default: every configured source)
  * @param {number} options.fromBlock - Start block (optional)
  * @param {number} options.toBlock - End block (optional)
  * @returns {Promise<Object>} Replay statistics
  */
 export async function replayAllEvents(options = {}) {
+    const startTime = Date.now();
+    const sources = options.source ? [options.source] : config.sources;
+    const results = [];
+
+    for (const source of sources) {
+        results.push(await replaySourceEvents(source, options));
+    }
+
+    const stats = combineStats(results, startTime);
+    replayDuration.observe({ mode: 'full' }, stats.duration / 1000);
+    return stats;
+}
+
+/**
+ * Replay one source's events and rebuild its workflow state
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {Object} options - { fromBlock, toBlock }
+ * @returns {Promise<Object>} Replay statistics
+ */
+async function replaySourceEvents(source, options) {
     const prisma = getPrismaClient();
     const startTime = Date.now();
 
-    logger.info('Starting event replay', options);
+    logger.info('Starting event replay', {
+        ...sourceWhere(source),
+        fromBlock: options.fromBlock,
+        toBlock: options.toBlock,
+    });
 
     try {
         // Query all events ordered by canonical ordering
         const events = await prisma.chainEvent.findMany({
             where: {
+                ...sourceWhere(source),
                 ...(options.fromBlock && { blockNumber: { gte: BigInt(options.fromBlock) } }),
                 ...(options.toBlock && { blockNumber: { lte: BigInt(options.toBlock) } }),
             },
@@ -45,8 +110,8 @@ export async function replayAllEvents(options = {}) {
         logger.info(`Fetched ${events.length} events for replay`);
 
         if (events.length === 0) {
-            logger.info('No events to replay');
-            return { eventsProcessed: 0, workflowsRebuilt: 0, duration: 0 };
+            logger.info('No events to replay', sourceWhere(source));
+            return { ...sourceWhere(source), eventsProcessed: 0, workflowsRebuilt: 0, duration: 0 };
         }
 
         // Validate ordering
@@ -65,84 +130,168 @@ export async function replayAllEvents(options = {}) {
 
         logger.info(`Rebuilding ${eventsByWorkflow.size} workflows`);
 
-        // Clear existing workflow state (we're rebuilding from scratch)
-        await prisma.workflowState.deleteMany({});
-
         // Rebuild each workflow
-        let rebuiltCount = 0;
+        const states = [];
+        const anomalies = [];
         for (const [workflowId, workflowEvents] of eventsByWorkflow) {
-            const state = reduceWorkflowFromEvents(workflowEvents);
+            const result = reduceWorkflowWithAnomalies(workflowEvents);
+            const state = result.state;
+            anomalies.push(...result.anomalies);
 
             if (state) {
-                await prisma.workflowState.upsert({
-                    where: { workflowId },
-                    update: {
-                        status: state.status,
-                        initiator: state.initiator,
-                        startedAt: state.startedAt,
-                        completedAt: state.completedAt,
-                        failureReason: state.failureReason,
-                        lastEventBlock: state.lastEventBlock,
-                        lastEventLogIndex: state.lastEventLogIndex,
-                    },
-                    create: {
-                        workflowId,
-                        status: state.status,
-                        initiator: state.initiator,
-                        startedAt: state.startedAt,
-                        completedAt: state.completedAt,
-                        failureReason: state.failureReason,
-                        lastEventBlock: state.lastEventBlock,
-                        lastEventLogIndex: state.lastEventLogIndex,
-                    },
-                });
-
-                rebuiltCount++;
-
-                if (rebuiltCount % 100 === 0) {
-                    logger.info(`Rebuilt ${rebuiltCount}/${eventsByWorkflow.size} workflows`);
+                states.push(state);
+
+                if (states.length % 100 === 0) {
+                    logger.info(`Rebuilt ${states.length}/${eventsByWorkflow.size} workflows`);
                 }
             }
         }
 
-        // Update system state with last processed block
-        if (events.length > 0) {
-            const lastEvent = events[events.length - 1];
-            await prisma.systemState.update({
-                where: { id: 1 },
-                data: { lastProcessedBlock: lastEvent.blockNumber },
-            });
-        }
+        // Swap in the rebuilt view atomically (readers never see an empty table)
+        await replaceSourceWorkflowStates(prisma, source, states, {
+            fromBlock: options.fromBlock || 0,
+            items: anomalies,
+        });
+        const rebuiltCount = states.length;
 
         const duration = Date.now() - startTime;
         const stats = {
+            ...sourceWhere(source),
             eventsProcessed: events.length,
             workflowsRebuilt: rebuiltCount,
+            anomalies: anomalies.length,
             duration,
         };
 
         logger.info('Event replay complete', stats);
         return stats;
     } catch (error) {
-        logger.error('Event replay failed', { error: error.message, stack: error.stack });
+        logger.error('Event replay failed', {
+            ...sourceWhere(source),
+            error: error.message,
+            stack: error.stack,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Rebuild every source's workflow state from its latest valid snapshot plus newer events
+ * @returns {Promise<Object>} Replay statistics
+ */
+export async function replayFromSnapshot() {
+    const startTime = Date.now();
+    const results = [];
+
+    for (const source of config.sources) {
+        results.push(await replaySourceFromSnapshot(source));
+    }
+
+    const stats = combineStats(results, startTime);
+    replayDuration.observe({ mode: 'snapshot' }, stats.duration / 1000);
+    return stats;
+}
+
+/**
+ * Rebuild one source from its latest valid snapshot plus newer events
+ * Falls back to a full replay when no valid snapshot exists
+ * @param {Object} source - { chainId, contractAddress }
+ * @returns {Promise<Object>} Replay statistics
+ */
+async function replaySourceFromSnapshot(source) {
+    const prisma = getPrismaClient();
+    const startTime = Date.now();
+
+    try {
+        const systemState = await prisma.systemState.findUnique({ where: checkpointWhere(source) });
+        const lastProcessedBlock = systemState ? Number(systemState.lastProcessedBlock) : 0;
+
+        const snapshot = await getLatestValidSnapshot(source, lastProcessedBlock);
+
+        if (!snapshot) {
+            logger.info('No valid snapshot found - falling back to full replay', sourceWhere(source));
+            return replaySourceEvents(source, { fromBlock: 0 });
+        }
+
+        logger.info('Starting incremental replay from snapshot', {
+            ...sourceWhere(source),
+            snapshotBlock: snapshot.blockNumber,
+            workflows: snapshot.states.length,
+        });
+
+        const events = await prisma.chainEvent.findMany({
+            where: { ...sourceWhere(source), blockNumber: { gt: BigInt(snapshot.blockNumber) } },
+            orderBy: [
+                { blockNumber: 'asc' },
+                { transactionIndex: 'asc' },
+                { logIndex: 'asc' },
+            ],
+        });
+
+        if (!validateEventOrdering(events)) {
+            throw new Error('Events are not properly ordered - database corruption detected');
+        }
+
+        // Seed reducer state from the snapshot, then apply newer events in order
+        const statesById = new Map(snapshot.states.map(state => [state.workflowId, state]));
+        const touched = new Set();
+        const anomalies = [];
+
+        for (const event of events) {
+            const { state, anomaly } = applyEvent(statesById.get(event.workflowId) || null, event);
+            if (anomaly) {
+                anomalies.push({ event, anomaly });
+            } else if (state) {
+                statesById.set(event.workflowId, state);
+                touched.add(event.workflowId);
+            }
+        }
+
+        // Anomalies up to the snapshot block are still valid; newer ones are re-derived
+        await replaceSourceWorkflowStates(prisma, source, [...statesById.values()], {
+            fromBlock: snapshot.blockNumber + 1,
+            items: anomalies,
+        });
+
+        const duration = Date.now() - startTime;
+        const stats = {
+            ...sourceWhere(source),
+            snapshotBlock: snapshot.blockNumber,
+            eventsProcessed: events.length,
+            workflowsRebuilt: touched.size,
+            anomalies: anomalies.length,
+            duration,
+        };
+
+        logger.info('Incremental replay complete', stats);
+        return stats;
+    } catch (error) {
+        logger.error('Incremental replay failed', {
+            ...sourceWhere(source),
+            error: error.message,
+            stack: error.stack,
+        });
         throw error;
     }
 }
 
 /**
  * Replay events for a single workflow
+ * @param {Object} source - { chainId, contractAddress }
  * @param {string} workflowId - Workflow ID to replay
  * @returns {Promise<Object>} Updated workflow state
  */
-export async function replayWorkflow(workflowId) {
+export async function replayWorkflow(source, workflowId) {
     const prisma = getPrismaClient();
+    const where = { ...sourceWhere(source), workflowId };
+    const observeDuration = replayDuration.startTimer({ mode: 'workflow' });
 
-    logger.info('Replaying single workflow', { workflowId });
+    logger.info('Replaying single workflow', where);
 
     try {
         // Fetch all events for this workflow
         const events = await prisma.chainEvent.findMany({
-            where: { workflowId },
+            where,
             orderBy: [
                 { blockNumber: 'asc' },
                 { transactionIndex: 'asc' },
@@ -151,7 +300,13 @@ export async function replayWorkflow(workflowId) {
         });
 
         if (events.length === 0) {
-            logger.warn('No events found for workflow', { workflowId });
+            // Derived state must not outlive its events (e.g. after a reorg rollback)
+            await prisma.$transaction([
+                prisma.workflowState.deleteMany({ where }),
+                prisma.workflowAnomaly.deleteMany({ where }),
+            ]);
+            logger.warn('No events found for workflow', where);
+            observeDuration();
             return null;
         }
 
@@ -160,61 +315,95 @@ export async function replayWorkflow(workflowId) {
             throw new Error(`Events for workflow ${workflowId} are not properly ordered`);
         }
 
-        // Reduce to derive state
-        const state = reduceWorkflowFromEvents(events);
-
-        if (state) {
-            // Update database
-            await prisma.workflowState.upsert({
-                where: { workflowId },
-                update: {
-                    status: state.status,
-                    initiator: state.initiator,
-                    startedAt: state.startedAt,
-                    completedAt: state.completedAt,
-                    failureReason: state.failureReason,
-                    lastEventBlock: state.lastEventBlock,
-                    lastEventLogIndex: state.lastEventLogIndex,
-                },
-                create: {
-                    workflowId,
-                    status: state.status,
-                    initiator: state.initiator,
-                    startedAt: state.startedAt,
-                    completedAt: state.completedAt,
-                    failureReason: state.failureReason,
-                    lastEventBlock: state.lastEventBlock,
-                    lastEventLogIndex: state.lastEventLogIndex,
-                },
-            });
-
-            logger.info('Workflow replayed successfully', { workflowId, status: state.status });
-        }
+        // Reduce to derive state and anomalies
+        const { state, anomalies } = reduceWorkflowWithAnomalies(events);
+
+        await prisma.$transaction(async (tx) => {
+            await replaceAnomalies(tx, where, anomalies);
 
+            if (state) {
+                await upsertWorkflowState(tx, state);
+            } else {
+                // Every event was an invalid transition (e.g. no WORKFLOW_STARTED)
+                await tx.workflowState.deleteMany({ where });
+            }
+        });
+
+        logger.info('Workflow replayed successfully', {
+            ...where,
+            status: state ? state.status : null,
+            anomalies: anomalies.length,
+        });
+
+        observeDuration();
         return state;
     } catch (error) {
         logger.error('Workflow replay failed', {
-            workflowId,
+            ...where,
             error: error.message,
         });
         throw error;
     }
 }
 
+/**
+ * Rebuild the workflows that have events in a block range (from all their events)
+ * Unlike replayAllEvents with a range, workflows outside the range are left
+ * untouched.
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} fromBlock - First block
+ * @param {number} toBlock - Last block
+ * @param {Function} onProgress - Called after each workflow (optional)
+ * @returns {Promise<Object>} Replay statistics
+ */
+export async function replayWorkflowsInRange(source, fromBlock, toBlock, onProgress = () => {}) {
+    const prisma = getPrismaClient();
+    const startTime = Date.now();
+
+    const rows = await prisma.chainEvent.findMany({
+        where: {
+            ...sourceWhere(source),
+            blockNumber: { gte: BigInt(fromBlock), lte: BigInt(toBlock) },
+        },
+        select: { workflowId: true },
+        distinct: ['workflowId'],
+    });
+
+    let workflowsRebuilt = 0;
+    for (const { workflowId } of rows) {
+        await replayWorkflow(source, workflowId);
+        workflowsRebuilt++;
+        onProgress({ workflowsRebuilt, workflowsTotal: rows.length });
+    }
+
+    const stats = {
+        ...sourceWhere(source),
+        fromBlock,
+        toBlock,
+        workflowsRebuilt,
+        duration: Date.now() - startTime,
+    };
+
+    logger.info('Range replay complete', stats);
+    return stats;
+}
+
 /**
  * Get replay progress
+ * @param {Object} source - { chainId, contractAddress }
  * @returns {Promise<Object>} Progress information
  */
-export async function getReplayProgress() {
+export async function getReplayProgress(source) {
     const prisma = getPrismaClient();
 
     const [systemState, eventCount, workflowCount] = await Promise.all([
-        prisma.systemState.findUnique({ where: { id: 1 } }),
-        prisma.chainEvent.count(),
-        prisma.workflowState.count(),
+        prisma.systemState.findUnique({ where: checkpointWhere(source) }),
+        prisma.chainEvent.count({ where: sourceWhere(source) }),
+        prisma.workflowState.count({ where: sourceWhere(source) }),
     ]);
 
     return {
+        ...sourceWhere(source),
         lastProcessedBlock: systemState?.lastProcessedBlock?.toString() || '0',
         totalEvents: eventCount,
         totalWorkflows: workflowCount,
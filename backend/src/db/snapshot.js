@@ -0,0 +1,242 @@
+/**
+ * Reducer snapshots
+ * Periodically stores a source's derived WorkflowState set keyed by block height,
+ * so startup only replays events after the latest valid snapshot
+ *
+ * A snapshot is valid when:
+ * - its reducerVersion matches REDUCER_VERSION (changing the reducer invalidates it)
+ * - its definitionHash matches the source's workflow definition (editing it does too)
+ * - its block is not beyond the current checkpoint
+ * - the number of the source's ChainEvent rows up to its block still matches eventCount
+ *   (catches late dead-letter inserts and rollbacks below the snapshot)
+ */
+
+import { getPrismaClient } from './db.js';
+import { REDUCER_VERSION } from './reducer.js';
+import { workflowKey, toWorkflowStateData } from './workflowState.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { sourceWhere } from '../utils/sources.js';
+import { getSourceDefinition } from '../definitions.js';
+
+/**
+ * Where-clause for a source's snapshots taken with the current reducer and definition
+ * @param {Object} source - { chainId, contractAddress }
+ * @returns {Object}
+ */
+function currentVersionWhere(source) {
+    return {
+        ...sourceWhere(source),
+        reducerVersion: REDUCER_VERSION,
+        definitionHash: getSourceDefinition(source).hash,
+    };
+}
+
+/**
+ * Encode reducer states as JSON (BigInt values are tagged)
+ * @param {Array} states - Reducer states
+ * @returns {Array}
+ */
+function encodeStates(states) {
+    return JSON.parse(JSON.stringify(states, (key, value) =>
+        typeof value === 'bigint' ? { $bigint: value.toString() } : value
+    ));
+}
+
+/**
+ * Decode reducer states from snapshot JSON
+ * @param {Array} json - Stored snapshot states
+ * @returns {Array}
+ */
+function decodeStates(json) {
+    return JSON.parse(JSON.stringify(json), (key, value) =>
+        value && typeof value === 'object' && typeof value.$bigint === 'string'
+            ? BigInt(value.$bigint)
+            : value
+    );
+}
+
+/**
+ * Store a snapshot of a source's WorkflowState rows as of a block
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} blockNumber - Checkpoint the state reflects
+ * @returns {Promise<Object>} Snapshot metadata
+ */
+export async function takeSnapshot(source, blockNumber) {
+    const prisma = getPrismaClient();
+
+    try {
+        const [rows, eventCount] = await Promise.all([
+            prisma.workflowState.findMany({
+                where: sourceWhere(source),
+                orderBy: { workflowId: 'asc' },
+            }),
+            prisma.chainEvent.count({
+                where: { ...sourceWhere(source), blockNumber: { lte: BigInt(blockNumber) } },
+            }),
+        ]);
+
+        const states = rows.map(row => ({
+            ...workflowKey(row),
+            ...toWorkflowStateData(row),
+        }));
+
+        const snapshot = await prisma.workflowSnapshot.upsert({
+            where: {
+                chainId_contractAddress_reducerVersion_blockNumber: {
+                    ...sourceWhere(source),
+                    reducerVersion: REDUCER_VERSION,
+                    blockNumber: BigInt(blockNumber),
+                },
+            },
+            update: {
+                definitionHash: getSourceDefinition(source).hash,
+                eventCount,
+                workflowCount: states.length,
+                states: encodeStates(states),
+            },
+            create: {
+                ...sourceWhere(source),
+                blockNumber: BigInt(blockNumber),
+                reducerVersion: REDUCER_VERSION,
+                definitionHash: getSourceDefinition(source).hash,
+                eventCount,
+                workflowCount: states.length,
+                states: encodeStates(states),
+            },
+        });
+
+        await pruneSnapshots(source);
+
+        logger.info('Snapshot stored', {
+            ...sourceWhere(source),
+            blockNumber,
+            reducerVersion: REDUCER_VERSION,
+            workflows: states.length,
+            eventCount,
+        });
+
+        return {
+            id: snapshot.id,
+            blockNumber,
+            workflowCount: states.length,
+        };
+    } catch (error) {
+        logger.error('Failed to store snapshot', {
+            ...sourceWhere(source),
+            blockNumber,
+            error: error.message,
+        });
+        throw error;
+    }
+}
+
+/**
+ * Take a snapshot when the checkpoint has moved SNAPSHOT_INTERVAL_BLOCKS past the last one
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} checkpointBlock - Source's current lastProcessedBlock
+ * @returns {Promise<Object|null>} Snapshot metadata if one was taken
+ */
+export async function maybeTakeSnapshot(source, checkpointBlock) {
+    if (config.snapshotIntervalBlocks <= 0) {
+        return null;
+    }
+
+    const prisma = getPrismaClient();
+    const latest = await prisma.workflowSnapshot.findFirst({
+        where: currentVersionWhere(source),
+        orderBy: { blockNumber: 'desc' },
+        select: { blockNumber: true },
+    });
+
+    const lastSnapshotBlock = latest ? Number(latest.blockNumber) : 0;
+    if (checkpointBlock - lastSnapshotBlock < config.snapshotIntervalBlocks) {
+        return null;
+    }
+
+    return takeSnapshot(source, checkpointBlock);
+}
+
+/**
+ * Find a source's latest snapshot that can seed a replay
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} maxBlock - Current checkpoint (snapshots beyond it are ignored)
+ * @returns {Promise<Object|null>} { blockNumber, states } or null
+ */
+export async function getLatestValidSnapshot(source, maxBlock) {
+    const prisma = getPrismaClient();
+
+    const candidates = await prisma.workflowSnapshot.findMany({
+        where: {
+            ...currentVersionWhere(source),
+            blockNumber: { lte: BigInt(maxBlock) },
+        },
+        orderBy: { blockNumber: 'desc' },
+        select: { id: true, blockNumber: true, eventCount: true },
+    });
+
+    for (const candidate of candidates) {
+        const eventCount = await prisma.chainEvent.count({
+            where: { ...sourceWhere(source), blockNumber: { lte: candidate.blockNumber } },
+        });
+
+        if (eventCount !== candidate.eventCount) {
+            logger.warn('Snapshot no longer matches event log - skipping', {
+                ...sourceWhere(source),
+                blockNumber: candidate.blockNumber.toString(),
+                snapshotEvents: candidate.eventCount,
+                currentEvents: eventCount,
+            });
+            continue;
+        }
+
+        const snapshot = await prisma.workflowSnapshot.findUnique({ where: { id: candidate.id } });
+
+        return {
+            blockNumber: Number(snapshot.blockNumber),
+            states: decodeStates(snapshot.states),
+        };
+    }
+
+    return null;
+}
+
+/**
+ * Delete a source's snapshots at or beyond a block (e.g. after a reorg rollback)
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number} blockNumber - First invalid block
+ */
+export function invalidateSnapshotsFrom(client, source, blockNumber) {
+    return client.workflowSnapshot.deleteMany({
+        where: { ...sourceWhere(source), blockNumber: { gte: BigInt(blockNumber) } },
+    });
+}
+
+/**
+ * Drop snapshots from old reducer versions or definitions and keep a source's newest SNAPSHOT_RETAIN
+ * @param {Object} source - { chainId, contractAddress }
+ */
+async function pruneSnapshots(source) {
+    const prisma = getPrismaClient();
+
+    await prisma.workflowSnapshot.deleteMany({
+        where: { reducerVersion: { not: REDUCER_VERSION } },
+    });
+    await prisma.workflowSnapshot.deleteMany({
+        where: { ...sourceWhere(source), definitionHash: { not: getSourceDefinition(source).hash } },
+    });
+
+    const stale = await prisma.workflowSnapshot.findMany({
+        where: sourceWhere(source),
+        orderBy: { blockNumber: 'desc' },
+        skip: config.snapshotRetain,
+        select: { id: true },
+    });
+
+    if (stale.length > 0) {
+        await prisma.workflowSnapshot.deleteMany({
+            where: { id: { in: stale.map(s => s.id) } },
+        });
+    }
+}
@@ -0,0 +1,112 @@
+/**
+ * Stalled workflow detection (per-phase SLAs)
+ * A RUNNING workflow is stalled when it has stayed in its phase longer than the
+ * phase's deadline:
+ *
+ * - INTENT     -> decision expected within SLA_DECISION_SECONDS of startedAt
+ * - DECISION   -> settlement expected within SLA_SETTLEMENT_SECONDS of decisionAt
+ * - SETTLEMENT -> completion expected within SLA_COMPLETION_SECONDS of settlementAt
+ *
+ * "Now" is the timestamp of the source's last processed (confirmed) block, never
+ * the wall clock, so the flag only depends on chain data: re-ingesting the same
+ * blocks flags the same workflows. The listener re-checks after every poll, which
+ * also clears the flag once a workflow moves on (or a reorg moves time back).
+ * A deadline of 0 disables that phase's check.
+ */
+
+import { getPrismaClient } from './db.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { sourceWhere } from '../utils/sources.js';
+
+/**
+ * Seconds allowed in each phase, keyed by phase, with the column holding the phase's start
+ * @returns {Array} [{ phase, enteredAtField, seconds }] for enabled phases
+ */
+export function getPhaseSlas() {
+    return [
+        { phase: 'INTENT', enteredAtField: 'startedAt', seconds: config.slaDecisionSeconds },
+        { phase: 'DECISION', enteredAtField: 'decisionAt', seconds: config.slaSettlementSeconds },
+        { phase: 'SETTLEMENT', enteredAtField: 'settlementAt', seconds: config.slaCompletionSeconds },
+    ].filter(sla => sla.seconds > 0);
+}
+
+/**
+ * Where-clause for workflows past their phase deadline at a block timestamp
+ * @param {bigint} asOf - Block timestamp (seconds)
+ * @returns {Object|null} null when every SLA is disabled
+ */
+export function overdueWhere(asOf) {
+    const slas = getPhaseSlas();
+    if (slas.length === 0) {
+        return null;
+    }
+
+    return {
+        status: 'RUNNING',
+        OR: slas.map(sla => ({
+            phase: sla.phase,
+            [sla.enteredAtField]: { lt: asOf - BigInt(sla.seconds) },
+        })),
+    };
+}
+
+/**
+ * Deadline of a workflow's current phase
+ * @param {Object} state - WorkflowState row or reducer output
+ * @returns {number|null} Unix seconds, null if not RUNNING or no SLA applies
+ */
+export function getSlaDeadline(state) {
+    if (state.status !== 'RUNNING') {
+        return null;
+    }
+
+    const sla = getPhaseSlas().find(s => s.phase === state.phase);
+    const enteredAt = sla ? state[sla.enteredAtField] : null;
+
+    return enteredAt === null || enteredAt === undefined ? null : Number(enteredAt) + sla.seconds;
+}
+
+/**
+ * Flag a source's overdue workflows as stalled and clear the rest
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {number|bigint} asOf - Timestamp of the source's last processed block
+ * @returns {Promise<Object>} { flagged, cleared }
+ */
+export async function checkStalledWorkflows(source, asOf) {
+    const prisma = getPrismaClient();
+    const overdue = overdueWhere(BigInt(asOf));
+    const where = sourceWhere(source);
+
+    try {
+        // Clear first: with every SLA disabled nothing is overdue
+        const operations = [
+            prisma.workflowState.updateMany({
+                where: { ...where, stalled: true, ...(overdue && { NOT: overdue }) },
+                data: { stalled: false },
+            }),
+        ];
+        if (overdue) {
+            operations.push(prisma.workflowState.updateMany({
+                where: { ...where, stalled: false, AND: [overdue] },
+                data: { stalled: true },
+            }));
+        }
+
+        const [cleared, flagged = { count: 0 }] = await prisma.$transaction(operations);
+
+        if (flagged.count > 0 || cleared.count > 0) {
+            logger.info('Stalled workflows updated', {
+                ...where,
+                asOf: Number(asOf),
+                flagged: flagged.count,
+                cleared: cleared.count,
+            });
+        }
+
+        return { flagged: flagged.count, cleared: cleared.count };
+    } catch (error) {
+        logger.error('Failed to check stalled workflows', { ...where, error: error.message });
+        throw error;
+    }
+}
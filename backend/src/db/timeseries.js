@@ -0,0 +1,208 @@
+/**
+ * Workflow time-series analytics (GET /stats/timeseries)
+ * Throughput, settled volume and phase latency per hour or day bucket.
+ *
+ * Every value comes from the block timestamps stored on WorkflowState, never
+ * from ingestion time, so re-ingesting or replaying the chain gives the same
+ * series. Each figure is counted in the bucket of the block that produced it:
+ *
+ * - started              -> startedAt
+ * - completed / failed / rejected and end-to-end latency -> completedAt
+ * - decision latency     -> decisionAt   (decisionAt - startedAt)
+ * - settlement latency and settled volume -> settlementAt (settlementAt - decisionAt)
+ *
+ * End-to-end latency (completedAt - startedAt) only covers COMPLETED workflows.
+ * Percentiles are interpolated (percentile_cont) in seconds.
+ */
+
+import { Prisma } from '@prisma/client';
+import { getPrismaClient } from './db.js';
+import { logger } from '../utils/logger.js';
+
+const BUCKET_SECONDS = { hour: 3600, day: 86400 };
+
+// Default window when `from` is omitted, in buckets (one week of hours, 90 days)
+const DEFAULT_BUCKETS = { hour: 168, day: 90 };
+
+export const MAX_BUCKETS = 2000;
+
+const INTEGER_PATTERN = /^\d+$/;
+const PERCENTILES = [0.5, 0.95, 0.99];
+
+/**
+ * Parse the GET /stats/timeseries query string
+ * `from` is rounded down and `to` up to a bucket boundary; `to` defaults to now.
+ * @param {Object} query - Express req.query
+ * @returns {Object} { bucket, bucketSeconds, from, to } on success, { error } on invalid input
+ */
+export function parseTimeseriesQuery(query) {
+    const bucket = query.bucket === undefined ? 'hour' : String(query.bucket);
+    const bucketSeconds = BUCKET_SECONDS[bucket];
+    if (!bucketSeconds) {
+        return { error: 'Invalid bucket - expected hour or day' };
+    }
+
+    const range = {};
+    for (const param of ['from', 'to']) {
+        if (query[param] === undefined) {
+            continue;
+        }
+        if (!INTEGER_PATTERN.test(String(query[param]))) {
+            return { error: `Invalid ${param} - expected a unix timestamp in seconds` };
+        }
+        range[param] = Number(query[param]);
+    }
+
+    const to = Math.ceil((range.to ?? Math.floor(Date.now() / 1000)) / bucketSeconds) * bucketSeconds;
+    const from = range.from === undefined
+        ? to - DEFAULT_BUCKETS[bucket] * bucketSeconds
+        : Math.floor(range.from / bucketSeconds) * bucketSeconds;
+
+    if (from >= to) {
+        return { error: 'Invalid range - from must be before to' };
+    }
+    if ((to - from) / bucketSeconds > MAX_BUCKETS) {
+        return { error: `Invalid range - at most ${MAX_BUCKETS} ${bucket} buckets` };
+    }
+
+    return { bucket, bucketSeconds, from, to };
+}
+
+/**
+ * SQL conditions for the source filter and a timestamp column's range
+ * @param {Object} where - Source filter from parseSourceFilter
+ * @param {string} column - Timestamp column
+ * @param {Object} range - { from, to }
+ * @returns {Prisma.Sql}
+ */
+function conditions(where, column, range) {
+    const parts = [
+        Prisma.sql`${Prisma.raw(`"${column}"`)} >= ${BigInt(range.from)}`,
+        Prisma.sql`${Prisma.raw(`"${column}"`)} < ${BigInt(range.to)}`,
+    ];
+
+    if (where.chainId !== undefined) {
+        parts.push(Prisma.sql`"chainId" = ${where.chainId}`);
+    }
+    if (where.contractAddress !== undefined) {
+        parts.push(Prisma.sql`"contractAddress" = ${where.contractAddress}`);
+    }
+
+    return Prisma.join(parts, ' AND ');
+}
+
+/**
+ * SQL expression for the start of a timestamp column's bucket
+ * @param {string} column - Timestamp column
+ * @param {number} bucketSeconds - From parseTimeseriesQuery (a fixed, known value)
+ * @returns {Prisma.Sql}
+ */
+function bucketOf(column, bucketSeconds) {
+    return Prisma.raw(`("${column}" / ${bucketSeconds}) * ${bucketSeconds}`);
+}
+
+/**
+ * SQL aggregate for the latency percentiles of an expression
+ * @param {string} expression - Latency in seconds (trusted SQL)
+ * @param {string} filter - Extra FILTER condition (trusted SQL, optional)
+ * @returns {Prisma.Sql}
+ */
+function percentilesOf(expression, filter = null) {
+    return Prisma.raw(
+        `percentile_cont(ARRAY[${PERCENTILES.join(', ')}]) WITHIN GROUP (ORDER BY ${expression})` +
+        (filter ? ` FILTER (WHERE ${filter})` : '')
+    );
+}
+
+/**
+ * Latency summary for a bucket
+ * @param {number} count - Samples
+ * @param {Array|null} values - Percentiles in PERCENTILES order
+ * @returns {Object} { count, p50, p95, p99 }
+ */
+function formatLatency(count, values) {
+    return {
+        count,
+        p50: values ? values[0] : null,
+        p95: values ? values[1] : null,
+        p99: values ? values[2] : null,
+    };
+}
+
+/**
+ * Compute the time series
+ * @param {Object} where - Source filter from parseSourceFilter
+ * @param {Object} params - From parseTimeseriesQuery
+ * @returns {Promise<Array>} One entry per bucket in [from, to), oldest first, empty buckets included
+ */
+export async function getWorkflowTimeseries(where, params) {
+    const prisma = getPrismaClient();
+    const { bucketSeconds } = params;
+
+    try {
+        const [started, terminal, decisions, settlements] = await Promise.all([
+            prisma.$queryRaw`
+                SELECT ${bucketOf('startedAt', bucketSeconds)} AS bucket,
+                       count(*)::int AS started
+                FROM "WorkflowState"
+                WHERE ${conditions(where, 'startedAt', params)}
+                GROUP BY 1`,
+            prisma.$queryRaw`
+                SELECT ${bucketOf('completedAt', bucketSeconds)} AS bucket,
+                       count(*) FILTER (WHERE "status" = 'COMPLETED')::int AS completed,
+                       count(*) FILTER (WHERE "status" = 'FAILED')::int AS failed,
+                       count(*) FILTER (WHERE "status" = 'REJECTED')::int AS rejected,
+                       ${percentilesOf('"completedAt" - "startedAt"', `"status" = 'COMPLETED'`)} AS "endToEnd"
+                FROM "WorkflowState"
+                WHERE ${conditions(where, 'completedAt', params)} AND "status" <> 'RUNNING'
+                GROUP BY 1`,
+            prisma.$queryRaw`
+                SELECT ${bucketOf('decisionAt', bucketSeconds)} AS bucket,
+                       count(*)::int AS count,
+                       ${percentilesOf('"decisionAt" - "startedAt"')} AS latency
+                FROM "WorkflowState"
+                WHERE ${conditions(where, 'decisionAt', params)}
+                GROUP BY 1`,
+            prisma.$queryRaw`
+                SELECT ${bucketOf('settlementAt', bucketSeconds)} AS bucket,
+                       count("decisionAt")::int AS count,
+                       ${percentilesOf('"settlementAt" - "decisionAt"')} AS latency,
+                       coalesce(sum("amount"), 0)::text AS volume
+                FROM "WorkflowState"
+                WHERE ${conditions(where, 'settlementAt', params)}
+                GROUP BY 1`,
+        ]);
+
+        const byBucket = rows => new Map(rows.map(row => [Number(row.bucket), row]));
+        const startedBy = byBucket(started);
+        const terminalBy = byBucket(terminal);
+        const decisionsBy = byBucket(decisions);
+        const settlementsBy = byBucket(settlements);
+
+        const buckets = [];
+        for (let start = params.from; start < params.to; start += bucketSeconds) {
+            const t = terminalBy.get(start);
+            const d = decisionsBy.get(start);
+            const s = settlementsBy.get(start);
+
+            buckets.push({
+                start,
+                started: startedBy.get(start)?.started ?? 0,
+                completed: t?.completed ?? 0,
+                failed: t?.failed ?? 0,
+                rejected: t?.rejected ?? 0,
+                settledVolume: s?.volume ?? '0',
+                latency: {
+                    decision: formatLatency(d?.count ?? 0, d?.latency ?? null),
+                    settlement: formatLatency(s?.count ?? 0, s?.latency ?? null),
+                    endToEnd: formatLatency(t?.completed ?? 0, t?.endToEnd ?? null),
+                },
+            });
+        }
+
+        return buckets;
+    } catch (error) {
+        logger.error('Failed to compute workflow time series', { ...where, error: error.message });
+        throw error;
+    }
+}
@@ -0,0 +1,130 @@
+/**
+ * Derived state verification
+ * Re-derives every workflow of a source from its ChainEvent rows in memory
+ * (through the reducer, as a replay would) and compares the result with the
+ * persisted WorkflowState rows, without writing anything.
+ *
+ * Discrepancy kinds:
+ * - missing_state:  the events derive a state but no row exists
+ * - extra_state:    a row exists but its events derive no state (or there are none)
+ * - state_mismatch: both exist and at least one derived column differs
+ *
+ * Only reducer-derived columns are compared; `stalled` is maintained by the
+ * SLA check and is not part of the reduction.
+ */
+
+import { getPrismaClient } from './db.js';
+import { reduceWorkflowFromEvents } from './reducer.js';
+import { toWorkflowStateData } from './workflowState.js';
+import { columnString } from '../utils/hash.js';
+import { logger } from '../utils/logger.js';
+import { sourceWhere } from '../utils/sources.js';
+
+// Workflows loaded per query
+const BATCH_SIZE = 200;
+
+/**
+ * Columns that differ between a derived state and a persisted row
+ * @param {Object} expected - Reducer output
+ * @param {Object} row - WorkflowState row
+ * @returns {Array} [{ field, expected, actual }]
+ */
+function diffState(expected, row) {
+    const fields = [];
+
+    for (const [field, value] of Object.entries(toWorkflowStateData(expected))) {
+        const expectedValue = columnString(value);
+        const actualValue = columnString(row[field]);
+        if (expectedValue !== actualValue) {
+            fields.push({ field, expected: expectedValue, actual: actualValue });
+        }
+    }
+
+    return fields;
+}
+
+/**
+ * Compare a source's persisted workflow states with the states its events derive
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {Function} onProgress - Called after each batch of workflows (optional)
+ * @returns {Promise<Object>} { chainId, contractAddress, workflowsChecked, discrepancies }
+ */
+export async function verifyWorkflowStates(source, onProgress = () => {}) {
+    const prisma = getPrismaClient();
+    const where = sourceWhere(source);
+
+    try {
+        // Every workflow with events or a state row
+        const [withEvents, withState] = await Promise.all([
+            prisma.chainEvent.findMany({ where, select: { workflowId: true }, distinct: ['workflowId'] }),
+            prisma.workflowState.findMany({ where, select: { workflowId: true } }),
+        ]);
+        const workflowIds = [...new Set([...withEvents, ...withState].map(row => row.workflowId))].sort();
+
+        const discrepancies = [];
+        for (let i = 0; i < workflowIds.length; i += BATCH_SIZE) {
+            const batch = workflowIds.slice(i, i + BATCH_SIZE);
+            const batchWhere = { ...where, workflowId: { in: batch } };
+
+            const [events, rows] = await Promise.all([
+                prisma.chainEvent.findMany({
+                    where: batchWhere,
+                    orderBy: [
+                        { blockNumber: 'asc' },
+                        { transactionIndex: 'asc' },
+                        { logIndex: 'asc' },
+                    ],
+                }),
+                prisma.workflowState.findMany({ where: batchWhere }),
+            ]);
+
+            const eventsByWorkflow = new Map();
+            for (const event of events) {
+                if (!eventsByWorkflow.has(event.workflowId)) {
+                    eventsByWorkflow.set(event.workflowId, []);
+                }
+                eventsByWorkflow.get(event.workflowId).push(event);
+            }
+            const rowsByWorkflow = new Map(rows.map(row => [row.workflowId, row]));
+
+            for (const workflowId of batch) {
+                const expected = reduceWorkflowFromEvents(eventsByWorkflow.get(workflowId) || []);
+                const row = rowsByWorkflow.get(workflowId) || null;
+
+                if (expected && !row) {
+                    discrepancies.push({ workflowId, kind: 'missing_state', fields: [] });
+                } else if (!expected && row) {
+                    discrepancies.push({ workflowId, kind: 'extra_state', fields: [] });
+                } else if (expected && row) {
+                    const fields = diffState(expected, row);
+                    if (fields.length > 0) {
+                        discrepancies.push({ workflowId, kind: 'state_mismatch', fields });
+                    }
+                }
+            }
+
+            onProgress({
+                workflowsChecked: Math.min(i + BATCH_SIZE, workflowIds.length),
+                workflowsTotal: workflowIds.length,
+                discrepancies: discrepancies.length,
+            });
+        }
+
+        const result = { ...where, workflowsChecked: workflowIds.length, discrepancies };
+
+        if (discrepancies.length > 0) {
+            logger.warn('Workflow state verification found discrepancies', {
+                ...where,
+                workflowsChecked: workflowIds.length,
+                discrepancies: discrepancies.length,
+            });
+        } else {
+            logger.info('Workflow state verified', { ...where, workflowsChecked: workflowIds.length });
+        }
+
+        return result;
+    } catch (error) {
+        logger.error('Workflow state verification failed', { ...where, error: error.message });
+        throw error;
+    }
+}
@@ -0,0 +1,329 @@
+/**
+ * Webhook subscriptions and delivery log
+ * A subscription receives a signed POST for every reducer transition that
+ * passes its filters (status after the transition, initiator, event type).
+ *
+ * Deliveries are enqueued inside the ingestion transaction (see ingest.js), so
+ * a committed transition always has its delivery rows and a rolled-back one
+ * never does. The dispatcher (webhooks/dispatcher.js) sends them.
+ *
+ * Status lifecycle:
+ * PENDING   -> sent by the dispatcher when nextAttemptAt is due
+ * DELIVERED -> endpoint answered 2xx
+ * EXHAUSTED -> WEBHOOK_MAX_ATTEMPTS failed attempts, only replayed manually
+ */
+
+import crypto from 'crypto';
+import { getPrismaClient } from './db.js';
+import { formatChangeEvent } from './changeFeed.js';
+import { formatWorkflowState } from './workflowState.js';
+import { config } from '../config.js';
+import { getEventTypes } from '../definitions.js';
+import { ADDRESS_PATTERN } from '../utils/sources.js';
+
+const STATUSES = ['RUNNING', 'COMPLETED', 'FAILED', 'REJECTED'];
+
+/**
+ * Random signing secret for a new subscription
+ * @returns {string}
+ */
+export function generateSecret() {
+    return crypto.randomBytes(32).toString('hex');
+}
+
+/**
+ * Validate subscription fields from a request body
+ * @param {Object} body - Request body
+ * @param {boolean} partial - Only validate the fields present (updates)
+ * @returns {Object} { data } on success, { error } on invalid input
+ */
+export function parseSubscriptionInput(body, partial = false) {
+    const data = {};
+    const input = body || {};
+
+    if (input.url !== undefined || !partial) {
+        let url;
+        try {
+            url = new URL(String(input.url));
+        } catch {
+            return { error: 'Invalid url - expected an http(s) URL' };
+        }
+        if (!['http:', 'https:'].includes(url.protocol)) {
+            return { error: 'Invalid url - expected an http(s) URL' };
+        }
+        data.url = url.toString();
+    }
+
+    const lists = {
+        statuses: value => STATUSES.includes(value.toUpperCase()) ? value.toUpperCase() : null,
+        initiators: value => ADDRESS_PATTERN.test(value) ? value.toLowerCase() : null,
+        eventTypes: value => getEventTypes().includes(value.toUpperCase()) ? value.toUpperCase() : null,
+    };
+
+    for (const [field, normalize] of Object.entries(lists)) {
+        if (input[field] === undefined) {
+            continue;
+        }
+        if (!Array.isArray(input[field])) {
+            return { error: `Invalid ${field} - expected an array` };
+        }
+
+        const values = input[field].map(value => normalize(String(value)));
+        if (values.includes(null)) {
+            return { error: `Invalid ${field} - unknown value in ${JSON.stringify(input[field])}` };
+        }
+        data[field] = [...new Set(values)];
+    }
+
+    if (input.description !== undefined) {
+        data.description = input.description === null ? null : String(input.description);
+    }
+
+    if (input.active !== undefined) {
+        if (typeof input.active !== 'boolean') {
+            return { error: 'Invalid active - expected a boolean' };
+        }
+        data.active = input.active;
+    }
+
+    return { data };
+}
+
+/**
+ * Whether a transition passes a subscription's filters (empty list = any)
+ * @param {Object} subscription - WebhookSubscription row
+ * @param {Object} change - Change feed entry with a state
+ * @returns {boolean}
+ */
+export function matchesSubscription(subscription, change) {
+    const initiator = change.initiator ? change.initiator.toLowerCase() : null;
+
+    return (subscription.statuses.length === 0 || subscription.statuses.includes(change.state.status)) &&
+        (subscription.initiators.length === 0 || subscription.initiators.includes(initiator)) &&
+        (subscription.eventTypes.length === 0 || subscription.eventTypes.includes(change.event.eventType));
+}
+
+/**
+ * JSON body sent for a transition
+ * @param {Object} change - Change feed entry with a state
+ * @returns {Object}
+ */
+export function buildWebhookPayload(change) {
+    const { anomaly, ...event } = formatChangeEvent(change.event);
+
+    return {
+        type: 'workflow.transition',
+        event,
+        workflow: formatWorkflowState(change.state),
+    };
+}
+
+/**
+ * Enqueue deliveries for the transitions of a committed chunk
+ * Anomalies are not transitions and are not delivered.
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Array} changes - [{ event, state, anomaly, initiator }] (see changeFeed.js)
+ * @returns {Promise<number>} Deliveries created
+ */
+export async function enqueueWebhookDeliveries(client, changes) {
+    const transitions = changes.filter(change => change.state);
+    if (transitions.length === 0) {
+        return 0;
+    }
+
+    const subscriptions = await client.webhookSubscription.findMany({ where: { active: true } });
+    if (subscriptions.length === 0) {
+        return 0;
+    }
+
+    const now = new Date();
+    const data = [];
+
+    for (const change of transitions) {
+        const matching = subscriptions.filter(subscription => matchesSubscription(subscription, change));
+        if (matching.length === 0) {
+            continue;
+        }
+
+        const payload = buildWebhookPayload(change);
+        for (const subscription of matching) {
+            data.push({
+                subscriptionId: subscription.id,
+                chainId: change.event.chainId,
+                contractAddress: change.event.contractAddress,
+                workflowId: change.event.workflowId,
+                eventType: change.event.eventType,
+                txHash: change.event.txHash,
+                logIndex: change.event.logIndex,
+                blockNumber: BigInt(change.event.blockNumber),
+                payload,
+                nextAttemptAt: now,
+            });
+        }
+    }
+
+    if (data.length === 0) {
+        return 0;
+    }
+
+    // Re-ingesting an event (after a reorg) does not deliver it twice
+    const { count } = await client.webhookDelivery.createMany({ data, skipDuplicates: true });
+    return count;
+}
+
+/**
+ * Backoff delay before the next delivery attempt
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} Delay in milliseconds
+ */
+export function computeWebhookRetryDelay(attempts) {
+    const delay = config.webhookRetryBaseMs * 2 ** Math.max(attempts - 1, 0);
+    return Math.min(delay, config.webhookRetryMaxMs);
+}
+
+/**
+ * Deliveries due for an attempt (oldest events first)
+ * @param {number} limit - Max rows to return
+ * @returns {Promise<Array>} Rows with their subscription
+ */
+export async function getDueDeliveries(limit = 50) {
+    const prisma = getPrismaClient();
+
+    return prisma.webhookDelivery.findMany({
+        where: {
+            status: 'PENDING',
+            nextAttemptAt: { lte: new Date() },
+            subscription: { active: true },
+        },
+        include: { subscription: true },
+        orderBy: [
+            { blockNumber: 'asc' },
+            { logIndex: 'asc' },
+        ],
+        take: limit,
+    });
+}
+
+/**
+ * Store the outcome of a delivery attempt
+ * @param {Object} delivery - WebhookDelivery row
+ * @param {Object} result - { ok, responseStatus, error }
+ * @returns {Promise<Object>} Updated row
+ */
+export async function recordDeliveryAttempt(delivery, result) {
+    const prisma = getPrismaClient();
+    const now = Date.now();
+    const attempts = delivery.attempts + 1;
+
+    if (result.ok) {
+        return prisma.webhookDelivery.update({
+            where: { id: delivery.id },
+            data: {
+                status: 'DELIVERED',
+                attempts,
+                lastAttemptAt: new Date(now),
+                deliveredAt: new Date(now),
+                responseStatus: result.responseStatus,
+                error: null,
+            },
+        });
+    }
+
+    return prisma.webhookDelivery.update({
+        where: { id: delivery.id },
+        data: {
+            status: attempts >= config.webhookMaxAttempts ? 'EXHAUSTED' : 'PENDING',
+            attempts,
+            lastAttemptAt: new Date(now),
+            nextAttemptAt: new Date(now + computeWebhookRetryDelay(attempts)),
+            responseStatus: result.responseStatus,
+            error: result.error,
+        },
+    });
+}
+
+/**
+ * Reset a delivery for another round of attempts (operator replay)
+ * @param {string} id - Delivery ID
+ * @returns {Promise<Object|null>} Updated row with its subscription, null if not found
+ */
+export async function resetDelivery(id) {
+    const prisma = getPrismaClient();
+
+    const existing = await prisma.webhookDelivery.findUnique({ where: { id } });
+    if (!existing) {
+        return null;
+    }
+
+    return prisma.webhookDelivery.update({
+        where: { id },
+        data: { status: 'PENDING', attempts: 0, nextAttemptAt: new Date() },
+        include: { subscription: true },
+    });
+}
+
+/**
+ * List a subscription's deliveries (most recent first)
+ * @param {Object} options - { subscriptionId, status, limit, offset }
+ * @returns {Promise<Array>}
+ */
+export async function listDeliveries({ subscriptionId, status, limit = 100, offset = 0 } = {}) {
+    const prisma = getPrismaClient();
+
+    return prisma.webhookDelivery.findMany({
+        where: {
+            subscriptionId,
+            ...(status && { status }),
+        },
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset,
+    });
+}
+
+/**
+ * Convert a subscription row for JSON responses (the secret is never included)
+ * @param {Object} subscription - WebhookSubscription row
+ * @returns {Object}
+ */
+export function formatSubscription(subscription) {
+    return {
+        id: subscription.id,
+        url: subscription.url,
+        description: subscription.description,
+        statuses: subscription.statuses.map(status => status.toLowerCase()),
+        initiators: subscription.initiators,
+        eventTypes: subscription.eventTypes,
+        active: subscription.active,
+        createdAt: subscription.createdAt,
+        updatedAt: subscription.updatedAt,
+    };
+}
+
+/**
+ * Convert a delivery row for JSON responses
+ * @param {Object} delivery - WebhookDelivery row
+ * @returns {Object}
+ */
+export function formatDelivery(delivery) {
+    return {
+        id: delivery.id,
+        subscriptionId: delivery.subscriptionId,
+        chainId: delivery.chainId,
+        contractAddress: delivery.contractAddress,
+        workflowId: delivery.workflowId,
+        eventType: delivery.eventType,
+        txHash: delivery.txHash,
+        logIndex: delivery.logIndex,
+        blockNumber: Number(delivery.blockNumber),
+        status: delivery.status.toLowerCase(),
+        attempts: delivery.attempts,
+        nextAttemptAt: delivery.nextAttemptAt,
+        lastAttemptAt: delivery.lastAttemptAt,
+        responseStatus: delivery.responseStatus,
+        error: delivery.error,
+        deliveredAt: delivery.deliveredAt,
+        createdAt: delivery.createdAt,
+        payload: delivery.payload,
+    };
+}
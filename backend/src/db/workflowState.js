@@ -0,0 +1,175 @@
+/**
+ * WorkflowState persistence helpers
+ * Single place that maps reducer output to WorkflowState rows
+ * Used by the listener (incremental) and replay (rebuild)
+ */
+
+import { config } from '../config.js';
+import { sourceWhere } from '../utils/sources.js';
+import { columnString } from '../utils/hash.js';
+import { replaceAnomalies, anomaliesFromBlock } from './anomalies.js';
+import { getSlaDeadline } from './stalled.js';
+
+// Rows per createMany call when replacing the whole table
+const REPLACE_BATCH_SIZE = 1000;
+
+/**
+ * Primary key of a workflow state (workflow IDs are unique per source)
+ * @param {Object} state - Reducer output or row
+ * @returns {Object} { chainId, contractAddress, workflowId }
+ */
+export function workflowKey(state) {
+    return {
+        chainId: state.chainId,
+        contractAddress: state.contractAddress,
+        workflowId: state.workflowId,
+    };
+}
+
+/**
+ * Columns written for a derived workflow state
+ * @param {Object} state - Reducer output
+ * @returns {Object} Prisma data object (without workflowId)
+ */
+export function toWorkflowStateData(state) {
+    return {
+        status: state.status,
+        phase: state.phase,
+        initiator: state.initiator,
+        startedAt: state.startedAt,
+        completedAt: state.completedAt,
+        failureReason: state.failureReason,
+        decisionApproved: state.decisionApproved ?? null,
+        decisionReason: state.decisionReason ?? null,
+        recipient: state.recipient ?? null,
+        amount: state.amount ?? null,
+        intentAt: state.intentAt ?? null,
+        intentTxHash: state.intentTxHash ?? null,
+        decisionAt: state.decisionAt ?? null,
+        decisionTxHash: state.decisionTxHash ?? null,
+        settlementAt: state.settlementAt ?? null,
+        settlementTxHash: state.settlementTxHash ?? null,
+        finalityAt: state.finalityAt ?? null,
+        finalityTxHash: state.finalityTxHash ?? null,
+        lastEventBlock: state.lastEventBlock,
+        lastEventLogIndex: state.lastEventLogIndex,
+    };
+}
+
+/**
+ * Seconds spent in each phase, from the block timestamps the phases were entered
+ * A phase ends when a later phase is entered; the current phase and FINALITY have no
+ * end yet (null), as do phases the workflow skipped
+ * @param {Object} state - WorkflowState row or reducer output
+ * @returns {Object} { intent, decision, settlement }
+ */
+export function phaseDurations(state) {
+    const entered = [state.intentAt, state.decisionAt, state.settlementAt, state.finalityAt]
+        .map(at => (at === null || at === undefined ? null : Number(at)));
+
+    const durationOf = (index) => {
+        if (entered[index] === null) {
+            return null;
+        }
+        const next = entered.slice(index + 1).find(at => at !== null);
+        return next === undefined ? null : next - entered[index];
+    };
+
+    return {
+        intent: durationOf(0),
+        decision: durationOf(1),
+        settlement: durationOf(2),
+    };
+}
+
+/**
+ * Convert a WorkflowState row for JSON responses (BigInt/Decimal to Number/string)
+ * @param {Object} row - WorkflowState row
+ * @returns {Object}
+ */
+export function formatWorkflowState(row) {
+    const toNumber = value => (value === null || value === undefined ? null : Number(value));
+
+    return {
+        chainId: row.chainId,
+        contractAddress: row.contractAddress,
+        workflowId: row.workflowId,
+        status: row.status.toLowerCase(), // Convert enum to lowercase for frontend compatibility
+        phase: row.phase.toLowerCase(),
+        initiator: row.initiator,
+        startedAt: Number(row.startedAt),
+        completedAt: toNumber(row.completedAt),
+        failureReason: row.failureReason,
+        decisionApproved: row.decisionApproved,
+        decisionReason: row.decisionReason,
+        recipient: row.recipient,
+        amount: columnString(row.amount), // Base units; Decimal in fixed notation
+        phases: {
+            intent: { enteredAt: toNumber(row.intentAt), txHash: row.intentTxHash },
+            decision: { enteredAt: toNumber(row.decisionAt), txHash: row.decisionTxHash },
+            settlement: { enteredAt: toNumber(row.settlementAt), txHash: row.settlementTxHash },
+            finality: { enteredAt: toNumber(row.finalityAt), txHash: row.finalityTxHash },
+        },
+        phaseDurations: phaseDurations(row),
+        stalled: row.stalled ?? false,
+        slaDeadline: getSlaDeadline(row),
+    };
+}
+
+/**
+ * Upsert a derived workflow state
+ * @param {Object} client - Prisma client or transaction client
+ * @param {Object} state - Reducer output
+ * @returns {Promise<Object>} Persisted row
+ */
+export function upsertWorkflowState(client, state) {
+    const data = toWorkflowStateData(state);
+
+    return client.workflowState.upsert({
+        where: { chainId_contractAddress_workflowId: workflowKey(state) },
+        update: data,
+        create: { ...workflowKey(state), ...data },
+    });
+}
+
+/**
+ * Replace every WorkflowState row of a source in a single transaction
+ * Readers keep seeing the previous view until the new one commits
+ * @param {Object} prisma - Prisma client
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {Array} states - Reducer outputs for all of the source's workflows
+ * @param {Object|null} anomalies - { fromBlock, items } to re-derive the source's
+ *   anomalies from fromBlock onward in the same transaction, or null to keep them
+ *
+ * The stalled flag is not derived from events: it is kept for workflows still
+ * RUNNING in the phase they were flagged in, and the listener's next SLA check
+ * settles the rest.
+ */
+export async function replaceSourceWorkflowStates(prisma, source, states, anomalies = null) {
+    await prisma.$transaction(async (tx) => {
+        const stalledRows = await tx.workflowState.findMany({
+            where: { ...sourceWhere(source), stalled: true },
+            select: { workflowId: true, phase: true },
+        });
+        const stalledPhases = new Map(stalledRows.map(row => [row.workflowId, row.phase]));
+
+        await tx.workflowState.deleteMany({ where: sourceWhere(source) });
+
+        if (anomalies) {
+            await replaceAnomalies(tx, anomaliesFromBlock(source, anomalies.fromBlock), anomalies.items);
+        }
+
+        for (let i = 0; i < states.length; i += REPLACE_BATCH_SIZE) {
+            const batch = states.slice(i, i + REPLACE_BATCH_SIZE);
+            await tx.workflowState.createMany({
+                data: batch.map(state => ({
+                    ...workflowKey(state),
+                    ...toWorkflowStateData(state),
+                    stalled: state.status === 'RUNNING' && stalledPhases.get(state.workflowId) === state.phase,
+                })),
+            });
+        }
+    }, {
+        timeout: config.replayTxTimeoutMs,
+    });
+}
@@ -0,0 +1,365 @@
+/**
+ * Workflow definitions
+ * Declarative description of a workflow contract, one JSON file per contract type
+ * in WORKFLOW_DEFINITIONS_DIR (default: definitions/). A definition declares:
+ *
+ * - abi: events (ingested), functions and errors (decode reverted transactions)
+ * - events: for each tracked ABI event, its stored eventType, the payload fields
+ *   taken from the event arguments, the lifecycle phase it moves the workflow to,
+ *   and the transitions (allowed from-phase/status -> new status, fields to set)
+ *
+ * The listener and the reducer are driven from the source's definition, so
+ * another workflow contract is observed by adding a file and a SOURCES entry.
+ * Definitions are validated at startup; any error stops the server.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createHash } from 'node:crypto';
+import { Interface } from 'ethers';
+import { config } from './config.js';
+import { findSource } from './utils/sources.js';
+
+// Lifecycle phases and statuses are database enums (WorkflowPhase, WorkflowStatus)
+export const PHASES = ['INTENT', 'DECISION', 'SETTLEMENT', 'FINALITY'];
+export const STATUSES = ['RUNNING', 'COMPLETED', 'FAILED', 'REJECTED'];
+
+// Pseudo-phase for "no workflow state yet" in transition `from` lists
+export const NONE = 'NONE';
+
+// WorkflowState fields a transition may set, and the values they can take:
+// the block timestamp and/or payload fields whose ABI type starts with one of abiTypes
+const BLOCK_TIMESTAMP = 'blockTimestamp';
+const SETTABLE_FIELDS = {
+    initiator: { timestamp: false, abiTypes: ['address'] },
+    startedAt: { timestamp: true, abiTypes: [] },
+    completedAt: { timestamp: true, abiTypes: [] },
+    failureReason: { timestamp: false, abiTypes: ['string'] },
+    recipient: { timestamp: false, abiTypes: ['address'] },
+    amount: { timestamp: false, abiTypes: ['uint', 'int'] },
+    decisionApproved: { timestamp: false, abiTypes: ['bool'] },
+    decisionReason: { timestamp: false, abiTypes: ['string'] },
+};
+const PAYLOAD_PREFIX = 'payload.';
+
+const EVENT_TYPE_PATTERN = /^[A-Z][A-Z0-9_]{0,63}$/;
+const DEFINITION_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+let registry = null;
+
+/**
+ * Validate one event entry of a definition
+ * @param {Object} event - Raw event entry
+ * @param {Interface} iface - Parsed definition ABI
+ * @param {string} workflowIdArg - Definition-level workflow ID argument
+ * @param {string} label - Prefix for error messages
+ * @returns {Array<string>} Errors
+ */
+function validateEvent(event, iface, workflowIdArg, label) {
+    const errors = [];
+
+    if (!EVENT_TYPE_PATTERN.test(String(event.type))) {
+        errors.push(`${label}: type must be UPPER_SNAKE_CASE (max 64 chars)`);
+    }
+
+    const fragment = typeof event.abiEvent === 'string' ? iface.getEvent(event.abiEvent) : null;
+    if (!fragment) {
+        errors.push(`${label}: abiEvent "${event.abiEvent}" is not an event in the abi`);
+        return errors;
+    }
+
+    const argTypes = new Map(fragment.inputs.map(input => [input.name, input.type]));
+    const argNames = new Set(argTypes.keys());
+    const idArg = event.workflowIdArg || workflowIdArg;
+    if (!argNames.has(idArg)) {
+        errors.push(`${label}: ${event.abiEvent} has no "${idArg}" argument for the workflow ID`);
+    }
+
+    if (!PHASES.includes(event.phase)) {
+        errors.push(`${label}: phase must be one of ${PHASES.join(', ')}`);
+    }
+
+    const payload = event.payload || {};
+    for (const [field, arg] of Object.entries(payload)) {
+        if (!argNames.has(arg)) {
+            errors.push(`${label}: payload.${field} maps to unknown argument "${arg}"`);
+        }
+    }
+
+    if (!Array.isArray(event.transitions) || event.transitions.length === 0) {
+        errors.push(`${label}: transitions must be a non-empty array`);
+        return errors;
+    }
+
+    event.transitions.forEach((transition, index) => {
+        const at = `${label}.transitions[${index}]`;
+
+        if (!Array.isArray(transition.from) || transition.from.length === 0 ||
+            !transition.from.every(phase => phase === NONE || PHASES.includes(phase))) {
+            errors.push(`${at}: from must list phases (${[NONE, ...PHASES].join(', ')})`);
+        }
+        if (transition.fromStatus !== undefined &&
+            (!Array.isArray(transition.fromStatus) || !transition.fromStatus.every(s => STATUSES.includes(s)))) {
+            errors.push(`${at}: fromStatus must list statuses (${STATUSES.join(', ')})`);
+        }
+        if (!STATUSES.includes(transition.status)) {
+            errors.push(`${at}: status must be one of ${STATUSES.join(', ')}`);
+        }
+
+        for (const field of Object.keys(transition.when || {})) {
+            if (!(field in payload)) {
+                errors.push(`${at}: when.${field} is not a payload field`);
+            }
+        }
+
+        const set = transition.set || {};
+        for (const [field, value] of Object.entries(set)) {
+            const spec = SETTABLE_FIELDS[field];
+            if (!spec) {
+                errors.push(`${at}: set.${field} is not settable (${Object.keys(SETTABLE_FIELDS).join(', ')})`);
+                continue;
+            }
+
+            if (value === BLOCK_TIMESTAMP) {
+                if (!spec.timestamp) {
+                    errors.push(`${at}: set.${field} cannot be the block timestamp`);
+                }
+                continue;
+            }
+
+            const payloadField = typeof value === 'string' && value.startsWith(PAYLOAD_PREFIX)
+                ? value.slice(PAYLOAD_PREFIX.length)
+                : null;
+            if (!payloadField || !(payloadField in payload)) {
+                errors.push(`${at}: set.${field} must be "${BLOCK_TIMESTAMP}" or "payload.<field>"`);
+                continue;
+            }
+
+            const argType = argTypes.get(payload[payloadField]) || '';
+            if (!spec.abiTypes.some(type => argType.startsWith(type))) {
+                errors.push(`${at}: set.${field} cannot take ${argType || 'unknown'} argument ${payload[payloadField]}`);
+            }
+        }
+
+        // WorkflowState.initiator is required, so starting transitions must provide it
+        if (Array.isArray(transition.from) && transition.from.includes(NONE) && !set.initiator) {
+            errors.push(`${at}: transitions from ${NONE} must set initiator`);
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Validate a raw definition
+ * @param {Object} raw - Parsed JSON
+ * @param {string} file - File name (for error messages)
+ * @returns {Array<string>} Errors
+ */
+export function validateDefinition(raw, file) {
+    const errors = [];
+
+    if (!raw || typeof raw !== 'object') {
+        return [`${file}: not a JSON object`];
+    }
+    if (!DEFINITION_ID_PATTERN.test(String(raw.id))) {
+        errors.push(`${file}: id must be lowercase kebab-case`);
+    }
+
+    let iface;
+    try {
+        iface = new Interface(raw.abi);
+    } catch (error) {
+        return [...errors, `${file}: abi could not be parsed (${error.message})`];
+    }
+
+    for (const [name, members] of Object.entries(raw.argEnums || {})) {
+        if (!Array.isArray(members) || !members.every(m => typeof m === 'string')) {
+            errors.push(`${file}: argEnums.${name} must be an array of names`);
+        }
+    }
+
+    if (!Array.isArray(raw.events) || raw.events.length === 0) {
+        return [...errors, `${file}: events must be a non-empty array`];
+    }
+
+    const workflowIdArg = raw.workflowIdArg || 'workflowId';
+    const types = new Set();
+    const abiEvents = new Set();
+
+    raw.events.forEach((event, index) => {
+        const label = `${file}: events[${index}]`;
+        errors.push(...validateEvent(event, iface, workflowIdArg, label));
+
+        if (types.has(event.type)) {
+            errors.push(`${label}: duplicate type ${event.type}`);
+        }
+        if (abiEvents.has(event.abiEvent)) {
+            errors.push(`${label}: duplicate abiEvent ${event.abiEvent}`);
+        }
+        types.add(event.type);
+        abiEvents.add(event.abiEvent);
+    });
+
+    const startsWorkflow = raw.events.some(event =>
+        (event.transitions || []).some(t => Array.isArray(t.from) && t.from.includes(NONE))
+    );
+    if (!startsWorkflow) {
+        errors.push(`${file}: no event has a transition from ${NONE} - workflows could never start`);
+    }
+
+    return errors;
+}
+
+/**
+ * Build the runtime form of a validated definition
+ * @param {Object} raw - Parsed JSON (already validated)
+ * @returns {Object}
+ */
+function compileDefinition(raw) {
+    const iface = new Interface(raw.abi);
+    const workflowIdArg = raw.workflowIdArg || 'workflowId';
+
+    const events = raw.events.map(event => ({
+        type: event.type,
+        abiEvent: event.abiEvent,
+        topicHash: iface.getEvent(event.abiEvent).topicHash,
+        workflowIdArg: event.workflowIdArg || workflowIdArg,
+        phase: event.phase,
+        payload: event.payload || {},
+        transitions: event.transitions.map(transition => ({
+            when: transition.when || {},
+            from: transition.from,
+            fromStatus: transition.fromStatus || null,
+            status: transition.status,
+            set: transition.set || {},
+        })),
+    }));
+
+    return {
+        id: raw.id,
+        description: raw.description || '',
+        abi: raw.abi,
+        iface,
+        workflowIdArg,
+        argEnums: raw.argEnums || {},
+        // Part of snapshot validity: editing a definition invalidates old snapshots
+        hash: createHash('sha256').update(JSON.stringify(raw)).digest('hex').slice(0, 16),
+        events,
+        eventsByType: new Map(events.map(event => [event.type, event])),
+        startTypes: events
+            .filter(event => event.transitions.some(t => t.from.includes(NONE)))
+            .map(event => event.type),
+    };
+}
+
+/**
+ * Read, validate and compile every definition file
+ * @returns {Map<string, Object>} Definitions by id
+ * @throws {Error} Listing every problem found
+ */
+export function loadDefinitions() {
+    if (registry) {
+        return registry;
+    }
+
+    const errors = [];
+    const definitions = new Map();
+    let files = [];
+
+    try {
+        files = fs.readdirSync(config.definitionsDir).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+        throw new Error(`Cannot read workflow definitions from ${config.definitionsDir}: ${error.message}`);
+    }
+
+    for (const file of files) {
+        let raw;
+        try {
+            raw = JSON.parse(fs.readFileSync(path.join(config.definitionsDir, file), 'utf8'));
+        } catch (error) {
+            errors.push(`${file}: invalid JSON (${error.message})`);
+            continue;
+        }
+
+        const fileErrors = validateDefinition(raw, file);
+        if (fileErrors.length > 0) {
+            errors.push(...fileErrors);
+            continue;
+        }
+        if (definitions.has(raw.id)) {
+            errors.push(`${file}: duplicate definition id ${raw.id}`);
+            continue;
+        }
+
+        definitions.set(raw.id, compileDefinition(raw));
+    }
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid workflow definitions:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    registry = definitions;
+    return registry;
+}
+
+/**
+ * Validate definitions and check that every source references one
+ * @returns {boolean}
+ */
+export function validateDefinitions() {
+    let definitions;
+    try {
+        definitions = loadDefinitions();
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return false;
+    }
+
+    const unknown = config.sources.filter(source => !definitions.has(source.definitionId));
+    if (unknown.length > 0) {
+        console.error(`❌ Unknown workflow definitions: ${unknown
+            .map(source => `${source.chainId}:${source.contractAddress} -> ${source.definitionId}`)
+            .join(', ')}`);
+        console.error(`❌ Available: ${[...definitions.keys()].join(', ') || 'none'}`);
+        return false;
+    }
+
+    return true;
+}
+
+/**
+ * Get a definition by id
+ * @param {string} id - Definition id
+ * @returns {Object}
+ */
+export function getDefinition(id) {
+    const definition = loadDefinitions().get(id);
+    if (!definition) {
+        throw new Error(`Unknown workflow definition ${id}`);
+    }
+    return definition;
+}
+
+/**
+ * Definition of the source a source/event/row belongs to
+ * Rows of sources no longer configured fall back to the default definition
+ * @param {Object} source - Anything with chainId and contractAddress
+ * @returns {Object}
+ */
+export function getSourceDefinition(source) {
+    const configured = findSource(source.chainId, source.contractAddress);
+    return getDefinition(configured ? configured.definitionId : config.defaultDefinition);
+}
+
+/**
+ * Every eventType declared by a loaded definition
+ * @returns {Array<string>}
+ */
+export function getEventTypes() {
+    const types = new Set();
+    for (const definition of loadDefinitions().values()) {
+        definition.events.forEach(event => types.add(event.type));
+    }
+    return [...types];
+}
@@ -7,7 +7,11 @@
 import express from 'express';
 import cors from 'cors';
 import workflowRoutes from './routes/workflows.js';
+import streamRoutes from './routes/stream.js';
+import adminRoutes from './routes/admin.js';
+import metricsRoutes from './routes/metrics.js';
 import { logger } from './utils/logger.js';
+import { httpRequestDuration } from './utils/metrics.js';
 
 export function createApp() {
     const app = express();
@@ -16,7 +20,7 @@ export function createApp() {
     app.use(cors());
     app.use(express.json());
 
-    // Request logging middleware
+    // Request logging middleware (also feeds the HTTP latency histogram)
     app.use((req, res, next) => {
         const start = Date.now();
 
@@ -28,6 +32,18 @@ export function createApp() {
                 status: res.statusCode,
                 duration: `${duration}ms`,
             });
+
+            // Long-lived SSE connections are not request latency
+            if (res.get('Content-Type')?.startsWith('text/event-stream')) {
+                return;
+            }
+
+            // Label by route pattern (/workflows/:id), not path, to bound cardinality
+            httpRequestDuration.observe({
+                method: req.method,
+                route: req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched',
+                status: res.statusCode,
+            }, duration / 1000);
         });
 
         next();
@@ -35,6 +51,9 @@ export function createApp() {
 
     // Routes
     app.use('/', workflowRoutes);
+    app.use('/', streamRoutes);
+    app.use('/', metricsRoutes);
+    app.use('/admin', adminRoutes);
 
     // 404 handler
     app.use((req, res) => {
@@ -0,0 +1,571 @@
+/**
+ * Admin API routes
+ * Operator endpoints that mutate observer state
+ *
+ * All endpoints require `Authorization: Bearer <ADMIN_TOKEN>`.
+ * The router is disabled (503) when ADMIN_TOKEN is not configured.
+ *
+ * Replays, backfills and checkpoint moves run as background jobs (see
+ * admin/jobs.js); they answer 202 with the job to poll at GET /admin/jobs/:id.
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import { getPrismaClient } from '../db/db.js';
+import { discardDeadLetter, formatDeadLetter } from '../db/deadLetter.js';
+import {
+    generateSecret,
+    parseSubscriptionInput,
+    listDeliveries,
+    resetDelivery,
+    formatSubscription,
+    formatDelivery,
+} from '../db/webhooks.js';
+import { replayAllEvents, replayWorkflow, replayWorkflowsInRange, getReplayProgress } from '../db/replay.js';
+import { formatWorkflowState } from '../db/workflowState.js';
+import {
+    retryDeadLetter,
+    backfillRange,
+    startEventListener,
+    stopEventListener,
+    waitForListenerIdle,
+    getListenerStatus,
+} from '../blockchain/listener.js';
+import { getCheckpoint, previewCheckpointMove, moveCheckpoint } from '../blockchain/checkpoint.js';
+import { verifySource } from '../blockchain/verify.js';
+import { startJob, getJob, listJobs, formatJob, isJobRunning, withListenerPaused } from '../admin/jobs.js';
+import { sendDelivery } from '../webhooks/dispatcher.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { sourceKey, matchSources, resolveSource } from '../utils/sources.js';
+
+const router = express.Router();
+
+const BLOCK_PATTERN = /^\d+$/;
+
+/**
+ * Constant-time comparison of the presented bearer token
+ * @param {string} presented - Token from the request
+ * @returns {boolean}
+ */
+function isValidToken(presented) {
+    const expected = Buffer.from(config.adminToken);
+    const actual = Buffer.from(presented || '');
+
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Parse block number fields of a request body
+ * @param {Object} body - Request body
+ * @param {Array} fields - Required field names
+ * @returns {Object} { blocks } on success, { error } on invalid input
+ */
+function parseBlocks(body, fields) {
+    const blocks = {};
+
+    for (const field of fields) {
+        const value = body?.[field];
+        if (value === undefined || !BLOCK_PATTERN.test(String(value))) {
+            return { error: `Invalid ${field} - expected a block number` };
+        }
+        blocks[field] = Number(value);
+    }
+
+    if (blocks.fromBlock !== undefined && blocks.fromBlock > blocks.toBlock) {
+        return { error: 'Invalid range - fromBlock must not be after toBlock' };
+    }
+
+    return { blocks };
+}
+
+// Token authentication for every admin route
+router.use((req, res, next) => {
+    if (!config.adminToken) {
+        return res.status(503).json({ error: 'Admin API disabled - set ADMIN_TOKEN' });
+    }
+
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !isValidToken(token)) {
+        logger.warn('Rejected admin request', { method: req.method, path: req.path });
+        return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    next();
+});
+
+// POST /admin/dead-letters/:id/retry
+// Reprocess a dead-lettered event immediately (any status except RESOLVED)
+router.post('/dead-letters/:id/retry', async (req, res) => {
+    try {
+        const prisma = getPrismaClient();
+        const deadLetter = await prisma.deadLetterEvent.findUnique({
+            where: { id: req.params.id },
+        });
+
+        if (!deadLetter) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+
+        if (deadLetter.status === 'RESOLVED') {
+            return res.status(409).json({ error: 'Dead letter already resolved' });
+        }
+
+        const success = await retryDeadLetter(deadLetter);
+        const updated = await prisma.deadLetterEvent.findUnique({
+            where: { id: req.params.id },
+        });
+
+        res.status(success ? 200 : 502).json({
+            success,
+            deadLetter: formatDeadLetter(updated),
+        });
+    } catch (error) {
+        logger.error('Error retrying dead letter', {
+            id: req.params.id,
+            error: error.message,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/dead-letters/:id/discard
+// Drop a dead-lettered event without reprocessing it
+router.post('/dead-letters/:id/discard', async (req, res) => {
+    try {
+        const discarded = await discardDeadLetter(req.params.id);
+
+        if (!discarded) {
+            return res.status(404).json({ error: 'Dead letter not found' });
+        }
+
+        res.json({ deadLetter: formatDeadLetter(discarded) });
+    } catch (error) {
+        logger.error('Error discarding dead letter', {
+            id: req.params.id,
+            error: error.message,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/webhooks
+// Create a subscription; the signing secret is only returned here
+router.post('/webhooks', async (req, res) => {
+    try {
+        const { data, error } = parseSubscriptionInput(req.body);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const presented = req.body && req.body.secret !== undefined ? String(req.body.secret) : null;
+        if (presented !== null && presented.length < 16) {
+            return res.status(400).json({ error: 'Invalid secret - expected at least 16 characters' });
+        }
+
+        const secret = presented || generateSecret();
+        const prisma = getPrismaClient();
+        const subscription = await prisma.webhookSubscription.create({ data: { ...data, secret } });
+
+        logger.info('Webhook subscription created', { id: subscription.id, url: subscription.url });
+        res.status(201).json({ subscription: formatSubscription(subscription), secret });
+    } catch (error) {
+        logger.error('Error creating webhook subscription', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/webhooks
+// List subscriptions (without secrets)
+router.get('/webhooks', async (req, res) => {
+    try {
+        const prisma = getPrismaClient();
+        const subscriptions = await prisma.webhookSubscription.findMany({
+            orderBy: { createdAt: 'asc' },
+        });
+
+        res.json(subscriptions.map(formatSubscription));
+    } catch (error) {
+        logger.error('Error fetching webhook subscriptions', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// PATCH /admin/webhooks/:id
+// Change a subscription's URL, filters, description or active flag
+router.patch('/webhooks/:id', async (req, res) => {
+    try {
+        const { data, error } = parseSubscriptionInput(req.body, true);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const prisma = getPrismaClient();
+        const existing = await prisma.webhookSubscription.findUnique({ where: { id: req.params.id } });
+        if (!existing) {
+            return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+
+        const subscription = await prisma.webhookSubscription.update({
+            where: { id: req.params.id },
+            data,
+        });
+
+        res.json({ subscription: formatSubscription(subscription) });
+    } catch (error) {
+        logger.error('Error updating webhook subscription', {
+            id: req.params.id,
+            error: error.message,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// DELETE /admin/webhooks/:id
+// Remove a subscription and its delivery log
+router.delete('/webhooks/:id', async (req, res) => {
+    try {
+        const prisma = getPrismaClient();
+        const { count } = await prisma.webhookSubscription.deleteMany({ where: { id: req.params.id } });
+
+        if (count === 0) {
+            return res.status(404).json({ error: 'Webhook subscription not found' });
+        }
+
+        logger.warn('Webhook subscription deleted', { id: req.params.id });
+        res.status(204).end();
+    } catch (error) {
+        logger.error('Error deleting webhook subscription', {
+            id: req.params.id,
+            error: error.message,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/webhooks/:id/deliveries
+// Delivery log of a subscription (most recent first, optionally filtered by status)
+router.get('/webhooks/:id/deliveries', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 100;
+        const offset = parseInt(req.query.offset) || 0;
+        const status = req.query.status ? String(req.query.status).toUpperCase() : undefined;
+
+        const validStatuses = ['PENDING', 'DELIVERED', 'EXHAUSTED'];
+        if (status && !validStatuses.includes(status)) {
+            return res.status(400).json({ error: `Invalid status - expected one of ${validStatuses.join(', ').toLowerCase()}` });
+        }
+
+        const deliveries = await listDeliveries({ subscriptionId: req.params.id, status, limit, offset });
+        res.json(deliveries.map(formatDelivery));
+    } catch (error) {
+        logger.error('Error fetching webhook deliveries', {
+            id: req.params.id,
+            error: error.message,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/webhook-deliveries/:id/replay
+// Send a delivery again now (any status); on failure it is retried with backoff
+router.post('/webhook-deliveries/:id/replay', async (req, res) => {
+    try {
+        const delivery = await resetDelivery(req.params.id);
+
+        if (!delivery) {
+            return res.status(404).json({ error: 'Webhook delivery not found' });
+        }
+
+        const updated = await sendDelivery(delivery);
+
+        res.status(updated.status === 'DELIVERED' ? 200 : 502).json({
+            success: updated.status === 'DELIVERED',
+            delivery: formatDelivery(updated),
+        });
+    } catch (error) {
+        logger.error('Error replaying webhook delivery', {
+            id: req.params.id,
+            error: error.message,
+        });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/replay
+// Rebuild workflow state as a job: every event of the matching sources, or with
+// fromBlock/toBlock only the workflows that have events in that range
+router.post('/replay', (req, res) => {
+    const body = req.body || {};
+    const { sources, error } = matchSources(body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const ranged = body.fromBlock !== undefined || body.toBlock !== undefined;
+    const { blocks, error: blockError } = ranged ? parseBlocks(body, ['fromBlock', 'toBlock']) : { blocks: {} };
+    if (blockError) {
+        return res.status(400).json({ error: blockError });
+    }
+
+    const params = { sources: sources.map(sourceKey), ...blocks };
+    const { job, error: jobError } = startJob('replay', params, async (progress) => {
+        const results = [];
+
+        for (const source of sources) {
+            const report = update => progress({ source: sourceKey(source), sourcesDone: results.length, ...update });
+            report({});
+
+            results.push(ranged
+                ? await replayWorkflowsInRange(source, blocks.fromBlock, blocks.toBlock, report)
+                : await replayAllEvents({ source }));
+        }
+
+        return { sources: results };
+    });
+    if (jobError) {
+        return res.status(409).json({ error: jobError });
+    }
+
+    res.status(202).json({ job: formatJob(job) });
+});
+
+// POST /admin/replay/workflow
+// Rebuild a single workflow from its events (synchronous)
+router.post('/replay/workflow', async (req, res) => {
+    const { source, error } = resolveSource(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const workflowId = req.body?.workflowId;
+    if (typeof workflowId !== 'string' || workflowId === '') {
+        return res.status(400).json({ error: 'Invalid workflowId - expected a string' });
+    }
+
+    if (isJobRunning()) {
+        return res.status(409).json({ error: 'An admin job is running - retry when it finishes' });
+    }
+
+    try {
+        const state = await withListenerPaused(() => replayWorkflow(source, workflowId));
+
+        res.json({ workflow: state ? formatWorkflowState(state) : null });
+    } catch (error) {
+        logger.error('Error replaying workflow', { workflowId, error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /admin/replay/progress
+// Checkpoint and row counts per source (optionally filtered by chainId/contract)
+router.get('/replay/progress', async (req, res) => {
+    const { sources, error } = matchSources(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        res.json(await Promise.all(sources.map(getReplayProgress)));
+    } catch (error) {
+        logger.error('Error fetching replay progress', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/backfill
+// Re-scan an already processed block range from the chain as a job; missing
+// events are ingested and their workflows rebuilt
+router.post('/backfill', async (req, res) => {
+    const { source, error } = resolveSource(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const { blocks, error: blockError } = parseBlocks(req.body, ['fromBlock', 'toBlock']);
+    if (blockError) {
+        return res.status(400).json({ error: blockError });
+    }
+
+    try {
+        if (blocks.fromBlock < source.startBlock) {
+            return res.status(400).json({ error: `Invalid fromBlock - the source starts at block ${source.startBlock}` });
+        }
+
+        const checkpoint = await getCheckpoint(source);
+        if (blocks.toBlock > checkpoint) {
+            return res.status(400).json({
+                error: `Invalid toBlock - the checkpoint is ${checkpoint}; the listener ingests later blocks`,
+            });
+        }
+
+        const params = { source: sourceKey(source), ...blocks };
+        const { job, error: jobError } = startJob('backfill', params, progress =>
+            backfillRange(source, blocks.fromBlock, blocks.toBlock, progress)
+        );
+        if (jobError) {
+            return res.status(409).json({ error: jobError });
+        }
+
+        res.status(202).json({ job: formatJob(job) });
+    } catch (error) {
+        logger.error('Error starting backfill', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/verify
+// Compare the event store with the chain over fromBlock/toBlock (one source) and
+// every persisted workflow state with a replay of its events, as a job
+router.post('/verify', async (req, res) => {
+    const body = req.body || {};
+    const ranged = body.fromBlock !== undefined || body.toBlock !== undefined;
+
+    // Block numbers are per chain, so a range needs exactly one source
+    const { source, sources: matched, error } = ranged ? resolveSource(body) : matchSources(body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+    const sources = ranged ? [source] : matched;
+
+    const { blocks, error: blockError } = ranged ? parseBlocks(body, ['fromBlock', 'toBlock']) : { blocks: null };
+    if (blockError) {
+        return res.status(400).json({ error: blockError });
+    }
+
+    try {
+        if (ranged) {
+            if (blocks.fromBlock < source.startBlock) {
+                return res.status(400).json({ error: `Invalid fromBlock - the source starts at block ${source.startBlock}` });
+            }
+
+            const checkpoint = await getCheckpoint(source);
+            if (blocks.toBlock > checkpoint) {
+                return res.status(400).json({ error: `Invalid toBlock - the checkpoint is ${checkpoint}` });
+            }
+        }
+
+        const params = { sources: sources.map(sourceKey), ...blocks };
+        const { job, error: jobError } = startJob('verify', params, async (progress) => {
+            const reports = [];
+
+            for (const verified of sources) {
+                const report = await verifySource(verified, blocks, update =>
+                    progress({ source: sourceKey(verified), sourcesDone: reports.length, ...update })
+                );
+                if (report.error) {
+                    throw new Error(report.error);
+                }
+                reports.push(report);
+            }
+
+            return { ok: reports.every(report => report.ok), sources: reports };
+        });
+        if (jobError) {
+            return res.status(409).json({ error: jobError });
+        }
+
+        res.status(202).json({ job: formatJob(job) });
+    } catch (error) {
+        logger.error('Error starting verification', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/checkpoint
+// Move a source's lastProcessedBlock; previews only unless dryRun is false
+router.post('/checkpoint', async (req, res) => {
+    const { source, error } = resolveSource(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    const { blocks, error: blockError } = parseBlocks(req.body, ['blockNumber']);
+    if (blockError) {
+        return res.status(400).json({ error: blockError });
+    }
+
+    const dryRun = req.body?.dryRun ?? true;
+    if (typeof dryRun !== 'boolean') {
+        return res.status(400).json({ error: 'Invalid dryRun - expected a boolean' });
+    }
+
+    try {
+        const preview = await previewCheckpointMove(source, blocks.blockNumber);
+        if (preview.error) {
+            return res.status(400).json({ error: preview.error });
+        }
+
+        if (dryRun) {
+            return res.json({ dryRun, preview });
+        }
+
+        const params = { source: sourceKey(source), blockNumber: blocks.blockNumber };
+        const { job, error: jobError } = startJob('checkpoint', params, async (progress) => {
+            const result = await moveCheckpoint(source, blocks.blockNumber, progress);
+            if (result.error) {
+                throw new Error(result.error);
+            }
+            return result;
+        });
+        if (jobError) {
+            return res.status(409).json({ error: jobError });
+        }
+
+        res.status(202).json({ dryRun, preview, job: formatJob(job) });
+    } catch (error) {
+        logger.error('Error moving checkpoint', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// POST /admin/listener/pause
+// Stop polling every source (waits for a poll in progress to finish)
+router.post('/listener/pause', async (req, res) => {
+    if (isJobRunning()) {
+        return res.status(409).json({ error: 'An admin job is running - the listener resumes after it' });
+    }
+
+    if (getListenerStatus().isListening) {
+        stopEventListener();
+    }
+    const idle = await waitForListenerIdle();
+
+    res.json({ isListening: false, idle });
+});
+
+// POST /admin/listener/resume
+// Start polling again
+router.post('/listener/resume', (req, res) => {
+    if (isJobRunning()) {
+        return res.status(409).json({ error: 'An admin job is running - the listener resumes after it' });
+    }
+
+    if (!getListenerStatus().isListening) {
+        startEventListener();
+    }
+
+    res.json({ isListening: true });
+});
+
+// GET /admin/jobs
+// Recent admin jobs (most recent first)
+router.get('/jobs', (req, res) => {
+    res.json(listJobs().map(formatJob));
+});
+
+// GET /admin/jobs/:id
+// A job's status and progress
+router.get('/jobs/:id', (req, res) => {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(formatJob(job));
+});
+
+export default router;
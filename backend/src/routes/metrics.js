@@ -0,0 +1,100 @@
+/**
+ * Prometheus scrape endpoint
+ * GET /metrics renders every metric in utils/metrics.js. Gauges that mirror
+ * database and listener state (workflows by status, dead letters, ingestion
+ * lag) are recomputed on each scrape; counters and histograms accumulate as
+ * the process runs. If the database is unreachable, the database gauges keep
+ * their last values and the rest is still served.
+ */
+
+import express from 'express';
+import { getPrismaClient } from '../db/db.js';
+import { getListenerStatus } from '../blockchain/listener.js';
+import { logger } from '../utils/logger.js';
+import {
+    renderMetrics,
+    workflows,
+    stalledWorkflows,
+    deadLetters,
+    ingestionLagBlocks,
+    ingestionLagSeconds,
+} from '../utils/metrics.js';
+
+const router = express.Router();
+
+/**
+ * Set the gauges that mirror database state
+ */
+async function collectDatabaseGauges() {
+    const prisma = getPrismaClient();
+
+    const [workflowCounts, stalledCounts, deadLetterCounts] = await Promise.all([
+        prisma.workflowState.groupBy({
+            by: ['chainId', 'contractAddress', 'status'],
+            _count: { _all: true },
+        }),
+        prisma.workflowState.groupBy({
+            by: ['chainId', 'contractAddress'],
+            where: { stalled: true },
+            _count: { _all: true },
+        }),
+        prisma.deadLetterEvent.groupBy({
+            by: ['chainId', 'contractAddress', 'status'],
+            _count: { _all: true },
+        }),
+    ]);
+
+    // Reset first so series for rows that no longer exist disappear
+    workflows.reset();
+    for (const row of workflowCounts) {
+        workflows.set({ chain_id: row.chainId, contract: row.contractAddress, status: row.status }, row._count._all);
+    }
+
+    stalledWorkflows.reset();
+    for (const row of stalledCounts) {
+        stalledWorkflows.set({ chain_id: row.chainId, contract: row.contractAddress }, row._count._all);
+    }
+
+    deadLetters.reset();
+    for (const row of deadLetterCounts) {
+        deadLetters.set({ chain_id: row.chainId, contract: row.contractAddress, status: row.status }, row._count._all);
+    }
+}
+
+/**
+ * Set the gauges that mirror listener state
+ */
+function collectListenerGauges() {
+    const now = Math.floor(Date.now() / 1000);
+    ingestionLagBlocks.reset();
+    ingestionLagSeconds.reset();
+    for (const source of getListenerStatus().sources) {
+        const labels = { chain_id: source.chainId, contract: source.contractAddress };
+
+        // Unknown until the source's first successful poll
+        if (source.lagBlocks !== null) {
+            ingestionLagBlocks.set(labels, source.lagBlocks);
+        }
+        if (source.checkpointTimestamp !== null) {
+            ingestionLagSeconds.set(labels, Math.max(now - source.checkpointTimestamp, 0));
+        }
+    }
+}
+
+// GET /metrics
+// Prometheus text exposition format
+router.get('/metrics', async (req, res) => {
+    collectListenerGauges();
+
+    try {
+        await collectDatabaseGauges();
+    } catch (error) {
+        // Still serve the in-process metrics (RPC, lag, HTTP) while the database is down
+        logger.error('Error collecting database metrics', { error: error.message });
+    }
+
+    res.set('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+});
+
+export default router;
@@ -0,0 +1,254 @@
+/**
+ * Live updates over Server-Sent Events
+ * GET /stream pushes every ingested ChainEvent (`chainEvent`) and the resulting
+ * WorkflowState (`workflow`) as soon as the listener commits them.
+ *
+ * Each message ID is the event's position "chainId:blockNumber:logIndex". On
+ * reconnect, the browser sends it back as Last-Event-ID and the events committed
+ * since are replayed from ChainEvent before live messages resume. Positions are
+ * per chain: events of other chains are not replayed. When more events were
+ * missed than STREAM_REPLAY_LIMIT, a `reset` message tells the client to refetch.
+ */
+
+import express from 'express';
+import { getPrismaClient } from '../db/db.js';
+import {
+    subscribeChanges,
+    changePosition,
+    parseChangePosition,
+    isAfterPosition,
+    formatChangeEvent,
+} from '../db/changeFeed.js';
+import { formatWorkflowState } from '../db/workflowState.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { parseSourceFilter, ADDRESS_PATTERN } from '../utils/sources.js';
+
+const router = express.Router();
+
+/**
+ * Write one SSE message
+ * @param {Object} res - Express response
+ * @param {string} type - Message type (SSE `event`)
+ * @param {Object} data - JSON payload
+ * @param {string} id - Message ID (optional)
+ */
+function send(res, type, data, id = null) {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Parse the stream filters
+ * @param {Object} req - Express request
+ * @returns {Object} { filter, resumeFrom } on success, { error } on invalid input
+ */
+function parseStreamQuery(req) {
+    const { where, error } = parseSourceFilter(req.query);
+    if (error) {
+        return { error };
+    }
+
+    const filter = { ...where };
+
+    if (req.query.workflowId !== undefined) {
+        filter.workflowId = String(req.query.workflowId);
+    }
+
+    if (req.query.initiator !== undefined) {
+        if (!ADDRESS_PATTERN.test(String(req.query.initiator))) {
+            return { error: 'Invalid initiator - expected a 0x-prefixed address' };
+        }
+        filter.initiator = String(req.query.initiator).toLowerCase();
+    }
+
+    // EventSource sends Last-Event-ID on reconnect; ?lastEventId= covers the first connection
+    const lastEventId = req.get('last-event-id') || req.query.lastEventId;
+    let resumeFrom = null;
+
+    if (lastEventId !== undefined && lastEventId !== '') {
+        resumeFrom = parseChangePosition(lastEventId);
+        if (!resumeFrom) {
+            return { error: 'Invalid Last-Event-ID - expected chainId:blockNumber:logIndex' };
+        }
+    }
+
+    return { filter, resumeFrom };
+}
+
+/**
+ * Whether a change passes the stream filters
+ * @param {Object} change - From the change feed
+ * @param {Object} filter - From parseStreamQuery
+ * @returns {boolean}
+ */
+function matchesFilter(change, filter) {
+    const { event } = change;
+
+    return (filter.chainId === undefined || event.chainId === filter.chainId) &&
+        (filter.contractAddress === undefined || event.contractAddress === filter.contractAddress) &&
+        (filter.workflowId === undefined || event.workflowId === filter.workflowId) &&
+        (filter.initiator === undefined ||
+            (change.initiator !== null && change.initiator.toLowerCase() === filter.initiator));
+}
+
+/**
+ * Load the changes committed after a position, as the change feed would have sent them
+ * (except that only the current state of each workflow is known)
+ * @param {Object} filter - From parseStreamQuery
+ * @param {Object} position - From parseChangePosition
+ * @returns {Promise<Array|null>} Changes in order, null if more than the replay limit
+ */
+async function loadMissedChanges(filter, position) {
+    if (filter.chainId !== undefined && filter.chainId !== position.chainId) {
+        return [];
+    }
+
+    const prisma = getPrismaClient();
+    const where = {
+        chainId: position.chainId,
+        ...(filter.contractAddress && { contractAddress: filter.contractAddress }),
+        ...(filter.workflowId && { workflowId: filter.workflowId }),
+        OR: [
+            { blockNumber: { gt: position.blockNumber } },
+            { blockNumber: position.blockNumber, logIndex: { gt: position.logIndex } },
+        ],
+    };
+
+    const events = await prisma.chainEvent.findMany({
+        where,
+        orderBy: [
+            { blockNumber: 'asc' },
+            { logIndex: 'asc' },
+        ],
+        take: config.streamReplayLimit + 1,
+    });
+
+    if (events.length > config.streamReplayLimit) {
+        return null;
+    }
+    if (events.length === 0) {
+        return [];
+    }
+
+    const [states, anomalies] = await Promise.all([
+        prisma.workflowState.findMany({
+            where: {
+                chainId: position.chainId,
+                OR: [...new Map(events.map(e => [`${e.contractAddress}:${e.workflowId}`, e])).values()]
+                    .map(e => ({ contractAddress: e.contractAddress, workflowId: e.workflowId })),
+            },
+        }),
+        prisma.workflowAnomaly.findMany({
+            where: { chainId: position.chainId, blockNumber: { gte: events[0].blockNumber } },
+            select: { txHash: true, logIndex: true, reason: true },
+        }),
+    ]);
+
+    const stateByWorkflow = new Map(states.map(s => [`${s.contractAddress}:${s.workflowId}`, s]));
+    const anomalyByEvent = new Map(anomalies.map(a => [`${a.txHash}:${a.logIndex}`, a]));
+
+    // The current state goes with the workflow's last applied (non-anomaly) event
+    const lastEventOf = new Map();
+    for (const event of events) {
+        if (!anomalyByEvent.has(`${event.txHash}:${event.logIndex}`)) {
+            lastEventOf.set(`${event.contractAddress}:${event.workflowId}`, event);
+        }
+    }
+
+    return events.map(event => {
+        const key = `${event.contractAddress}:${event.workflowId}`;
+        const state = stateByWorkflow.get(key) || null;
+        const anomaly = anomalyByEvent.get(`${event.txHash}:${event.logIndex}`) || null;
+
+        return {
+            event,
+            state: lastEventOf.get(key) === event ? state : null,
+            anomaly,
+            initiator: state ? state.initiator : null,
+        };
+    });
+}
+
+// GET /stream
+// Server-Sent Events: `chainEvent` and `workflow` messages as the listener commits them
+router.get('/stream', async (req, res) => {
+    const { filter, resumeFrom, error } = parseStreamQuery(req);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no', // Disable proxy buffering (nginx)
+    });
+    res.flushHeaders();
+    res.write(`retry: ${config.streamRetryMs}\n\n`);
+
+    // Last position sent per chain; replayed and live changes may overlap
+    const lastSent = new Map();
+    if (resumeFrom) {
+        lastSent.set(resumeFrom.chainId, resumeFrom);
+    }
+
+    const deliver = (changes) => {
+        for (const change of changes) {
+            const { event } = change;
+            const position = lastSent.get(event.chainId);
+
+            if (!matchesFilter(change, filter) || (position && !isAfterPosition(event, position))) {
+                continue;
+            }
+
+            const id = changePosition(event);
+            send(res, 'chainEvent', formatChangeEvent(event, change.anomaly), id);
+            if (change.state) {
+                send(res, 'workflow', formatWorkflowState(change.state), id);
+            }
+            lastSent.set(event.chainId, parseChangePosition(id));
+        }
+    };
+
+    // Live changes that arrive while missed ones are loaded are held back
+    let pending = resumeFrom ? [] : null;
+    const unsubscribe = subscribeChanges((changes) => {
+        if (pending) {
+            pending.push(...changes);
+        } else {
+            deliver(changes);
+        }
+    });
+
+    const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), config.streamHeartbeatMs);
+
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+    });
+
+    if (!resumeFrom) {
+        return;
+    }
+
+    try {
+        const missed = await loadMissedChanges(filter, resumeFrom);
+
+        if (missed === null) {
+            send(res, 'reset', { reason: `More than ${config.streamReplayLimit} events missed - refetch` });
+            lastSent.delete(resumeFrom.chainId);
+        } else {
+            deliver(missed);
+        }
+    } catch (error) {
+        logger.error('Error replaying missed stream events', { error: error.message });
+        send(res, 'reset', { reason: 'Missed events could not be replayed - refetch' });
+        lastSent.delete(resumeFrom.chainId);
+    }
+
+    const held = pending;
+    pending = null;
+    deliver(held);
+});
+
+export default router;
@@ -3,14 +3,40 @@
  * Read-only endpoints for querying workflow state from database
  * 
  * All endpoints are GET only - no mutations
+ * Every endpoint accepts optional `chainId` and `contract` query filters
  */
 
 import express from 'express';
 import { getPrismaClient, checkDatabaseHealth } from '../db/db.js';
+import { listDeadLetters, formatDeadLetter } from '../db/deadLetter.js';
+import { listAnomalies, countAnomalies, formatAnomaly } from '../db/anomalies.js';
+import { formatWorkflowState } from '../db/workflowState.js';
+import { parseTimeseriesQuery, getWorkflowTimeseries } from '../db/timeseries.js';
+import { parseCounterpartyQuery, getCounterparties, COUNTERPARTY_COLUMNS } from '../db/counterparties.js';
+import { parseDigestQuery, listDigests, getDigest, recomputeDigest, formatDigest } from '../db/digest.js';
+import { getRpcHealth } from '../blockchain/provider.js';
+import { getListenerStatus } from '../blockchain/listener.js';
+import { formatRevertedAttempt } from '../blockchain/reverts.js';
+import { config } from '../config.js';
+import { loadDefinitions, getSourceDefinition, getEventTypes } from '../definitions.js';
 import { logger } from '../utils/logger.js';
+import { sourceKey, parseSourceFilter, matchesSourceFilter, resolveSource } from '../utils/sources.js';
+import { parseWorkflowQuery, encodeCursor } from '../utils/workflowQuery.js';
 
 const router = express.Router();
 
+// Parse the chainId / contract filters into req.sourceFilter (400 on invalid input)
+router.use((req, res, next) => {
+    const { where, error } = parseSourceFilter(req.query);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    req.sourceFilter = where;
+    next();
+});
+
 // GET /health
 // Basic health check endpoint
 router.get('/health', (req, res) => {
@@ -34,76 +60,225 @@ router.get('/health/db', async (req, res) => {
     }
 });
 
-// GET /workflows
-// Returns list of all workflows with basic info (paginated)
-router.get('/workflows', async (req, res) => {
+// GET /health/rpc
+// Per-endpoint RPC health (score, latency, error rate, head lag)
+router.get('/health/rpc', (req, res) => {
     try {
-        const prisma = getPrismaClient();
+        const endpoints = getRpcHealth().filter(e =>
+            req.sourceFilter.chainId === undefined || e.chainId === req.sourceFilter.chainId
+        );
 
-        // Pagination parameters
-        const limit = parseInt(req.query.limit) || 100;
-        const offset = parseInt(req.query.offset) || 0;
+        // Healthy when every chain has at least one endpoint out of cooldown
+        const chainIds = [...new Set(endpoints.map(e => e.chainId))];
+        const healthy = chainIds.every(chainId =>
+            endpoints.some(e => e.chainId === chainId && !e.coolingDown)
+        );
 
-        const workflows = await prisma.workflowState.findMany({
-            orderBy: { startedAt: 'desc' },
-            take: limit,
-            skip: offset,
+        res.status(healthy ? 200 : 503).json({
+            status: healthy ? 'ok' : 'error',
+            endpoints,
         });
+    } catch (error) {
+        logger.error('RPC health check failed', { error: error.message });
+        res.status(500).json({ status: 'error', error: error.message });
+    }
+});
 
-        // Convert BigInt to string for JSON serialization
-        const response = workflows.map(wf => ({
-            workflowId: wf.workflowId,
-            status: wf.status.toLowerCase(), // Convert enum to lowercase for frontend compatibility
-            initiator: wf.initiator,
-            startedAt: Number(wf.startedAt),
-            completedAt: wf.completedAt ? Number(wf.completedAt) : null,
-        }));
+// GET /health/listener
+// Listener status: lag behind the confirmed head, last successful poll, chunking and cache
+router.get('/health/listener', (req, res) => {
+    try {
+        const status = getListenerStatus(req.sourceFilter);
+        const pollErrors = status.sources.some(source => source.lastPollError);
+
+        res.json({
+            status: status.isListening && !pollErrors ? 'ok' : 'degraded',
+            ...status,
+        });
+    } catch (error) {
+        logger.error('Listener health check failed', { error: error.message });
+        res.status(500).json({ status: 'error', error: error.message });
+    }
+});
+
+// GET /sources
+// Returns configured ingestion sources with their checkpoints
+router.get('/sources', async (req, res) => {
+    try {
+        const prisma = getPrismaClient();
+        const sources = config.sources.filter(source => matchesSourceFilter(source, req.sourceFilter));
+
+        const checkpoints = await prisma.systemState.findMany({ where: req.sourceFilter });
+        const checkpointByKey = new Map(checkpoints.map(c => [sourceKey(c), c]));
+
+        const response = sources.map(source => {
+            const checkpoint = checkpointByKey.get(sourceKey(source));
+
+            return {
+                chainId: source.chainId,
+                contractAddress: source.contractAddress,
+                startBlock: source.startBlock,
+                definition: source.definitionId,
+                confirmationBlocks: config.chains[source.chainId].confirmationBlocks,
+                lastProcessedBlock: checkpoint ? Number(checkpoint.lastProcessedBlock) : null,
+                lastProcessedBlockHash: checkpoint ? checkpoint.lastProcessedBlockHash : null,
+                updatedAt: checkpoint ? checkpoint.updatedAt : null,
+            };
+        });
 
         res.json(response);
     } catch (error) {
-        logger.error('Error fetching workflows', { error: error.message });
+        logger.error('Error fetching sources', { error: error.message });
         res.status(500).json({ error: 'Internal server error' });
     }
 });
 
+// GET /definitions
+// Returns the loaded workflow definitions (state machines the reducer runs)
+router.get('/definitions', (req, res) => {
+    const response = [...loadDefinitions().values()].map(definition => ({
+        id: definition.id,
+        description: definition.description,
+        hash: definition.hash,
+        sources: config.sources
+            .filter(source => source.definitionId === definition.id)
+            .map(source => ({ chainId: source.chainId, contractAddress: source.contractAddress })),
+        events: definition.events.map(event => ({
+            type: event.type,
+            abiEvent: event.abiEvent,
+            phase: event.phase,
+            payload: event.payload,
+            transitions: event.transitions,
+        })),
+    }));
+
+    res.json(response);
+});
+
+/**
+ * Respond with a page of workflows matching the GET /workflows query parameters
+ * @param {Object} req - Express request (for the source filter)
+ * @param {Object} res - Express response
+ * @param {Object} params - Query parameters (see parseWorkflowQuery)
+ */
+async function sendWorkflowPage(req, res, params) {
+    try {
+        const prisma = getPrismaClient();
+
+        const query = parseWorkflowQuery(params);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        const where = { ...req.sourceFilter, ...query.where };
+        const pageWhere = query.cursorWhere ? { AND: [where, query.cursorWhere] } : where;
+
+        // One extra row tells whether there is a next page
+        const [total, rows] = await Promise.all([
+            prisma.workflowState.count({ where }),
+            prisma.workflowState.findMany({
+                where: pageWhere,
+                orderBy: query.orderBy,
+                take: query.limit + 1,
+                skip: query.offset,
+            }),
+        ]);
+
+        const workflows = rows.slice(0, query.limit);
+        const nextCursor = rows.length > query.limit
+            ? encodeCursor(workflows[workflows.length - 1], query.sort)
+            : null;
+
+        res.json({
+            total,
+            nextCursor,
+            workflows: workflows.map(formatWorkflowState),
+        });
+    } catch (error) {
+        logger.error('Error fetching workflows', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+}
+
+// GET /workflows
+// Returns list of all workflows with basic info (paginated)
+router.get('/workflows', (req, res) => sendWorkflowPage(req, res, req.query));
+
 // GET /workflows/:id
 // Returns detailed workflow information including event timeline
+// Workflow IDs are unique per source; 409 when the ID matches several sources
 router.get('/workflows/:id', async (req, res) => {
     try {
         const { id } = req.params;
         const prisma = getPrismaClient();
 
         // Fetch workflow state
-        const workflow = await prisma.workflowState.findUnique({
-            where: { workflowId: id },
+        const matches = await prisma.workflowState.findMany({
+            where: { ...req.sourceFilter, workflowId: id },
+            take: 10,
         });
 
-        if (!workflow) {
+        if (matches.length === 0) {
             return res.status(404).json({ error: 'Workflow not found' });
         }
 
-        // Fetch all events for this workflow (ordered)
-        const events = await prisma.chainEvent.findMany({
-            where: { workflowId: id },
-            orderBy: [
-                { blockNumber: 'asc' },
-                { transactionIndex: 'asc' },
-                { logIndex: 'asc' },
-            ],
-        });
+        if (matches.length > 1) {
+            return res.status(409).json({
+                error: 'Workflow ID exists in several sources - filter by chainId and contract',
+                sources: matches.map(m => ({ chainId: m.chainId, contractAddress: m.contractAddress })),
+            });
+        }
+
+        const [workflow] = matches;
+
+        const workflowWhere = {
+            chainId: workflow.chainId,
+            contractAddress: workflow.contractAddress,
+            workflowId: id,
+        };
+
+        // Fetch all events, reverted attempts and anomalies for this workflow (ordered)
+        const [events, revertedAttempts, anomalies] = await Promise.all([
+            prisma.chainEvent.findMany({
+                where: workflowWhere,
+                orderBy: [
+                    { blockNumber: 'asc' },
+                    { transactionIndex: 'asc' },
+                    { logIndex: 'asc' },
+                ],
+            }),
+            prisma.revertedAttempt.findMany({
+                where: workflowWhere,
+                orderBy: [
+                    { blockNumber: 'asc' },
+                    { transactionIndex: 'asc' },
+                ],
+            }),
+            prisma.workflowAnomaly.findMany({
+                where: workflowWhere,
+                orderBy: [
+                    { blockNumber: 'asc' },
+                    { logIndex: 'asc' },
+                ],
+            }),
+        ]);
 
         // Transform events into decisions and settlements for frontend compatibility
+        // (grouped by the phase the workflow definition maps each event type to)
+        const definition = getSourceDefinition(workflow);
         const decisions = [];
         const settlements = [];
 
         for (const event of events) {
-            if (event.eventType === 'DECISION_RECORDED') {
+            const phase = definition.eventsByType.get(event.eventType)?.phase;
+
+            if (phase === 'DECISION') {
                 decisions.push({
                     approved: event.payload.approved,
                     reason: event.payload.reason,
                     timestamp: Number(event.blockTimestamp),
                 });
-            } else if (event.eventType === 'PAYMENT_EXECUTED') {
+            } else if (phase === 'SETTLEMENT') {
                 settlements.push({
                     from: workflow.initiator, // Approximation
                     to: event.payload.to,
@@ -115,16 +290,11 @@ router.get('/workflows/:id', async (req, res) => {
 
         // Convert BigInt to Number for JSON serialization
         const response = {
-            workflow: {
-                workflowId: workflow.workflowId,
-                status: workflow.status.toLowerCase(),
-                initiator: workflow.initiator,
-                startedAt: Number(workflow.startedAt),
-                completedAt: workflow.completedAt ? Number(workflow.completedAt) : null,
-                failureReason: workflow.failureReason,
-            },
+            workflow: formatWorkflowState(workflow),
             decisions,
             settlements,
+            revertedAttempts: revertedAttempts.map(formatRevertedAttempt),
+            anomalies: anomalies.map(formatAnomaly),
         };
 
         res.json(response);
@@ -144,12 +314,14 @@ router.get('/stats', async (req, res) => {
         const prisma = getPrismaClient();
 
         // Aggregate counts by status
-        const [total, running, completed, failed, rejected] = await Promise.all([
-            prisma.workflowState.count(),
-            prisma.workflowState.count({ where: { status: 'RUNNING' } }),
-            prisma.workflowState.count({ where: { status: 'COMPLETED' } }),
-            prisma.workflowState.count({ where: { status: 'FAILED' } }),
-            prisma.workflowState.count({ where: { status: 'REJECTED' } }),
+        const where = req.sourceFilter;
+        const [total, running, completed, failed, rejected, stalled] = await Promise.all([
+            prisma.workflowState.count({ where }),
+            prisma.workflowState.count({ where: { ...where, status: 'RUNNING' } }),
+            prisma.workflowState.count({ where: { ...where, status: 'COMPLETED' } }),
+            prisma.workflowState.count({ where: { ...where, status: 'FAILED' } }),
+            prisma.workflowState.count({ where: { ...where, status: 'REJECTED' } }),
+            prisma.workflowState.count({ where: { ...where, stalled: true } }),
         ]);
 
         res.json({
@@ -157,6 +329,7 @@ router.get('/stats', async (req, res) => {
             running,
             completed,
             failed: failed + rejected, // Combine failed and rejected for frontend
+            stalled, // RUNNING past their phase SLA (subset of running)
         });
     } catch (error) {
         logger.error('Error fetching stats', { error: error.message });
@@ -164,4 +337,226 @@ router.get('/stats', async (req, res) => {
     }
 });
 
+// GET /stats/timeseries
+// Returns per-bucket throughput, settled volume and phase latency percentiles
+router.get('/stats/timeseries', async (req, res) => {
+    const params = parseTimeseriesQuery(req.query);
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
+
+    try {
+        const buckets = await getWorkflowTimeseries(req.sourceFilter, params);
+
+        res.json({
+            bucket: params.bucket,
+            from: params.from,
+            to: params.to,
+            buckets,
+        });
+    } catch (error) {
+        logger.error('Error fetching time series', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /initiators, GET /recipients
+// Returns per-address aggregates (counts, outcome rates, amounts, first/last seen)
+router.get(['/initiators', '/recipients'], async (req, res) => {
+    const kind = req.path.slice(1);
+    const params = parseCounterpartyQuery(req.query);
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
+
+    try {
+        const { total, counterparties } = await getCounterparties(kind, req.sourceFilter, params);
+        res.json({ total, [kind]: counterparties });
+    } catch (error) {
+        logger.error('Error fetching counterparties', { kind, error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /initiators/:address/workflows, GET /recipients/:address/workflows
+// One address's workflows; accepts the GET /workflows filters, sorting and pagination
+router.get(['/initiators/:address/workflows', '/recipients/:address/workflows'], (req, res) => {
+    const field = COUNTERPARTY_COLUMNS[req.path.split('/')[1]];
+    return sendWorkflowPage(req, res, { ...req.query, [field]: req.params.address });
+});
+
+// GET /reorgs
+// Returns the reorg audit log (most recent first)
+router.get('/reorgs', async (req, res) => {
+    try {
+        const prisma = getPrismaClient();
+        const limit = parseInt(req.query.limit) || 50;
+
+        const audits = await prisma.reorgAudit.findMany({
+            where: req.sourceFilter,
+            orderBy: { detectedAt: 'desc' },
+            take: limit,
+        });
+
+        // Convert BigInt to Number for JSON serialization
+        const response = audits.map(audit => ({
+            id: audit.id,
+            chainId: audit.chainId,
+            contractAddress: audit.contractAddress,
+            forkBlock: Number(audit.forkBlock),
+            mismatchBlock: Number(audit.mismatchBlock),
+            storedBlockHash: audit.storedBlockHash,
+            canonicalBlockHash: audit.canonicalBlockHash,
+            previousCheckpoint: Number(audit.previousCheckpoint),
+            newCheckpoint: Number(audit.newCheckpoint),
+            eventsRolledBack: audit.eventsRolledBack,
+            orphanedEvents: audit.orphanedEvents,
+            affectedWorkflows: audit.affectedWorkflows,
+            workflowsRebuilt: audit.workflowsRebuilt,
+            rebuiltAt: audit.rebuiltAt,
+            detectedAt: audit.detectedAt,
+        }));
+
+        res.json(response);
+    } catch (error) {
+        logger.error('Error fetching reorg audit', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /dead-letters
+// Returns events that failed to process (optionally filtered by status)
+router.get('/dead-letters', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 100;
+        const offset = parseInt(req.query.offset) || 0;
+        const status = req.query.status ? String(req.query.status).toUpperCase() : undefined;
+
+        const validStatuses = ['PENDING', 'EXHAUSTED', 'RESOLVED', 'DISCARDED'];
+        if (status && !validStatuses.includes(status)) {
+            return res.status(400).json({ error: `Invalid status - expected one of ${validStatuses.join(', ').toLowerCase()}` });
+        }
+
+        const deadLetters = await listDeadLetters({ source: req.sourceFilter, status, limit, offset });
+        res.json(deadLetters.map(formatDeadLetter));
+    } catch (error) {
+        logger.error('Error fetching dead letters', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /anomalies
+// Returns events that violated the workflow lifecycle (most recent first) with totals
+router.get('/anomalies', async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 100;
+        const offset = parseInt(req.query.offset) || 0;
+        const eventType = req.query.eventType ? String(req.query.eventType).toUpperCase() : undefined;
+
+        const validEventTypes = getEventTypes();
+        if (eventType && !validEventTypes.includes(eventType)) {
+            return res.status(400).json({ error: `Invalid eventType - expected one of ${validEventTypes.join(', ').toLowerCase()}` });
+        }
+
+        const [summary, anomalies] = await Promise.all([
+            countAnomalies(req.sourceFilter),
+            listAnomalies({
+                source: req.sourceFilter,
+                workflowId: req.query.workflowId ? String(req.query.workflowId) : undefined,
+                eventType,
+                limit,
+                offset,
+            }),
+        ]);
+
+        res.json({
+            total: summary.total,
+            byEventType: summary.byEventType,
+            anomalies: anomalies.map(formatAnomaly),
+        });
+    } catch (error) {
+        logger.error('Error fetching anomalies', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /reverted-attempts
+// Returns failed transactions sent to the contract (most recent first)
+router.get('/reverted-attempts', async (req, res) => {
+    try {
+        const prisma = getPrismaClient();
+        const limit = parseInt(req.query.limit) || 100;
+        const offset = parseInt(req.query.offset) || 0;
+
+        const attempts = await prisma.revertedAttempt.findMany({
+            where: req.sourceFilter,
+            orderBy: [
+                { blockNumber: 'desc' },
+                { transactionIndex: 'desc' },
+            ],
+            take: limit,
+            skip: offset,
+        });
+
+        res.json(attempts.map(formatRevertedAttempt));
+    } catch (error) {
+        logger.error('Error fetching reverted attempts', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /checkpoints
+// Returns state digests of past checkpoints (most recent first)
+router.get('/checkpoints', async (req, res) => {
+    const params = parseDigestQuery(req.query);
+    if (params.error) {
+        return res.status(400).json({ error: params.error });
+    }
+
+    try {
+        res.json(await listDigests(req.sourceFilter, params));
+    } catch (error) {
+        logger.error('Error fetching checkpoints', { error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
+// GET /checkpoints/:blockNumber
+// One source's digest at a block; ?verify=true recomputes it from the stored events
+router.get('/checkpoints/:blockNumber', async (req, res) => {
+    const { blockNumber } = req.params;
+    if (!/^\d+$/.test(blockNumber)) {
+        return res.status(400).json({ error: 'Invalid blockNumber - expected a block number' });
+    }
+
+    const { source, error } = resolveSource(req.query);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const digest = await getDigest(source, Number(blockNumber));
+        if (!digest) {
+            return res.status(404).json({ error: 'No digest at this block' });
+        }
+
+        const response = formatDigest(digest);
+        if (req.query.verify === 'true') {
+            const recomputed = await recomputeDigest(source, Number(blockNumber));
+            response.verification = {
+                ...recomputed,
+                eventsMatch: recomputed.eventsHash === digest.eventsHash &&
+                    recomputed.eventCount === digest.eventCount,
+                // Null for events-only (chunk) digests and while a reorg rebuild was pending
+                stateMatch: digest.stateHash === null ? null : recomputed.stateHash === digest.stateHash,
+            };
+        }
+
+        res.json(response);
+    } catch (error) {
+        logger.error('Error fetching checkpoint', { blockNumber, error: error.message });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+});
+
 export default router;
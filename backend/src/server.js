@@ -3,22 +3,25 @@
  * Entry point for the application
  * 
  * Startup sequence:
- * 1. Load and validate configuration
+ * 1. Load and validate configuration and workflow definitions
  * 2. Connect to database
- * 3. Initialize system state
- * 4. Replay events from last checkpoint
- * 5. Initialize blockchain provider
- * 6. Start event listener
+ * 3. Initialize a checkpoint per source (legacy rows go to the first source)
+ * 4. Replay events after the latest valid snapshot (STARTUP_REPLAY=full rebuilds all)
+ * 5. Initialize a blockchain provider per chain
+ * 6. Start event listener (one poll loop per source) and webhook dispatcher
  * 7. Start HTTP server
  */
 
 import { createApp } from './index.js';
 import { config, validateConfig } from './config.js';
-import { connectDatabase, disconnectDatabase, initializeSystemState, getPrismaClient } from './db/db.js';
-import { replayAllEvents } from './db/replay.js';
+import { validateDefinitions } from './definitions.js';
+import { connectDatabase, disconnectDatabase, initializeSystemState, adoptLegacyRows } from './db/db.js';
+import { replayAllEvents, replayFromSnapshot } from './db/replay.js';
 import { startEventListener, stopEventListener } from './blockchain/listener.js';
-import { getProvider, getBlockNumber, getNetwork } from './blockchain/provider.js';
+import { startWebhookDispatcher, stopWebhookDispatcher } from './webhooks/dispatcher.js';
+import { getProvider, getBlockNumber, getNetwork, redactUrl, stopProvider } from './blockchain/provider.js';
 import { logger } from './utils/logger.js';
+import { sourceKey } from './utils/sources.js';
 
 async function bootstrap() {
     try {
@@ -30,52 +33,65 @@ async function bootstrap() {
             throw new Error('Invalid configuration - please check .env file');
         }
 
+        if (!validateDefinitions()) {
+            throw new Error(`Invalid workflow definitions - please check ${config.definitionsDir}`);
+        }
+
         // Step 2: Connect to database
         logger.info('Connecting to database...');
         await connectDatabase();
         logger.info('✅ Database connected');
 
-        // Step 3: Initialize system state (singleton)
-        logger.info('Initializing system state...');
+        // Step 3: Initialize system state (one checkpoint per source)
+        logger.info('Initializing system state...', { sources: config.sources.map(sourceKey) });
+        await adoptLegacyRows();
         await initializeSystemState();
 
-        // Step 4: Replay events from last checkpoint
-        logger.info('Starting event replay...');
-        const prisma = getPrismaClient();
-        const systemState = await prisma.systemState.findUnique({ where: { id: 1 } });
+        // Step 4: Replay events from the latest snapshot (or everything on request)
+        logger.info('Starting event replay...', { mode: config.startupReplay });
 
-        const replayStats = await replayAllEvents({
-            fromBlock: 0, // Replay all events for deterministic reconstruction
-        });
+        const replayStats = config.startupReplay === 'full'
+            ? await replayAllEvents({ fromBlock: 0 })
+            : await replayFromSnapshot();
 
         logger.info('✅ Event replay complete', {
+            sources: replayStats.sources.length,
             eventsProcessed: replayStats.eventsProcessed,
             workflowsRebuilt: replayStats.workflowsRebuilt,
             duration: `${replayStats.duration}ms`,
         });
 
-        // Step 5: Initialize blockchain provider
-        logger.info('Connecting to blockchain...');
-        const provider = getProvider();
-
-        // Verify connection
-        const network = await getNetwork();
-        const blockNumber = await getBlockNumber();
-
-        logger.info('✅ Blockchain connected', {
-            network: network.name,
-            chainId: network.chainId,
-            blockNumber,
-            rpcUrl: config.rpcUrl,
-        });
+        // Step 5: Initialize blockchain providers (verify each chain's connection)
+        logger.info('Connecting to blockchains...');
+
+        for (const chain of Object.values(config.chains)) {
+            // Providers use a static network, so ask the endpoint which chain it serves
+            const reportedChainId = Number(await getProvider(chain.chainId).send('eth_chainId', []));
+            if (reportedChainId !== chain.chainId) {
+                throw new Error(`RPC endpoint for chain ${chain.chainId} reports chain ${reportedChainId}`);
+            }
+
+            const network = await getNetwork(chain.chainId);
+            const blockNumber = await getBlockNumber(chain.chainId);
+
+            logger.info('✅ Blockchain connected', {
+                network: network.name,
+                chainId: network.chainId,
+                blockNumber,
+                confirmationBlocks: chain.confirmationBlocks,
+                rpcEndpoints: chain.rpcUrls.map(redactUrl),
+            });
+        }
 
         // Step 6: Start event listener
         logger.info('Starting event listener...');
         startEventListener();
         logger.info('✅ Event listener started', {
-            confirmationBlocks: config.confirmationBlocks,
+            sources: config.sources.length,
         });
 
+        startWebhookDispatcher();
+
         // Step 7: Create and start HTTP server
         const app = createApp();
 
@@ -83,12 +99,14 @@ async function bootstrap() {
             logger.info('✅ Server ready', {
                 port: config.port,
                 environment: config.nodeEnv,
-                contractAddress: config.contractAddress,
+                sources: config.sources.map(sourceKey),
             });
 
             logger.info('📡 API Endpoints:');
             logger.info(`   Health:     http://localhost:${config.port}/health`);
             logger.info(`   DB Health:  http://localhost:${config.port}/health/db`);
+            logger.info(`   RPC Health: http://localhost:${config.port}/health/rpc`);
+            logger.info(`   Sources:    http://localhost:${config.port}/sources`);
             logger.info(`   Workflows:  http://localhost:${config.port}/workflows`);
             logger.info(`   Stats:      http://localhost:${config.port}/stats`);
         });
@@ -112,6 +130,8 @@ async function shutdown(signal) {
     try {
         // Stop event listener
         stopEventListener();
+        stopWebhookDispatcher();
+        stopProvider();
 
         // Disconnect from database
         await disconnectDatabase();
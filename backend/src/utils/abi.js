@@ -0,0 +1,41 @@
+/**
+ * ABI value helpers
+ * Decoded ethers values (BigInt, Result) are not JSON-safe; these convert
+ * them before they are stored in Json columns or returned by the API
+ */
+
+/**
+ * Convert a decoded ABI value into a JSON-safe value
+ * BigInts become decimal strings; arrays/tuples are converted recursively
+ * @param {*} value - Decoded value
+ * @returns {*}
+ */
+export function toJsonValue(value) {
+    return JSON.parse(JSON.stringify(value, (key, v) =>
+        typeof v === 'bigint' ? v.toString() : v
+    ));
+}
+
+/**
+ * Convert decoded ABI arguments into a { name: value } object
+ * Arguments listed in argEnums get the enum member name instead of the number
+ * @param {Array} inputs - ABI ParamTypes
+ * @param {Object} values - ethers Result
+ * @param {Object} argEnums - { [paramName]: [memberName, ...] } (optional)
+ * @returns {Object}
+ */
+export function toJsonArgs(inputs, values, argEnums = {}) {
+    const args = {};
+
+    inputs.forEach((input, index) => {
+        const name = input.name || String(index);
+        const value = values[index];
+        const members = input.name ? argEnums[input.name] : undefined;
+
+        args[name] = members
+            ? members[Number(value)] ?? value.toString()
+            : toJsonValue(value);
+    });
+
+    return args;
+}
@@ -0,0 +1,52 @@
+/**
+ * Canonical serialization and hashing
+ * Digests and comparisons must not depend on object key order (stored jsonb
+ * reorders keys) or on how a number was typed (BigInt, Decimal, number).
+ */
+
+import crypto from 'crypto';
+
+/**
+ * JSON with sorted object keys; BigInts become decimal strings
+ * @param {*} value
+ * @returns {string}
+ */
+export function canonicalJson(value) {
+    if (typeof value === 'bigint') {
+        return JSON.stringify(value.toString());
+    }
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(',')}]`;
+    }
+    if (value !== null && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * A column value as a string, so BigInt, Decimal and number compare equal
+ * Decimals use fixed notation (String() switches to exponents from 1e21)
+ * @param {*} value
+ * @returns {string|null}
+ */
+export function columnString(value) {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === 'object' && typeof value.toFixed === 'function') {
+        return value.toFixed();
+    }
+    return String(value);
+}
+
+/**
+ * SHA-256 as a 0x-prefixed hex string
+ * @param {string|Buffer} data
+ * @returns {string}
+ */
+export function sha256Hex(data) {
+    return `0x${crypto.createHash('sha256').update(data).digest('hex')}`;
+}
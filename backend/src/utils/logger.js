@@ -15,10 +15,35 @@ function formatTimestamp() {
     return new Date().toISOString();
 }
 
+// Where log lines go and which levels are written (see configureLogger)
+const output = {
+    write: line => console.log(line),
+    levels: new Set(Object.values(LogLevel)),
+};
+
 function log(level, message, meta = {}) {
+    if (!output.levels.has(level)) {
+        return;
+    }
+
     const timestamp = formatTimestamp();
     const metaStr = Object.keys(meta).length > 0 ? ` ${JSON.stringify(meta)}` : '';
-    console.log(`[${timestamp}] [${level}] ${message}${metaStr}`);
+    output.write(`[${timestamp}] [${level}] ${message}${metaStr}`);
+}
+
+/**
+ * Redirect or filter log output (the CLI keeps stdout for its own output)
+ * @param {Object} options
+ * @param {Function} options.write - Receives each formatted line (optional)
+ * @param {Array} options.levels - Levels to write, e.g. ['WARN', 'ERROR'] (optional)
+ */
+export function configureLogger({ write, levels } = {}) {
+    if (write) {
+        output.write = write;
+    }
+    if (levels) {
+        output.levels = new Set(levels);
+    }
 }
 
 export const logger = {
@@ -0,0 +1,265 @@
+/**
+ * Prometheus metrics
+ * A minimal registry of counters, gauges and histograms rendered in the
+ * Prometheus text exposition format (version 0.0.4) by GET /metrics.
+ *
+ * Counters and histograms are updated where the work happens (ingest, RPC
+ * provider, poll loop, replay, dead-letter queue, HTTP middleware). Gauges
+ * that mirror database or listener state are set when /metrics is scraped
+ * (see routes/metrics.js).
+ *
+ * Values live in process memory and reset on restart, as Prometheus expects.
+ */
+
+const metrics = [];
+
+// Seconds; tuned for RPC-bound work (polls, replays) and HTTP handlers
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+/**
+ * Escape a label value (backslash, double quote, newline)
+ * @param {*} value - Label value
+ * @returns {string}
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Render a sample value (Prometheus spells infinities +Inf/-Inf)
+ * @param {number} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === Infinity) {
+        return '+Inf';
+    }
+    if (value === -Infinity) {
+        return '-Inf';
+    }
+    return String(value);
+}
+
+/**
+ * Render a label set as {a="1",b="2"} (empty string when there are no labels)
+ * @param {Object} labels
+ * @returns {string}
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Base class: a named metric with one series per label combination
+ */
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+        metrics.push(this);
+    }
+
+    /**
+     * Series for a label set, created on first use
+     * @param {Object} labels - Values for every label name
+     * @param {Function} create - Initial series value
+     * @returns {Object}
+     */
+    seriesFor(labels, create) {
+        // A missing label is rendered empty rather than failing the instrumented code
+        const values = this.labelNames.map(name => String(labels[name] ?? ''));
+        const key = JSON.stringify(values);
+
+        if (!this.series.has(key)) {
+            const labelSet = Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+            this.series.set(key, { labels: labelSet, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * Drop every series (gauges recomputed from scratch on each scrape)
+     */
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines.join('\n');
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+    }
+}
+
+/**
+ * Monotonically increasing count
+ */
+export class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+    }
+}
+
+/**
+ * Value that can go up and down
+ */
+export class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels, () => ({ value: 0 })).value = value;
+    }
+}
+
+/**
+ * Distribution of observed values in cumulative buckets
+ */
+export class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = [...buckets].sort((a, b) => a - b);
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels, () => ({
+            counts: this.buckets.map(() => 0),
+            sum: 0,
+            count: 0,
+        }));
+
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) {
+                series.counts[i]++;
+            }
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    /**
+     * Start a timer; calling the returned function observes the elapsed seconds
+     * @param {Object} labels - Labels known up front
+     * @returns {Function} (extraLabels) => seconds
+     */
+    startTimer(labels = {}) {
+        const start = process.hrtime.bigint();
+        return (extraLabels = {}) => {
+            const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+            this.observe({ ...labels, ...extraLabels }, seconds);
+            return seconds;
+        };
+    }
+
+    renderSeries(series) {
+        const lines = this.buckets.map((bound, i) =>
+            `${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${series.counts[i]}`
+        );
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${this.name}_sum${formatLabels(series.labels)} ${series.sum}`);
+        lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        return lines;
+    }
+}
+
+/**
+ * Render every registered metric
+ * @returns {string} Prometheus text exposition format
+ */
+export function renderMetrics() {
+    return `${metrics.map(metric => metric.render()).join('\n')}\n`;
+}
+
+// Ingestion
+
+export const eventsIngested = new Counter(
+    'x402_events_ingested_total',
+    'Chain events committed, by event type',
+    ['chain_id', 'contract', 'event_type']
+);
+
+export const pollDuration = new Histogram(
+    'x402_poll_duration_seconds',
+    'Duration of one listener poll of a source',
+    ['chain_id', 'contract', 'outcome']
+);
+
+export const ingestionLagBlocks = new Gauge(
+    'x402_ingestion_lag_blocks',
+    'Confirmed blocks not yet processed, per source',
+    ['chain_id', 'contract']
+);
+
+export const ingestionLagSeconds = new Gauge(
+    'x402_ingestion_lag_seconds',
+    'Seconds since the timestamp of the last processed block, per source',
+    ['chain_id', 'contract']
+);
+
+export const deadLettered = new Counter(
+    'x402_dead_lettered_events_total',
+    'Events written to the dead-letter queue for the first time',
+    ['chain_id', 'event_type']
+);
+
+export const deadLetters = new Gauge(
+    'x402_dead_letter_events',
+    'Dead-letter queue rows, by status',
+    ['chain_id', 'contract', 'status']
+);
+
+export const workflows = new Gauge(
+    'x402_workflows',
+    'Workflows, by status',
+    ['chain_id', 'contract', 'status']
+);
+
+export const stalledWorkflows = new Gauge(
+    'x402_workflows_stalled',
+    'RUNNING workflows past their phase SLA',
+    ['chain_id', 'contract']
+);
+
+export const replayDuration = new Histogram(
+    'x402_replay_duration_seconds',
+    'Duration of a state replay, by mode (full, snapshot, workflow)',
+    ['mode'],
+    [0.01, 0.1, 0.5, 1, 5, 10, 30, 60, 300, 900]
+);
+
+// RPC
+
+export const rpcRequests = new Counter(
+    'x402_rpc_requests_total',
+    'RPC calls sent to an endpoint (each failover attempt counts), by method',
+    ['chain_id', 'method']
+);
+
+export const rpcErrors = new Counter(
+    'x402_rpc_errors_total',
+    'RPC calls that failed, by method',
+    ['chain_id', 'method']
+);
+
+// HTTP
+
+export const httpRequestDuration = new Histogram(
+    'x402_http_request_duration_seconds',
+    'HTTP request latency, by route',
+    ['method', 'route', 'status']
+);
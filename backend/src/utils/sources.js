@@ -0,0 +1,120 @@
+/**
+ * Ingestion source helpers
+ * A source is one (chainId, contractAddress) pair with its own checkpoint.
+ * Every ChainEvent, WorkflowState, snapshot, dead letter and reorg audit
+ * belongs to exactly one source.
+ */
+
+import { config } from '../config.js';
+
+// Any casing; checksums are not enforced
+export const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+
+/**
+ * Stable string key for a source (map keys, logs)
+ * @param {Object} source - { chainId, contractAddress }
+ * @returns {string}
+ */
+export function sourceKey(source) {
+    return `${source.chainId}:${source.contractAddress}`;
+}
+
+/**
+ * Prisma where-clause fragment selecting one source
+ * @param {Object} source - { chainId, contractAddress }
+ * @returns {Object}
+ */
+export function sourceWhere(source) {
+    return {
+        chainId: source.chainId,
+        contractAddress: source.contractAddress,
+    };
+}
+
+/**
+ * Find a configured source
+ * @param {number} chainId - Chain ID
+ * @param {string} contractAddress - Contract address (any casing)
+ * @returns {Object|null}
+ */
+export function findSource(chainId, contractAddress) {
+    const address = String(contractAddress).toLowerCase();
+
+    return config.sources.find(source =>
+        source.chainId === Number(chainId) && source.contractAddress === address
+    ) || null;
+}
+
+/**
+ * Parse the `chainId` / `contract` query filters shared by the API routes
+ * @param {Object} query - Express req.query
+ * @returns {Object} { where } on success, { error } on invalid input
+ */
+export function parseSourceFilter(query) {
+    const where = {};
+
+    if (query.chainId !== undefined) {
+        const chainId = Number(query.chainId);
+        if (!Number.isInteger(chainId) || chainId <= 0) {
+            return { error: 'Invalid chainId - expected a positive integer' };
+        }
+        where.chainId = chainId;
+    }
+
+    if (query.contract !== undefined) {
+        if (!ADDRESS_PATTERN.test(String(query.contract))) {
+            return { error: 'Invalid contract - expected a 0x-prefixed address' };
+        }
+        where.contractAddress = String(query.contract).toLowerCase();
+    }
+
+    return { where };
+}
+
+/**
+ * Whether a source matches a parsed filter
+ * @param {Object} source - { chainId, contractAddress }
+ * @param {Object} where - From parseSourceFilter
+ * @returns {boolean}
+ */
+export function matchesSourceFilter(source, where) {
+    return (where.chainId === undefined || source.chainId === where.chainId) &&
+        (where.contractAddress === undefined || source.contractAddress === where.contractAddress);
+}
+
+/**
+ * Configured sources matching the chainId / contract fields of a request or CLI options
+ * @param {Object} input - Request body, query or CLI options
+ * @returns {Object} { sources } on success, { error } on invalid input
+ */
+export function matchSources(input) {
+    const { where, error } = parseSourceFilter(input || {});
+    if (error) {
+        return { error };
+    }
+
+    const sources = config.sources.filter(source => matchesSourceFilter(source, where));
+    if (sources.length === 0) {
+        return { error: 'Unknown source - no configured source matches chainId/contract' };
+    }
+
+    return { sources };
+}
+
+/**
+ * The single configured source named by a request or CLI options
+ * chainId and contract may be omitted when only one source is configured
+ * @param {Object} input - Request body or CLI options
+ * @returns {Object} { source } on success, { error } on invalid input
+ */
+export function resolveSource(input) {
+    const { sources, error } = matchSources(input);
+    if (error) {
+        return { error };
+    }
+    if (sources.length > 1) {
+        return { error: 'Ambiguous source - pass chainId and contract' };
+    }
+
+    return { source: sources[0] };
+}
@@ -0,0 +1,234 @@
+/**
+ * GET /workflows query parsing
+ * Filters, sort order and keyset (cursor) pagination over WorkflowState.
+ *
+ * Rows are ordered by the sort field, then (startedAt, workflowId) as a
+ * tie-breaker, all in the same direction; nullable sort fields put nulls last.
+ * The cursor is the last row's position in that order, so pages stay stable
+ * while the listener inserts new workflows. It is opaque to clients (base64url
+ * JSON) and only valid for the sort it was issued with.
+ */
+
+import { getAddress } from 'ethers';
+import { ADDRESS_PATTERN } from './sources.js';
+import { columnString } from './hash.js';
+
+export const DEFAULT_LIMIT = 100;
+export const MAX_LIMIT = 1000;
+
+const STATUSES = ['RUNNING', 'COMPLETED', 'FAILED', 'REJECTED'];
+const SORT_FIELDS = ['startedAt', 'completedAt', 'amount'];
+const NULLABLE_SORT_FIELDS = ['completedAt', 'amount'];
+const INTEGER_PATTERN = /^\d+$/;
+
+/**
+ * Parse an offset query parameter
+ * @param {*} value - Raw query value (undefined: 0)
+ * @returns {number|null} Offset, null if not a non-negative integer
+ */
+export function parseOffset(value) {
+    if (value === undefined) {
+        return 0;
+    }
+    return INTEGER_PATTERN.test(String(value)) ? Number(value) : null;
+}
+
+/**
+ * Encode a row's position for the next page
+ * @param {Object} row - Last WorkflowState row of the page
+ * @param {Object} sort - { field, order }
+ * @returns {string}
+ */
+export function encodeCursor(row, sort) {
+    const value = row[sort.field];
+
+    return Buffer.from(JSON.stringify({
+        k: `${sort.field}:${sort.order}`,
+        // Amounts are Decimals; columnString keeps them out of exponent notation
+        v: columnString(value),
+        s: row.startedAt.toString(),
+        w: row.workflowId,
+    })).toString('base64url');
+}
+
+/**
+ * Decode a cursor issued by encodeCursor
+ * @param {string} cursor - Opaque cursor
+ * @param {Object} sort - { field, order } of the current request
+ * @returns {Object|null} { value, startedAt, workflowId }, null if invalid
+ */
+export function decodeCursor(cursor, sort) {
+    try {
+        const { k, v, s, w } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+        if (k !== `${sort.field}:${sort.order}` || typeof w !== 'string' || !INTEGER_PATTERN.test(s)) {
+            return null;
+        }
+        if (v !== null && !INTEGER_PATTERN.test(v)) {
+            return null;
+        }
+
+        const value = v === null ? null : (sort.field === 'amount' ? v : BigInt(v));
+        return { value, startedAt: BigInt(s), workflowId: w };
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Where-clause selecting the rows after a cursor position
+ * @param {Object} position - From decodeCursor
+ * @param {Object} sort - { field, order }
+ * @returns {Object}
+ */
+function afterCursor(position, sort) {
+    const op = sort.order === 'desc' ? 'lt' : 'gt';
+    const tieBreak = {
+        OR: [
+            { startedAt: { [op]: position.startedAt } },
+            { startedAt: position.startedAt, workflowId: { [op]: position.workflowId } },
+        ],
+    };
+
+    if (sort.field === 'startedAt') {
+        return tieBreak;
+    }
+
+    // Nulls sort last: past a null value only nulls remain
+    if (position.value === null) {
+        return { AND: [{ [sort.field]: null }, tieBreak] };
+    }
+
+    return {
+        OR: [
+            { [sort.field]: { [op]: position.value } },
+            { [sort.field]: null },
+            { AND: [{ [sort.field]: position.value }, tieBreak] },
+        ],
+    };
+}
+
+/**
+ * Parse a comma-separated status filter
+ * @param {string} value - e.g. "running,rejected"
+ * @returns {Array|null} Status enum values, null if any is unknown
+ */
+function parseStatuses(value) {
+    const statuses = String(value).split(',').map(s => s.trim().toUpperCase()).filter(Boolean);
+    return statuses.length > 0 && statuses.every(s => STATUSES.includes(s)) ? statuses : null;
+}
+
+/**
+ * Parse the GET /workflows query string
+ * Addresses are checksummed to match the stored values (decoded by ethers).
+ * @param {Object} query - Express req.query
+ * @returns {Object} { where, cursorWhere, orderBy, sort, limit, offset } on success,
+ *   { error } on invalid input
+ */
+export function parseWorkflowQuery(query) {
+    const filters = [];
+
+    if (query.status !== undefined) {
+        const statuses = parseStatuses(query.status);
+        if (!statuses) {
+            return { error: `Invalid status - expected one of ${STATUSES.join(', ').toLowerCase()}` };
+        }
+        filters.push({ status: { in: statuses } });
+    }
+
+    for (const field of ['initiator', 'recipient']) {
+        if (query[field] === undefined) {
+            continue;
+        }
+        if (!ADDRESS_PATTERN.test(String(query[field]))) {
+            return { error: `Invalid ${field} - expected a 0x-prefixed address` };
+        }
+        filters.push({ [field]: getAddress(String(query[field]).toLowerCase()) });
+    }
+
+    const amount = {};
+    for (const [param, op] of [['minAmount', 'gte'], ['maxAmount', 'lte']]) {
+        if (query[param] === undefined) {
+            continue;
+        }
+        if (!INTEGER_PATTERN.test(String(query[param]))) {
+            return { error: `Invalid ${param} - expected a non-negative integer (wei)` };
+        }
+        amount[op] = String(query[param]);
+    }
+    if (Object.keys(amount).length > 0) {
+        filters.push({ amount });
+    }
+
+    const startedAt = {};
+    for (const [param, op] of [['startedAfter', 'gte'], ['startedBefore', 'lt']]) {
+        if (query[param] === undefined) {
+            continue;
+        }
+        if (!INTEGER_PATTERN.test(String(query[param]))) {
+            return { error: `Invalid ${param} - expected a unix timestamp in seconds` };
+        }
+        startedAt[op] = BigInt(query[param]);
+    }
+    if (Object.keys(startedAt).length > 0) {
+        filters.push({ startedAt });
+    }
+
+    if (query.stalled !== undefined) {
+        if (!['true', 'false'].includes(String(query.stalled))) {
+            return { error: 'Invalid stalled - expected true or false' };
+        }
+        filters.push({ stalled: String(query.stalled) === 'true' });
+    }
+
+    if (query.failureReason !== undefined && String(query.failureReason) !== '') {
+        filters.push({ failureReason: { contains: String(query.failureReason), mode: 'insensitive' } });
+    }
+
+    const sort = {
+        field: query.sort !== undefined ? String(query.sort) : 'startedAt',
+        order: query.order !== undefined ? String(query.order).toLowerCase() : 'desc',
+    };
+    if (!SORT_FIELDS.includes(sort.field)) {
+        return { error: `Invalid sort - expected one of ${SORT_FIELDS.join(', ')}` };
+    }
+    if (!['asc', 'desc'].includes(sort.order)) {
+        return { error: 'Invalid order - expected asc or desc' };
+    }
+
+    const limit = query.limit !== undefined ? parseInt(query.limit) : DEFAULT_LIMIT;
+    if (!Number.isInteger(limit) || limit <= 0 || limit > MAX_LIMIT) {
+        return { error: `Invalid limit - expected 1 to ${MAX_LIMIT}` };
+    }
+
+    let cursor = null;
+    if (query.cursor !== undefined) {
+        cursor = decodeCursor(String(query.cursor), sort);
+        if (!cursor) {
+            return { error: 'Invalid cursor - it must come from a previous response with the same sort and order' };
+        }
+    }
+
+    // Offset pagination is kept for older clients; it is ignored with a cursor
+    const offset = parseOffset(query.offset);
+    if (offset === null) {
+        return { error: 'Invalid offset - expected a non-negative integer' };
+    }
+
+    const orderBy = [
+        NULLABLE_SORT_FIELDS.includes(sort.field)
+            ? { [sort.field]: { sort: sort.order, nulls: 'last' } }
+            : { [sort.field]: sort.order },
+        ...(sort.field === 'startedAt' ? [] : [{ startedAt: sort.order }]),
+        { workflowId: sort.order },
+    ];
+
+    return {
+        where: filters.length > 0 ? { AND: filters } : {},
+        cursorWhere: cursor ? afterCursor(cursor, sort) : null,
+        orderBy,
+        sort,
+        limit,
+        offset: cursor ? 0 : offset,
+    };
+}
@@ -0,0 +1,172 @@
+/**
+ * Webhook dispatcher
+ * Sends pending WebhookDelivery rows (see db/webhooks.js) as signed POSTs and
+ * retries failures with exponential backoff.
+ *
+ * It runs every WEBHOOK_POLL_INTERVAL_MS, and right away when the change feed
+ * reports a committed chunk, so a transition is usually delivered within one
+ * HTTP round-trip of its commit. Runs never overlap.
+ *
+ * Signature: X-Webhook-Signature is "sha256=" + hex HMAC-SHA256 of
+ * "<X-Webhook-Timestamp>.<raw body>" keyed with the subscription secret.
+ */
+
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import { subscribeChanges } from '../db/changeFeed.js';
+import { getDueDeliveries, recordDeliveryAttempt } from '../db/webhooks.js';
+
+let timer = null;
+let unsubscribe = null;
+let isRunning = false;
+let runAgain = false;
+
+/**
+ * Sign a webhook body
+ * @param {string} secret - Subscription secret
+ * @param {number} timestamp - Unix seconds sent in X-Webhook-Timestamp
+ * @param {string} body - Raw JSON body
+ * @returns {string} "sha256=<hex>"
+ */
+export function signWebhook(secret, timestamp, body) {
+    const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+    return `sha256=${digest}`;
+}
+
+/**
+ * POST one delivery to its subscription and record the outcome
+ * @param {Object} delivery - WebhookDelivery row with its subscription
+ * @returns {Promise<Object>} Updated delivery row
+ */
+export async function sendDelivery(delivery) {
+    const body = JSON.stringify({ id: delivery.id, ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+    let result;
+
+    try {
+        const response = await fetch(delivery.subscription.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'x402-observer-webhooks',
+                'X-Webhook-Id': delivery.id,
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signWebhook(delivery.subscription.secret, timestamp, body),
+            },
+            body,
+            signal: AbortSignal.timeout(config.webhookTimeoutMs),
+        });
+
+        result = response.ok
+            ? { ok: true, responseStatus: response.status }
+            : { ok: false, responseStatus: response.status, error: `HTTP ${response.status}` };
+    } catch (error) {
+        result = { ok: false, responseStatus: null, error: error.message };
+    }
+
+    const updated = await recordDeliveryAttempt(delivery, result);
+
+    if (result.ok) {
+        logger.info('Webhook delivered', {
+            id: delivery.id,
+            subscriptionId: delivery.subscriptionId,
+            workflowId: delivery.workflowId,
+            eventType: delivery.eventType,
+        });
+    } else {
+        logger.warn('Webhook delivery failed', {
+            id: delivery.id,
+            subscriptionId: delivery.subscriptionId,
+            attempts: updated.attempts,
+            status: updated.status,
+            error: result.error,
+            ...(updated.status === 'PENDING' && { nextAttemptAt: updated.nextAttemptAt.toISOString() }),
+        });
+    }
+
+    return updated;
+}
+
+/**
+ * Send every due delivery, a batch at a time
+ * @returns {Promise<number>} Deliveries attempted
+ */
+async function dispatchDueDeliveries() {
+    let attempted = 0;
+
+    while (true) {
+        const due = await getDueDeliveries(config.webhookBatchSize);
+        if (due.length === 0) {
+            return attempted;
+        }
+
+        // One endpoint's slow answers should not hold up the others
+        await Promise.all(due.map(delivery => sendDelivery(delivery)));
+        attempted += due.length;
+
+        if (due.length < config.webhookBatchSize) {
+            return attempted;
+        }
+    }
+}
+
+/**
+ * Run the dispatcher now (coalesced with a run in progress)
+ */
+async function run() {
+    if (isRunning) {
+        runAgain = true;
+        return;
+    }
+
+    isRunning = true;
+    try {
+        do {
+            runAgain = false;
+            await dispatchDueDeliveries();
+        } while (runAgain);
+    } catch (error) {
+        logger.error('Webhook dispatch failed', { error: error.message });
+    } finally {
+        isRunning = false;
+    }
+}
+
+/**
+ * Start delivering webhooks
+ */
+export function startWebhookDispatcher() {
+    if (timer) {
+        logger.warn('Webhook dispatcher already running');
+        return;
+    }
+
+    timer = setInterval(run, config.webhookPollIntervalMs);
+    unsubscribe = subscribeChanges(() => {
+        run();
+    });
+
+    logger.info('Webhook dispatcher started', {
+        pollIntervalMs: config.webhookPollIntervalMs,
+        maxAttempts: config.webhookMaxAttempts,
+    });
+
+    run();
+}
+
+/**
+ * Stop delivering webhooks (a run in progress finishes)
+ */
+export function stopWebhookDispatcher() {
+    if (!timer) {
+        return;
+    }
+
+    clearInterval(timer);
+    timer = null;
+    unsubscribe();
+    unsubscribe = null;
+
+    logger.info('Webhook dispatcher stopped');
+}
@@ -0,0 +1,61 @@
+import { afterEach, beforeEach, describe, expect, spyOn, test } from 'bun:test';
+import { COMMANDS, EXIT } from '../src/cli/commands.js';
+import { commitEvents } from '../src/db/ingest.js';
+import { fakeHash, makeEvent, readCheckpoint, resetDatabase, source } from './helpers.js';
+
+const INITIATOR = '0x00000000000000000000000000000000000000bb';
+const WORKFLOW = fakeHash('workflow-cli');
+const CHECKPOINT = { blockNumber: 110, blockHash: fakeHash('block-110') };
+
+describe('cli replay', () => {
+    let stdout;
+    let output;
+
+    beforeEach(async () => {
+        await resetDatabase(99);
+        await commitEvents(source, [
+            makeEvent(WORKFLOW, 'WORKFLOW_STARTED', { initiator: INITIATOR }, 100),
+            makeEvent(WORKFLOW, 'DECISION_RECORDED', { approved: true, reason: 'ok' }, 101),
+        ], CHECKPOINT);
+
+        output = '';
+        stdout = spyOn(process.stdout, 'write').mockImplementation((chunk) => {
+            output += chunk;
+            return true;
+        });
+    });
+
+    afterEach(() => {
+        stdout.mockRestore();
+    });
+
+    test('a full replay leaves the checkpoint alone', async () => {
+        expect(await COMMANDS.replay.run({ json: true })).toBe(EXIT.OK);
+        expect(JSON.parse(output).sources[0]).toMatchObject({ eventsProcessed: 2, workflowsRebuilt: 1 });
+
+        expect(await readCheckpoint()).toEqual({
+            lastProcessedBlock: 110n,
+            lastProcessedBlockHash: CHECKPOINT.blockHash,
+        });
+    });
+
+    test('a ranged replay rebuilds only workflows with events in the range', async () => {
+        expect(await COMMANDS.replay.run({ json: true, from: '101', to: '101' })).toBe(EXIT.OK);
+        expect(JSON.parse(output).sources[0]).toMatchObject({ fromBlock: 101, toBlock: 101, workflowsRebuilt: 1 });
+
+        expect(await readCheckpoint()).toEqual({
+            lastProcessedBlock: 110n,
+            lastProcessedBlockHash: CHECKPOINT.blockHash,
+        });
+    });
+
+    test('--workflow cannot be combined with a range', async () => {
+        const stderr = spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            expect(await COMMANDS.replay.run({ workflow: WORKFLOW, from: '100', to: '101' })).toBe(EXIT.USAGE);
+            expect(stderr).toHaveBeenCalledWith('Error: --workflow cannot be combined with --from/--to');
+        } finally {
+            stderr.mockRestore();
+        }
+    });
+});
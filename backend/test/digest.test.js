@@ -0,0 +1,100 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { commitEvents } from '../src/db/ingest.js';
+import { getPrismaClient } from '../src/db/db.js';
+import { maybeRecordDigest, recomputeDigest, recordDigest } from '../src/db/digest.js';
+import { config } from '../src/config.js';
+import { fakeHash, makeEvent, resetDatabase, source, startApp } from './helpers.js';
+
+const INITIATOR = '0x00000000000000000000000000000000000000bb';
+const intervalBlocks = config.digestIntervalBlocks;
+const retain = config.digestRetain;
+
+async function commitStarted(label, blockNumber) {
+    await commitEvents(source, [
+        makeEvent(fakeHash(label), 'WORKFLOW_STARTED', { initiator: INITIATOR }, blockNumber),
+    ], { blockNumber, blockHash: fakeHash(`block-${blockNumber}`) });
+}
+
+describe('state digests', () => {
+    beforeEach(async () => {
+        await resetDatabase(0);
+        config.digestIntervalBlocks = 100;
+    });
+
+    afterEach(() => {
+        config.digestIntervalBlocks = intervalBlocks;
+        config.digestRetain = retain;
+    });
+
+    test('each committed chunk records an events-only digest', async () => {
+        await commitStarted('workflow-a', 10);
+        await commitStarted('workflow-b', 20);
+
+        const digests = await getPrismaClient().stateDigest.findMany({ orderBy: { blockNumber: 'asc' } });
+        expect(digests.map(d => [d.blockNumber, d.eventCount, d.stateHash])).toEqual([[10n, 1, null], [20n, 2, null]]);
+        expect((await recomputeDigest(source, 20)).eventsHash).toBe(digests[1].eventsHash);
+
+        const app = await startApp();
+        try {
+            const { status, body } = await app.request('/checkpoints/10?verify=true');
+            expect(status).toBe(200);
+            expect(body.verification).toMatchObject({ eventsMatch: true, stateMatch: null });
+        } finally {
+            await app.close();
+        }
+    });
+
+    test('a digest is recorded once the checkpoint moves an interval past the last one', async () => {
+        await commitStarted('workflow-a', 50);
+        expect(await maybeRecordDigest(source, 50)).toBeNull();
+
+        await commitStarted('workflow-b', 100);
+        const first = await maybeRecordDigest(source, 100);
+        expect(first).toMatchObject({ blockNumber: 100n, blockHash: fakeHash('block-100'), eventCount: 2, workflowCount: 2 });
+        expect(await maybeRecordDigest(source, 100)).toBeNull();
+
+        // The next digest folds on from the previous one
+        await commitStarted('workflow-c', 200);
+        const second = await maybeRecordDigest(source, 200);
+        expect(second).toMatchObject({ blockNumber: 200n, eventCount: 3, workflowCount: 3 });
+        expect(await recomputeDigest(source, 200)).toEqual({
+            eventCount: 3,
+            eventsHash: second.eventsHash,
+            workflowCount: 3,
+            stateHash: second.stateHash,
+        });
+    });
+
+    test('an interval of 0 disables digests', async () => {
+        config.digestIntervalBlocks = 0;
+        await commitStarted('workflow-a', 500);
+        expect(await maybeRecordDigest(source, 500)).toBeNull();
+        expect(await getPrismaClient().stateDigest.count()).toBe(0);
+    });
+
+    test('late events invalidate digests from their block on', async () => {
+        await commitStarted('workflow-a', 100);
+        await recordDigest(source);
+        await commitStarted('workflow-b', 200);
+        await recordDigest(source);
+
+        // Backfill: no checkpoint, lands between the two digests
+        await commitEvents(source, [
+            makeEvent(fakeHash('workflow-late'), 'WORKFLOW_STARTED', { initiator: INITIATOR }, 150),
+        ]);
+
+        const digests = await getPrismaClient().stateDigest.findMany();
+        expect(digests.map(d => d.blockNumber)).toEqual([100n]);
+    });
+
+    test('chunk digests do not crowd out digests with a state hash', async () => {
+        config.digestRetain = 1;
+        await commitStarted('workflow-a', 100);
+        await maybeRecordDigest(source, 100);
+        await commitStarted('workflow-b', 110);
+        await commitStarted('workflow-c', 120);
+
+        const digests = await getPrismaClient().stateDigest.findMany({ orderBy: { blockNumber: 'asc' } });
+        expect(digests.map(d => [d.blockNumber, d.stateHash !== null])).toEqual([[100n, true], [120n, false]]);
+    });
+});
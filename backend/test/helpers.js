@@ -0,0 +1,88 @@
+/**
+ * Shared test fixtures: database reset and ChainEvent builders
+ */
+
+import { once } from 'events';
+import { createApp } from '../src/index.js';
+import { getPrismaClient } from '../src/db/db.js';
+import { config } from '../src/config.js';
+import { sourceWhere } from '../src/utils/sources.js';
+
+export const source = config.sources[0];
+
+/**
+ * Empty every table and create the source's SystemState row
+ * @param {number} lastProcessedBlock - Starting checkpoint
+ */
+export async function resetDatabase(lastProcessedBlock = 0) {
+    const prisma = getPrismaClient();
+    const tables = await prisma.$queryRaw`SELECT tablename FROM pg_tables WHERE schemaname = 'public'`;
+    await prisma.$executeRawUnsafe(`TRUNCATE ${tables.map(t => `"${t.tablename}"`).join(', ')} CASCADE`);
+
+    await prisma.systemState.create({
+        data: { ...sourceWhere(source), lastProcessedBlock: BigInt(lastProcessedBlock) },
+    });
+}
+
+/**
+ * The source's checkpoint columns
+ * @returns {Promise<Object>} { lastProcessedBlock, lastProcessedBlockHash }
+ */
+export async function readCheckpoint() {
+    const row = await getPrismaClient().systemState.findUnique({
+        where: { chainId_contractAddress: sourceWhere(source) },
+    });
+    return { lastProcessedBlock: row.lastProcessedBlock, lastProcessedBlockHash: row.lastProcessedBlockHash };
+}
+
+/**
+ * Hash-shaped hex string derived from a label
+ * @param {string} label
+ * @returns {string}
+ */
+export function fakeHash(label) {
+    return `0x${Buffer.from(label).toString('hex').padStart(64, '0').slice(-64)}`;
+}
+
+/**
+ * ChainEvent create data for the source
+ * @param {string} workflowId
+ * @param {string} eventType
+ * @param {Object} payload
+ * @param {number} blockNumber
+ * @param {number} logIndex
+ * @returns {Object}
+ */
+export function makeEvent(workflowId, eventType, payload, blockNumber, logIndex = 0) {
+    return {
+        ...sourceWhere(source),
+        workflowId,
+        eventType,
+        payload,
+        blockNumber: BigInt(blockNumber),
+        transactionIndex: 0,
+        logIndex,
+        txHash: fakeHash(`tx-${blockNumber}-${logIndex}`),
+        blockHash: fakeHash(`block-${blockNumber}`),
+        blockTimestamp: BigInt(1700000000 + blockNumber * 12),
+    };
+}
+
+/**
+ * Serve the API on a random local port
+ * @returns {Promise<Object>} { url, request(path, options), close() }
+ */
+export async function startApp() {
+    const server = createApp().listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    const url = `http://127.0.0.1:${server.address().port}`;
+
+    return {
+        url,
+        request: async (path, options) => {
+            const response = await fetch(`${url}${path}`, options);
+            return { status: response.status, body: await response.json() };
+        },
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
@@ -0,0 +1,85 @@
+import { afterEach, beforeEach, describe, expect, test } from 'bun:test';
+import { FaultPoint, commitEvents, setFaultInjector } from '../src/db/ingest.js';
+import { getPrismaClient } from '../src/db/db.js';
+import { sourceWhere } from '../src/utils/sources.js';
+import { fakeHash, makeEvent, resetDatabase, source } from './helpers.js';
+
+const WORKFLOW_A = fakeHash('workflow-a');
+const WORKFLOW_B = fakeHash('workflow-b');
+const INITIATOR = '0x00000000000000000000000000000000000000bb';
+
+/**
+ * Everything a committed chunk writes, for before/after comparison
+ */
+async function snapshotTables() {
+    const prisma = getPrismaClient();
+    const [events, states, systemState, deliveries] = await Promise.all([
+        prisma.chainEvent.findMany({ orderBy: [{ blockNumber: 'asc' }, { logIndex: 'asc' }] }),
+        prisma.workflowState.findMany({ orderBy: { workflowId: 'asc' } }),
+        prisma.systemState.findUnique({ where: { chainId_contractAddress: sourceWhere(source) } }),
+        prisma.webhookDelivery.findMany({ orderBy: { createdAt: 'asc' } }),
+    ]);
+    return { events, states, lastProcessedBlock: systemState.lastProcessedBlock, deliveries };
+}
+
+describe('commitEvents fault injection', () => {
+    beforeEach(async () => {
+        await resetDatabase(99);
+        await getPrismaClient().webhookSubscription.create({
+            data: { url: 'http://127.0.0.1:9/hook', secret: 'secret' },
+        });
+
+        // Committed baseline the failed chunks must leave untouched
+        await commitEvents(source, [
+            makeEvent(WORKFLOW_A, 'WORKFLOW_STARTED', { initiator: INITIATOR }, 100),
+        ], { blockNumber: 100, blockHash: fakeHash('block-100') });
+    });
+
+    afterEach(() => {
+        setFaultInjector(null);
+    });
+
+    test('baseline chunk is committed with its webhook delivery', async () => {
+        const before = await snapshotTables();
+        expect(before.events).toHaveLength(1);
+        expect(before.states).toHaveLength(1);
+        expect(before.lastProcessedBlock).toBe(100n);
+        expect(before.deliveries).toHaveLength(1);
+    });
+
+    for (const point of Object.values(FaultPoint)) {
+        test(`a fault at ${point} rolls back the whole chunk`, async () => {
+            const before = await snapshotTables();
+
+            let injected = 0;
+            setFaultInjector((at) => {
+                if (at === point) {
+                    injected++;
+                    throw new Error(`injected fault at ${at}`);
+                }
+            });
+
+            const chunk = [
+                makeEvent(WORKFLOW_A, 'DECISION_RECORDED', { approved: true, reason: 'ok' }, 101),
+                makeEvent(WORKFLOW_B, 'WORKFLOW_STARTED', { initiator: INITIATOR }, 102),
+            ];
+            await expect(commitEvents(source, chunk, { blockNumber: 102, blockHash: fakeHash('block-102') }))
+                .rejects.toThrow(`injected fault at ${point}`);
+            expect(injected).toBe(1);
+
+            expect(await snapshotTables()).toEqual(before);
+
+            // The same chunk commits cleanly once the fault is gone
+            setFaultInjector(null);
+            const result = await commitEvents(source, chunk, { blockNumber: 102, blockHash: fakeHash('block-102') });
+            expect(result.inserted).toBe(2);
+            expect(result.webhookDeliveries).toBe(2);
+
+            const after = await snapshotTables();
+            expect(after.events).toHaveLength(3);
+            expect(after.states).toHaveLength(2);
+            expect(after.lastProcessedBlock).toBe(102n);
+            expect(after.deliveries).toHaveLength(3);
+        });
+    }
+});
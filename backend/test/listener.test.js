@@ -0,0 +1,82 @@
+/**
+ * pollEvents against fixtures/rpc-hello-world.ndjson, recorded with
+ * RPC_FIXTURE_MODE=record from two polls of a stub chain:
+ *
+ * - poll 1 (head 110): WorkflowStarted at 103, DecisionRecorded (approved) at 105,
+ *   PaymentExecuted at 107
+ * - poll 2 (head 120): reorg check of block 110, WorkflowCompleted at 115
+ *
+ * CAPTURE_REVERTS was off, so no block transaction scans were recorded.
+ */
+
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { ethers } from 'ethers';
+import { pollSourceOnce } from '../src/blockchain/listener.js';
+import { resetFixtures } from '../src/blockchain/fixtures.js';
+import { invalidateCacheFrom } from '../src/blockchain/cache.js';
+import { getPrismaClient } from '../src/db/db.js';
+import { config } from '../src/config.js';
+import { sourceWhere } from '../src/utils/sources.js';
+import { resetDatabase, source } from './helpers.js';
+
+const WORKFLOW = ethers.id('fixture-workflow');
+const captureReverts = config.captureReverts;
+
+// ethers caches eth_blockNumber briefly; the recording waited between polls too
+const pauseBetweenPolls = () => new Promise(resolve => setTimeout(resolve, 500));
+
+async function getCheckpoint() {
+    const state = await getPrismaClient().systemState.findUnique({
+        where: { chainId_contractAddress: sourceWhere(source) },
+    });
+    return { blockNumber: Number(state.lastProcessedBlock), blockHash: state.lastProcessedBlockHash };
+}
+
+describe('pollEvents replaying recorded RPC responses', () => {
+    beforeAll(async () => {
+        config.captureReverts = false;
+        resetFixtures();
+        invalidateCacheFrom(source.chainId, 0);
+        await resetDatabase(0);
+    });
+
+    afterAll(() => {
+        config.captureReverts = captureReverts;
+    });
+
+    test('the first poll ingests up to the recorded head', async () => {
+        expect(await pollSourceOnce(source)).toEqual({ lagBlocks: 0 });
+
+        const events = await getPrismaClient().chainEvent.findMany({ orderBy: { blockNumber: 'asc' } });
+        expect(events.map(e => [e.eventType, Number(e.blockNumber)])).toEqual([
+            ['WORKFLOW_STARTED', 103],
+            ['DECISION_RECORDED', 105],
+            ['PAYMENT_EXECUTED', 107],
+        ]);
+        expect(events[2].payload).toEqual({ to: '0x00000000000000000000000000000000000000cc', amount: '2500000' });
+
+        const state = await getPrismaClient().workflowState.findFirst({ where: { workflowId: WORKFLOW } });
+        expect(state).toMatchObject({ status: 'RUNNING', phase: 'SETTLEMENT', decisionApproved: true });
+
+        expect(await getCheckpoint()).toEqual({ blockNumber: 110, blockHash: ethers.id('block-110') });
+    });
+
+    test('the next poll passes the reorg check and completes the workflow', async () => {
+        await pauseBetweenPolls();
+        expect(await pollSourceOnce(source)).toEqual({ lagBlocks: 0 });
+
+        expect(await getPrismaClient().chainEvent.count()).toBe(4);
+        expect(await getPrismaClient().reorgAudit.count()).toBe(0);
+
+        const state = await getPrismaClient().workflowState.findFirst({ where: { workflowId: WORKFLOW } });
+        expect(state).toMatchObject({
+            status: 'COMPLETED',
+            phase: 'FINALITY',
+            initiator: '0x00000000000000000000000000000000000000bb',
+            recipient: '0x00000000000000000000000000000000000000cc',
+            completedAt: BigInt(1700000000 + 115 * 12),
+        });
+
+        expect(await getCheckpoint()).toEqual({ blockNumber: 120, blockHash: ethers.id('block-120') });
+    });
+});
@@ -0,0 +1,65 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { commitEvents } from '../src/db/ingest.js';
+import { fakeHash, makeEvent, resetDatabase, source, startApp } from './helpers.js';
+
+const INITIATOR = '0x00000000000000000000000000000000000000bb';
+const REJECTED = fakeHash('workflow-rejected');
+const FAILED = fakeHash('workflow-failed');
+
+describe('rejected decisions', () => {
+    let app;
+
+    beforeAll(async () => {
+        await resetDatabase(99);
+        // The contract emits WorkflowFailed right after a rejecting DecisionRecorded
+        await commitEvents(source, [
+            makeEvent(REJECTED, 'WORKFLOW_STARTED', { initiator: INITIATOR }, 100),
+            makeEvent(REJECTED, 'DECISION_RECORDED', { approved: false, reason: 'over budget' }, 101, 0),
+            makeEvent(REJECTED, 'WORKFLOW_FAILED', { reason: 'over budget' }, 101, 1),
+            makeEvent(FAILED, 'WORKFLOW_STARTED', { initiator: INITIATOR }, 102),
+            makeEvent(FAILED, 'WORKFLOW_FAILED', { reason: 'timeout' }, 103),
+        ], { blockNumber: 103, blockHash: fakeHash('block-103') });
+        app = await startApp();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    test('WORKFLOW_FAILED after a rejection keeps the workflow rejected', async () => {
+        const { status, body } = await app.request(`/workflows/${REJECTED}`);
+        expect(status).toBe(200);
+        expect(body.workflow.status).toBe('rejected');
+        expect(body.workflow.failureReason).toBe('over budget');
+
+        const failed = await app.request(`/workflows/${FAILED}`);
+        expect(failed.body.workflow.status).toBe('failed');
+    });
+
+    test('status=rejected matches only the rejected workflow', async () => {
+        const { body } = await app.request('/workflows?status=rejected');
+        expect(body.workflows.map(w => w.workflowId)).toEqual([REJECTED]);
+    });
+
+    test('time series counts the rejection in its completedAt bucket', async () => {
+        const { body } = await app.request('/stats/timeseries?bucket=day&from=1700000000&to=1700086400');
+        const totals = body.buckets.reduce((sum, bucket) => ({
+            failed: sum.failed + bucket.failed,
+            rejected: sum.rejected + bucket.rejected,
+        }), { failed: 0, rejected: 0 });
+        expect(totals).toEqual({ failed: 1, rejected: 1 });
+    });
+
+    test('initiator aggregates count the rejection and its rate', async () => {
+        const { body } = await app.request('/initiators');
+        expect(body.initiators).toHaveLength(1);
+        expect(body.initiators[0]).toMatchObject({
+            address: INITIATOR,
+            workflows: 2,
+            failed: 1,
+            rejected: 1,
+            failureRate: 0.5,
+            rejectionRate: 0.5,
+        });
+    });
+});
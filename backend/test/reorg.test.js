@@ -0,0 +1,248 @@
+import { afterAll, beforeEach, describe, expect, spyOn, test } from 'bun:test';
+import { detectReorg, rebuildPendingReorgs, rollbackReorg } from '../src/blockchain/reorg.js';
+import { getProvider, stopProvider } from '../src/blockchain/provider.js';
+import { commitEvents } from '../src/db/ingest.js';
+import { getPrismaClient } from '../src/db/db.js';
+import { takeSnapshot } from '../src/db/snapshot.js';
+import { sourceWhere } from '../src/utils/sources.js';
+import { config } from '../src/config.js';
+import { fakeHash, makeEvent, readCheckpoint, resetDatabase, source } from './helpers.js';
+
+const INITIATOR = '0x00000000000000000000000000000000000000bb';
+const BLOCKS = [101, 103, 105, 107, 109, 111, 113, 115];
+const CHECKPOINT = 120;
+
+/**
+ * Stub the chain: blocks from forkBlock on have a different hash than stored
+ * @param {number|null} forkBlock - First reorged block (null: no reorg)
+ * @returns {Object} Spy on provider.getBlock
+ */
+function stubChain(forkBlock) {
+    const provider = getProvider(source.chainId);
+    return spyOn(provider, 'getBlock').mockImplementation(async (blockNumber) => ({
+        number: blockNumber,
+        hash: forkBlock !== null && blockNumber >= forkBlock
+            ? fakeHash(`fork-${blockNumber}`)
+            : fakeHash(`block-${blockNumber}`),
+    }));
+}
+
+describe('detectReorg', () => {
+    beforeEach(async () => {
+        await resetDatabase(100);
+        await commitEvents(
+            source,
+            BLOCKS.map((block, i) => makeEvent(fakeHash(`workflow-${i}`), 'WORKFLOW_STARTED', { initiator: INITIATOR }, block)),
+            { blockNumber: CHECKPOINT, blockHash: fakeHash(`block-${CHECKPOINT}`) },
+        );
+    });
+
+    afterAll(() => {
+        stopProvider();
+    });
+
+    test('a canonical checkpoint costs one block lookup', async () => {
+        const getBlock = stubChain(null);
+
+        expect(await detectReorg(source, CHECKPOINT, fakeHash(`block-${CHECKPOINT}`))).toBeNull();
+        expect(getBlock).toHaveBeenCalledTimes(1);
+        expect(getBlock).toHaveBeenCalledWith(CHECKPOINT);
+
+        getBlock.mockRestore();
+    });
+
+    test('a mismatch is binary-searched back to the oldest orphaned block', async () => {
+        const getBlock = stubChain(108);
+
+        const reorg = await detectReorg(source, CHECKPOINT, fakeHash(`block-${CHECKPOINT}`));
+        expect(reorg).toEqual({
+            forkBlock: 108,
+            mismatchBlock: 109,
+            storedBlockHash: fakeHash('block-109'),
+            canonicalBlockHash: fakeHash('fork-109'),
+        });
+        // Checkpoint plus log2 of the stored blocks, not one lookup per block
+        expect(getBlock.mock.calls.length).toBeLessThanOrEqual(1 + Math.ceil(Math.log2(BLOCKS.length + 1)));
+
+        getBlock.mockRestore();
+    });
+
+    test('a fork before every stored block rolls back from the window start', async () => {
+        const getBlock = stubChain(0);
+
+        const reorg = await detectReorg(source, CHECKPOINT, fakeHash(`block-${CHECKPOINT}`));
+        expect(reorg.forkBlock).toBe(Math.max(CHECKPOINT - config.reorgCheckDepth + 1, 0));
+        expect(reorg.mismatchBlock).toBe(BLOCKS[0]);
+
+        getBlock.mockRestore();
+    });
+});
+
+const RECIPIENT = '0x00000000000000000000000000000000000000cc';
+const KEPT = fakeHash('workflow-kept');
+const ORPHANED = fakeHash('workflow-orphaned');
+const UNKNOWN = fakeHash('workflow-unknown');
+const FORK = {
+    forkBlock: 108,
+    mismatchBlock: 109,
+    storedBlockHash: fakeHash('block-109'),
+    canonicalBlockHash: fakeHash('fork-109'),
+};
+
+/**
+ * Dead letter create data at a block
+ * @param {number} blockNumber
+ * @param {string} status
+ * @returns {Object}
+ */
+function deadLetter(blockNumber, status) {
+    return {
+        ...sourceWhere(source),
+        eventType: 'WORKFLOW_STARTED',
+        txHash: fakeHash(`dead-${blockNumber}`),
+        logIndex: 0,
+        blockNumber: BigInt(blockNumber),
+        rawLog: {},
+        error: 'decode failed',
+        status,
+        nextAttemptAt: new Date(),
+        lastAttemptAt: new Date(),
+    };
+}
+
+/**
+ * Reverted attempt create data at a block
+ * @param {number} blockNumber
+ * @returns {Object}
+ */
+function revertedAttempt(blockNumber) {
+    return {
+        ...sourceWhere(source),
+        txHash: fakeHash(`revert-${blockNumber}`),
+        blockNumber: BigInt(blockNumber),
+        transactionIndex: 1,
+        blockHash: fakeHash(`block-${blockNumber}`),
+        blockTimestamp: BigInt(1700000000 + blockNumber * 12),
+        from: INITIATOR,
+        value: '0',
+        gasUsed: 21000n,
+        functionSelector: '0x12345678',
+        args: {},
+    };
+}
+
+/**
+ * Blocks of a model's rows for the source, ascending
+ * @param {string} model - Prisma model delegate name
+ * @returns {Promise<Array>}
+ */
+async function blocksOf(model) {
+    const rows = await getPrismaClient()[model].findMany({
+        where: sourceWhere(source),
+        orderBy: { blockNumber: 'asc' },
+        select: { blockNumber: true },
+    });
+    return rows.map(row => row.blockNumber);
+}
+
+/**
+ * Two committed chunks with rows derived from both sides of the fork at block 108
+ */
+async function seedFork() {
+    const prisma = getPrismaClient();
+    await resetDatabase(100);
+    const subscription = await prisma.webhookSubscription.create({
+        data: { url: 'http://127.0.0.1:9/hook', secret: 'secret' },
+    });
+
+    await commitEvents(source, [
+        makeEvent(KEPT, 'WORKFLOW_STARTED', { initiator: INITIATOR }, 101),
+        makeEvent(fakeHash('workflow-early'), 'PAYMENT_EXECUTED', { to: RECIPIENT, amount: '1' }, 102),
+    ], { blockNumber: 105, blockHash: fakeHash('block-105') });
+    await takeSnapshot(source, 105);
+
+    await commitEvents(source, [
+        makeEvent(KEPT, 'DECISION_RECORDED', { approved: true, reason: 'ok' }, 109),
+        makeEvent(ORPHANED, 'WORKFLOW_STARTED', { initiator: INITIATOR }, 111),
+        makeEvent(UNKNOWN, 'PAYMENT_EXECUTED', { to: RECIPIENT, amount: '1' }, 113),
+    ], { blockNumber: 120, blockHash: fakeHash('block-120') });
+    await takeSnapshot(source, 120);
+
+    await prisma.deadLetterEvent.createMany({
+        data: [deadLetter(103, 'PENDING'), deadLetter(112, 'PENDING'), deadLetter(113, 'RESOLVED')],
+    });
+    await prisma.revertedAttempt.createMany({ data: [revertedAttempt(104), revertedAttempt(112)] });
+
+    // Delivered webhooks stay logged even when their event is orphaned
+    await prisma.webhookDelivery.updateMany({
+        where: { subscriptionId: subscription.id, blockNumber: 111n },
+        data: { status: 'DELIVERED', deliveredAt: new Date() },
+    });
+}
+
+describe('rollbackReorg', () => {
+    beforeEach(seedFork);
+
+    test('removes orphaned events and the rows derived from them', async () => {
+        await rollbackReorg(source, FORK, CHECKPOINT);
+        const prisma = getPrismaClient();
+
+        expect(await blocksOf('chainEvent')).toEqual([101n, 102n]);
+        expect(await blocksOf('deadLetterEvent')).toEqual([103n, 113n]);
+        expect(await blocksOf('revertedAttempt')).toEqual([104n]);
+        expect(await blocksOf('workflowAnomaly')).toEqual([102n]);
+        expect(await blocksOf('workflowSnapshot')).toEqual([105n]);
+        expect(await blocksOf('stateDigest')).toEqual([105n]);
+
+        const deliveries = await prisma.webhookDelivery.findMany({ orderBy: { blockNumber: 'asc' } });
+        expect(deliveries.map(d => [d.blockNumber, d.status])).toEqual([[101n, 'PENDING'], [111n, 'DELIVERED']]);
+
+        // Workflow state is only rebuilt once the range is re-ingested
+        const kept = await prisma.workflowState.findFirst({ where: { workflowId: KEPT } });
+        expect(kept.phase).toBe('DECISION');
+    });
+
+    test('moves the checkpoint before the fork and records an audit', async () => {
+        const { auditId, newCheckpoint } = await rollbackReorg(source, FORK, CHECKPOINT);
+        expect(newCheckpoint).toBe(107);
+
+        expect(await readCheckpoint()).toEqual({ lastProcessedBlock: 107n, lastProcessedBlockHash: null });
+
+        const audit = await getPrismaClient().reorgAudit.findUnique({ where: { id: auditId } });
+        expect(audit).toMatchObject({
+            forkBlock: 108n,
+            mismatchBlock: 109n,
+            storedBlockHash: FORK.storedBlockHash,
+            canonicalBlockHash: FORK.canonicalBlockHash,
+            previousCheckpoint: BigInt(CHECKPOINT),
+            newCheckpoint: 107n,
+            eventsRolledBack: 3,
+            workflowsRebuilt: 0,
+            rebuiltAt: null,
+        });
+        expect(audit.orphanedEvents.map(e => e.blockNumber)).toEqual(['109', '111', '113']);
+        expect([...audit.affectedWorkflows].sort()).toEqual([KEPT, ORPHANED, UNKNOWN].sort());
+    });
+});
+
+describe('rebuildPendingReorgs', () => {
+    beforeEach(async () => {
+        await seedFork();
+        await rollbackReorg(source, FORK, CHECKPOINT);
+    });
+
+    test('rebuilds the affected workflows once and marks the audit rebuilt', async () => {
+        const prisma = getPrismaClient();
+
+        expect(await rebuildPendingReorgs(source)).toBe(3);
+
+        const states = await prisma.workflowState.findMany({ where: sourceWhere(source) });
+        expect(states.map(s => [s.workflowId, s.phase])).toEqual([[KEPT, 'INTENT']]);
+
+        const audit = await prisma.reorgAudit.findFirst({ where: sourceWhere(source) });
+        expect(audit.workflowsRebuilt).toBe(3);
+        expect(audit.rebuiltAt).toBeInstanceOf(Date);
+
+        expect(await rebuildPendingReorgs(source)).toBe(0);
+    });
+});
@@ -0,0 +1,96 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, test } from 'bun:test';
+import { commitEvents } from '../src/db/ingest.js';
+import { getPrismaClient } from '../src/db/db.js';
+import { replayAllEvents, replayFromSnapshot } from '../src/db/replay.js';
+import { takeSnapshot } from '../src/db/snapshot.js';
+import { config } from '../src/config.js';
+import { sourceWhere } from '../src/utils/sources.js';
+import { fakeHash, makeEvent, readCheckpoint, resetDatabase, source, startApp } from './helpers.js';
+
+const INITIATOR = '0x00000000000000000000000000000000000000bb';
+const RUNNING = fakeHash('workflow-running');
+const FAILED = fakeHash('workflow-failed');
+
+// Beyond the last event, as after polling blocks without logs
+const CHECKPOINT = { blockNumber: 110, blockHash: fakeHash('block-110') };
+
+/**
+ * Workflow IDs flagged as stalled
+ * @returns {Promise<Array>}
+ */
+async function stalledIds() {
+    const rows = await getPrismaClient().workflowState.findMany({
+        where: { ...sourceWhere(source), stalled: true },
+        select: { workflowId: true },
+    });
+    return rows.map(row => row.workflowId);
+}
+
+describe('replay', () => {
+    let app;
+
+    beforeAll(async () => {
+        app = await startApp();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    beforeEach(async () => {
+        await resetDatabase(99);
+        await commitEvents(source, [
+            makeEvent(RUNNING, 'WORKFLOW_STARTED', { initiator: INITIATOR }, 100),
+            makeEvent(FAILED, 'WORKFLOW_STARTED', { initiator: INITIATOR }, 101),
+            makeEvent(FAILED, 'WORKFLOW_FAILED', { reason: 'timeout' }, 102),
+        ], CHECKPOINT);
+
+        // A stale flag on a finished workflow must not survive a rebuild
+        await getPrismaClient().workflowState.updateMany({
+            where: sourceWhere(source),
+            data: { stalled: true },
+        });
+    });
+
+    test('a full replay leaves the checkpoint alone and keeps the stalled flag', async () => {
+        const stats = await replayAllEvents({ source });
+        expect(stats.eventsProcessed).toBe(3);
+
+        expect(await readCheckpoint()).toEqual({
+            lastProcessedBlock: 110n,
+            lastProcessedBlockHash: CHECKPOINT.blockHash,
+        });
+        expect(await stalledIds()).toEqual([RUNNING]);
+    });
+
+    test('a snapshot replay leaves the checkpoint alone and keeps the stalled flag', async () => {
+        await takeSnapshot(source, 102);
+
+        const stats = await replayFromSnapshot();
+        expect(stats.sources[0].snapshotBlock).toBe(102);
+        expect(await readCheckpoint()).toEqual({
+            lastProcessedBlock: 110n,
+            lastProcessedBlockHash: CHECKPOINT.blockHash,
+        });
+        expect(await stalledIds()).toEqual([RUNNING]);
+    });
+
+    test('the admin replay job leaves the checkpoint alone', async () => {
+        const auth = { Authorization: `Bearer ${config.adminToken}`, 'Content-Type': 'application/json' };
+        const started = await app.request('/admin/replay', { method: 'POST', headers: auth, body: '{}' });
+        expect(started.status).toBe(202);
+
+        let job = started.body.job;
+        while (job.status === 'running') {
+            await Bun.sleep(50);
+            job = (await app.request(`/admin/jobs/${job.id}`, { headers: auth })).body;
+        }
+        expect(job.status).toBe('succeeded');
+        expect(job.result.sources[0].eventsProcessed).toBe(3);
+
+        expect(await readCheckpoint()).toEqual({
+            lastProcessedBlock: 110n,
+            lastProcessedBlockHash: CHECKPOINT.blockHash,
+        });
+    });
+});
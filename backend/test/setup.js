@@ -0,0 +1,47 @@
+/**
+ * Test environment (preloaded by bun test, see bunfig.toml)
+ * Runs an in-memory PostgreSQL (PGlite) with every migration applied behind a
+ * local socket, and points the observer's configuration at it before any test
+ * imports src/ (config.js reads the environment once, at import). RPC calls are
+ * answered from a recorded fixture, so no test touches the network.
+ */
+
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { afterAll } from 'bun:test';
+import { PGlite } from '@electric-sql/pglite';
+import { PGLiteSocketServer } from '@electric-sql/pglite-socket';
+
+const MIGRATIONS_DIR = join(import.meta.dir, '..', 'prisma', 'migrations');
+const RPC_FIXTURE = join(import.meta.dir, 'fixtures', 'rpc-hello-world.ndjson');
+
+const db = await PGlite.create();
+for (const migration of readdirSync(MIGRATIONS_DIR).filter(name => /^\d/.test(name)).sort()) {
+    await db.exec(readFileSync(join(MIGRATIONS_DIR, migration, 'migration.sql'), 'utf8'));
+}
+
+// The pg pool opens several connections at once
+const server = new PGLiteSocketServer({ db, port: 0, host: '127.0.0.1', maxConnections: 10 });
+await server.start();
+
+Object.assign(process.env, {
+    DATABASE_URL: `postgres://postgres@${server.getServerConn()}/postgres`,
+    SOURCES: '338:0x00000000000000000000000000000000000000aa:0:x402-hello-world',
+    RPC_URL: 'http://127.0.0.1:9',
+    RPC_FIXTURE_MODE: 'replay',
+    RPC_FIXTURE_FILE: RPC_FIXTURE,
+    CONFIRMATION_BLOCKS: '0',
+    ADMIN_TOKEN: 'test-admin-token',
+});
+
+const { configureLogger } = await import('../src/utils/logger.js');
+if (!process.env.TEST_LOGS) {
+    configureLogger({ levels: [] });
+}
+
+afterAll(async () => {
+    const { disconnectDatabase } = await import('../src/db/db.js');
+    await disconnectDatabase();
+    await server.stop();
+    await db.close();
+});
@@ -0,0 +1,126 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import http from 'http';
+import { once } from 'events';
+import { commitEvents } from '../src/db/ingest.js';
+import { getPrismaClient } from '../src/db/db.js';
+import { computeWebhookRetryDelay, getDueDeliveries } from '../src/db/webhooks.js';
+import { sendDelivery, signWebhook } from '../src/webhooks/dispatcher.js';
+import { config } from '../src/config.js';
+import { fakeHash, makeEvent, resetDatabase, source, startApp } from './helpers.js';
+
+const INITIATOR = '0x00000000000000000000000000000000000000bb';
+const WORKFLOW = fakeHash('workflow-webhook');
+
+/**
+ * Local webhook endpoint recording every request and answering with `status`
+ */
+async function startReceiver() {
+    const receiver = { status: 200, requests: [] };
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            receiver.requests.push({ headers: req.headers, body });
+            res.writeHead(receiver.status).end();
+        });
+    });
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+
+    receiver.url = `http://127.0.0.1:${server.address().port}/hook`;
+    receiver.close = () => new Promise(resolve => server.close(resolve));
+    return receiver;
+}
+
+/**
+ * Check a received request's signature the way a subscriber would
+ */
+function expectSigned(request, secret) {
+    const timestamp = request.headers['x-webhook-timestamp'];
+    expect(request.headers['x-webhook-signature']).toBe(signWebhook(secret, Number(timestamp), request.body));
+    expect(signWebhook(`${secret}-wrong`, Number(timestamp), request.body)).not.toBe(request.headers['x-webhook-signature']);
+}
+
+describe('webhook delivery', () => {
+    const auth = { Authorization: `Bearer ${config.adminToken}`, 'Content-Type': 'application/json' };
+    let app;
+    let receiver;
+    let secret;
+
+    beforeAll(async () => {
+        await resetDatabase(99);
+        app = await startApp();
+        receiver = await startReceiver();
+
+        const created = await app.request('/admin/webhooks', {
+            method: 'POST',
+            headers: auth,
+            body: JSON.stringify({ url: receiver.url, eventTypes: ['WORKFLOW_STARTED'] }),
+        });
+        expect(created.status).toBe(201);
+        secret = created.body.secret;
+
+        await commitEvents(source, [
+            makeEvent(WORKFLOW, 'WORKFLOW_STARTED', { initiator: INITIATOR }, 100),
+        ], { blockNumber: 100, blockHash: fakeHash('block-100') });
+    });
+
+    afterAll(async () => {
+        await receiver.close();
+        await app.close();
+    });
+
+    test('a non-2xx response is retried with backoff', async () => {
+        receiver.status = 500;
+
+        const due = await getDueDeliveries();
+        expect(due).toHaveLength(1);
+
+        const before = Date.now();
+        const updated = await sendDelivery(due[0]);
+
+        expect(receiver.requests).toHaveLength(1);
+        const [request] = receiver.requests;
+        expect(request.headers['x-webhook-id']).toBe(due[0].id);
+        expect(JSON.parse(request.body)).toMatchObject({
+            id: due[0].id,
+            type: 'workflow.transition',
+            event: { eventType: 'WORKFLOW_STARTED' },
+            workflow: { workflowId: WORKFLOW, status: 'running' },
+        });
+        expectSigned(request, secret);
+
+        expect(updated).toMatchObject({ status: 'PENDING', attempts: 1, responseStatus: 500, error: 'HTTP 500' });
+        const delay = computeWebhookRetryDelay(1);
+        expect(updated.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + delay);
+        expect(updated.nextAttemptAt.getTime()).toBeLessThanOrEqual(Date.now() + delay);
+
+        // Not due again until the backoff has passed
+        expect(await getDueDeliveries()).toHaveLength(0);
+    });
+
+    test('replaying a delivery sends it again right away', async () => {
+        receiver.status = 204;
+        const [delivery] = await getPrismaClient().webhookDelivery.findMany();
+
+        const { status, body } = await app.request(`/admin/webhook-deliveries/${delivery.id}/replay`, {
+            method: 'POST',
+            headers: auth,
+        });
+
+        expect(status).toBe(200);
+        expect(body.delivery).toMatchObject({ id: delivery.id, status: 'delivered', attempts: 1, responseStatus: 204 });
+
+        expect(receiver.requests).toHaveLength(2);
+        expect(receiver.requests[1].headers['x-webhook-id']).toBe(delivery.id);
+        expectSigned(receiver.requests[1], secret);
+    });
+
+    test('replay requires the admin token', async () => {
+        const [delivery] = await getPrismaClient().webhookDelivery.findMany();
+        const { status } = await app.request(`/admin/webhook-deliveries/${delivery.id}/replay`, { method: 'POST' });
+        expect(status).toBe(401);
+        expect(receiver.requests).toHaveLength(2);
+    });
+});
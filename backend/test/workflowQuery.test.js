@@ -0,0 +1,57 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { commitEvents } from '../src/db/ingest.js';
+import { fakeHash, makeEvent, resetDatabase, source, startApp } from './helpers.js';
+
+const INITIATOR = '0x00000000000000000000000000000000000000bb';
+const RECIPIENT = '0x00000000000000000000000000000000000000cc';
+// Two amounts past 1e21 (exponent notation territory) and a small one
+const AMOUNTS = ['3000000000000000000000000', '2000000000000000000000', '5000'];
+
+describe('GET /workflows pagination', () => {
+    let app;
+
+    beforeAll(async () => {
+        await resetDatabase(99);
+        const events = AMOUNTS.flatMap((amount, i) => {
+            const workflowId = fakeHash(`workflow-${i}`);
+            const block = 100 + i * 3;
+            return [
+                makeEvent(workflowId, 'WORKFLOW_STARTED', { initiator: INITIATOR }, block),
+                makeEvent(workflowId, 'DECISION_RECORDED', { approved: true, reason: 'ok' }, block + 1),
+                makeEvent(workflowId, 'PAYMENT_EXECUTED', { to: RECIPIENT, amount }, block + 2),
+            ];
+        });
+        await commitEvents(source, events, { blockNumber: 108, blockHash: fakeHash('block-108') });
+        app = await startApp();
+    });
+
+    afterAll(async () => {
+        await app.close();
+    });
+
+    test('cursor pages through amounts of 1e21 or more', async () => {
+        const seen = [];
+        let cursor = null;
+
+        do {
+            const query = `/workflows?sort=amount&order=desc&limit=1${cursor ? `&cursor=${cursor}` : ''}`;
+            const { status, body } = await app.request(query);
+            expect(status).toBe(200);
+            seen.push(...body.workflows.map(w => w.amount));
+            cursor = body.nextCursor;
+        } while (cursor);
+
+        expect(seen).toEqual(AMOUNTS);
+    });
+
+    test('a negative offset is rejected', async () => {
+        const { status, body } = await app.request('/workflows?offset=-1');
+        expect(status).toBe(400);
+        expect(body.error).toBe('Invalid offset - expected a non-negative integer');
+    });
+
+    test('a non-numeric offset is rejected', async () => {
+        const { status } = await app.request('/workflows?offset=abc');
+        expect(status).toBe(400);
+    });
+});
@@ -0,0 +1,50 @@
+import { afterAll, beforeAll, describe, expect, test } from 'bun:test';
+import { commitEvents } from '../src/db/ingest.js';
+import { subscribeChanges } from '../src/db/changeFeed.js';
+import { buildWebhookPayload } from '../src/db/webhooks.js';
+import { formatWorkflowState } from '../src/db/workflowState.js';
+import { fakeHash, makeEvent, resetDatabase, source, startApp } from './helpers.js';
+
+const INITIATOR = '0x00000000000000000000000000000000000000bb';
+const RECIPIENT = '0x00000000000000000000000000000000000000cc';
+const WORKFLOW = fakeHash('workflow-large-amount');
+// Above 1e21, where Decimal#toString() switches to exponent notation
+const AMOUNT = '1234567000000000000000000';
+
+describe('formatWorkflowState amounts', () => {
+    let app;
+    let changes = [];
+    let unsubscribe;
+
+    beforeAll(async () => {
+        await resetDatabase(99);
+        unsubscribe = subscribeChanges((batch) => {
+            changes = changes.concat(batch);
+        });
+        await commitEvents(source, [
+            makeEvent(WORKFLOW, 'WORKFLOW_STARTED', { initiator: INITIATOR }, 100),
+            makeEvent(WORKFLOW, 'DECISION_RECORDED', { approved: true, reason: 'ok' }, 101),
+            makeEvent(WORKFLOW, 'PAYMENT_EXECUTED', { to: RECIPIENT, amount: AMOUNT }, 102),
+        ], { blockNumber: 102, blockHash: fakeHash('block-102') });
+        app = await startApp();
+    });
+
+    afterAll(async () => {
+        unsubscribe();
+        await app.close();
+    });
+
+    test('stored amounts of 1e21 or more stay integer strings', async () => {
+        const list = await app.request('/workflows');
+        expect(list.body.workflows[0].amount).toBe(AMOUNT);
+
+        const detail = await app.request(`/workflows/${WORKFLOW}`);
+        expect(detail.body.workflow.amount).toBe(AMOUNT);
+    });
+
+    test('change feed and webhook payloads carry the same string', () => {
+        const payment = changes.find(change => change.event.eventType === 'PAYMENT_EXECUTED');
+        expect(formatWorkflowState(payment.state).amount).toBe(AMOUNT);
+        expect(buildWebhookPayload(payment).workflow.amount).toBe(AMOUNT);
+    });
+});
@@ -9,14 +9,15 @@ import { useWorkflowDetails } from "@/hooks/useWorkflowDetails"
 import { useStats } from "@/hooks/useStats"
 import { useHealth } from "@/hooks/useHealth"
 import { transformWorkflowListItem, transformWorkflowDetails } from "@/lib/transformers"
+import type { WorkflowKey } from "@/lib/api"
 
 export default function Dashboard() {
-  const [selectedWorkflowId, setSelectedWorkflowId] = useState<string | null>(null)
+  const [selectedKey, setSelectedKey] = useState<WorkflowKey | null>(null)
   const [selectedStepId, setSelectedStepId] = useState<string | null>(null)
 
   // Fetch data using TanStack Query hooks
   const { data: workflowsData, isLoading: workflowsLoading, error: workflowsError } = useWorkflows()
-  const { data: workflowDetailData, isLoading: detailLoading } = useWorkflowDetails(selectedWorkflowId)
+  const { data: workflowDetailData, isLoading: detailLoading } = useWorkflowDetails(selectedKey)
   const { data: statsData } = useStats()
   const { data: healthData } = useHealth()
 
@@ -33,13 +34,15 @@ export default function Dashboard() {
 
   const selectedStep = selectedWorkflow?.steps.find(s => s.id === selectedStepId) || null
 
+  const selectedWorkflowId = selectedKey?.workflowId ?? null
+
   // Auto-select first workflow if none selected
-  if (!selectedWorkflowId && workflows.length > 0) {
-    setSelectedWorkflowId(workflows[0].id)
+  if (!selectedKey && workflowsData && workflowsData.length > 0) {
+    setSelectedKey(workflowsData[0])
   }
 
   const handleSelectWorkflow = (id: string) => {
-    setSelectedWorkflowId(id)
+    setSelectedKey(workflowsData?.find(w => w.workflowId === id) ?? null)
     setSelectedStepId(null)
   }
 
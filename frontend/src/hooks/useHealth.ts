@@ -6,10 +6,7 @@
 
 import { useQuery } from '@tanstack/react-query'
 import { api, HealthResponse } from '@/lib/api'
-
-export const QUERY_KEYS = {
-    health: ['health'] as const,
-}
+import { QUERY_KEYS } from '@/lib/query-keys'
 
 export function useHealth() {
     return useQuery<HealthResponse, Error>({
@@ -6,10 +6,7 @@
 
 import { useQuery } from '@tanstack/react-query'
 import { api, StatsResponse } from '@/lib/api'
-
-export const QUERY_KEYS = {
-    stats: ['stats'] as const,
-}
+import { QUERY_KEYS } from '@/lib/query-keys'
 
 export function useStats() {
     return useQuery<StatsResponse, Error>({
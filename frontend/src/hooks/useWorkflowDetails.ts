@@ -1,22 +1,23 @@
 /**
  * React Query hook for fetching workflow details
+ * Kept current by the live update stream (see useWorkflowStream)
  */
 
 'use client'
 
 import { useQuery } from '@tanstack/react-query'
-import { api, WorkflowDetailResponse } from '@/lib/api'
+import { api, WorkflowDetailResponse, WorkflowKey } from '@/lib/api'
+import { QUERY_KEYS } from '@/lib/query-keys'
+import { STREAM_FALLBACK_REFETCH_MS, useWorkflowStream } from './useWorkflowStream'
 
-export const QUERY_KEYS = {
-    workflowDetail: (id: string) => ['workflow', id] as const,
-}
+export function useWorkflowDetails(workflow: WorkflowKey | null) {
+    useWorkflowStream()
 
-export function useWorkflowDetails(workflowId: string | null) {
     return useQuery<WorkflowDetailResponse, Error>({
-        queryKey: QUERY_KEYS.workflowDetail(workflowId || ''),
-        queryFn: () => api.getWorkflowById(workflowId!),
-        enabled: !!workflowId, // Only fetch when workflowId is provided
-        refetchInterval: 3000, // Refetch every 3 seconds for real-time updates
-        staleTime: 2000, // Consider data stale after 2 seconds
+        queryKey: workflow ? QUERY_KEYS.workflowDetail(workflow) : ['workflow'],
+        queryFn: () => api.getWorkflowById(workflow!),
+        enabled: !!workflow, // Only fetch when a workflow is provided
+        staleTime: Infinity, // Updated from the stream
+        refetchInterval: STREAM_FALLBACK_REFETCH_MS,
     })
 }
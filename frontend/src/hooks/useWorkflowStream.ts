@@ -0,0 +1,110 @@
+/**
+ * Live updates from GET /stream
+ * Keeps the workflow list and workflow detail caches current from the
+ * backend's Server-Sent Events instead of refetching on a timer.
+ * All hooks share one EventSource, opened while at least one is mounted.
+ * The caches still refetch every STREAM_FALLBACK_REFETCH_MS in case the stream
+ * stops for good (the browser gives up reconnecting after some errors).
+ */
+
+'use client'
+
+import { useEffect } from 'react'
+import { QueryClient, useQueryClient } from '@tanstack/react-query'
+import { api, StreamEventMessage, WorkflowDetailResponse, WorkflowResponse } from '@/lib/api'
+import { WORKFLOWS_PAGE_SIZE } from '@/lib/api-config'
+import { QUERY_KEYS } from '@/lib/query-keys'
+
+export const STREAM_FALLBACK_REFETCH_MS = 60_000
+
+let source: EventSource | null = null
+let subscribers = 0
+
+function isSameWorkflow(a: WorkflowResponse, b: WorkflowResponse) {
+    return a.chainId === b.chainId && a.contractAddress === b.contractAddress && a.workflowId === b.workflowId
+}
+
+function onWorkflow(queryClient: QueryClient, workflow: WorkflowResponse) {
+    queryClient.setQueryData<WorkflowResponse[]>(QUERY_KEYS.workflows, (list) => {
+        if (!list) return list
+        const rest = list.filter((w) => !isSameWorkflow(w, workflow))
+        // Same order and size as GET /workflows (most recently started first)
+        return [workflow, ...rest].sort((a, b) => b.startedAt - a.startedAt).slice(0, WORKFLOWS_PAGE_SIZE)
+    })
+
+    queryClient.setQueryData<WorkflowDetailResponse>(QUERY_KEYS.workflowDetail(workflow), (detail) =>
+        detail ? { ...detail, workflow } : detail
+    )
+}
+
+function onChainEvent(queryClient: QueryClient, event: StreamEventMessage) {
+    const key = QUERY_KEYS.workflowDetail(event)
+
+    if (event.anomaly) {
+        // The anomaly record carries the phase/status it was rejected in
+        queryClient.invalidateQueries({ queryKey: key })
+        return
+    }
+
+    queryClient.setQueryData<WorkflowDetailResponse>(key, (detail) => {
+        if (!detail) return detail
+
+        if (event.phase === 'decision') {
+            const decision = {
+                approved: Boolean(event.payload.approved),
+                reason: String(event.payload.reason ?? ''),
+                timestamp: event.timestamp,
+            }
+            return { ...detail, decisions: [...detail.decisions, decision] }
+        }
+
+        if (event.phase === 'settlement') {
+            const settlement = {
+                from: detail.workflow.initiator, // Approximation, as in GET /workflows/:id
+                to: String(event.payload.to ?? ''),
+                amount: String(event.payload.amount ?? ''),
+                timestamp: event.timestamp,
+            }
+            return { ...detail, settlements: [...detail.settlements, settlement] }
+        }
+
+        return detail
+    })
+}
+
+function open(queryClient: QueryClient) {
+    const stream = api.openStream()
+
+    stream.addEventListener('workflow', (message) => {
+        onWorkflow(queryClient, JSON.parse((message as MessageEvent).data))
+    })
+
+    stream.addEventListener('chainEvent', (message) => {
+        onChainEvent(queryClient, JSON.parse((message as MessageEvent).data))
+    })
+
+    // Too many events were missed while disconnected
+    stream.addEventListener('reset', () => {
+        queryClient.invalidateQueries({ queryKey: QUERY_KEYS.workflows })
+        queryClient.invalidateQueries({ queryKey: ['workflow'] })
+    })
+
+    return stream
+}
+
+export function useWorkflowStream() {
+    const queryClient = useQueryClient()
+
+    useEffect(() => {
+        if (subscribers++ === 0) {
+            source = open(queryClient)
+        }
+
+        return () => {
+            if (--subscribers === 0 && source) {
+                source.close()
+                source = null
+            }
+        }
+    }, [queryClient])
+}
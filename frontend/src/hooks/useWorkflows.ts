@@ -1,21 +1,22 @@
 /**
  * React Query hook for fetching all workflows
+ * Kept current by the live update stream (see useWorkflowStream)
  */
 
 'use client'
 
 import { useQuery } from '@tanstack/react-query'
 import { api, WorkflowResponse } from '@/lib/api'
-
-export const QUERY_KEYS = {
-    workflows: ['workflows'] as const,
-}
+import { QUERY_KEYS } from '@/lib/query-keys'
+import { STREAM_FALLBACK_REFETCH_MS, useWorkflowStream } from './useWorkflowStream'
 
 export function useWorkflows() {
+    useWorkflowStream()
+
     return useQuery<WorkflowResponse[], Error>({
         queryKey: QUERY_KEYS.workflows,
         queryFn: api.getWorkflows,
-        refetchInterval: 5000, // Refetch every 5 seconds for real-time updates
-        staleTime: 3000, // Consider data stale after 3 seconds
+        staleTime: Infinity, // Updated from the stream
+        refetchInterval: STREAM_FALLBACK_REFETCH_MS,
     })
 }
@@ -15,6 +15,9 @@ export const API_CONFIG = {
     },
 } as const
 
+// Workflows fetched for the list (GET /workflows?limit=); the live stream keeps it at this size
+export const WORKFLOWS_PAGE_SIZE = 100
+
 /**
  * API endpoints
  */
@@ -23,4 +26,9 @@ export const API_ENDPOINTS = {
     workflows: '/workflows',
     workflowById: (id: string) => `/workflows/${id}`,
     stats: '/stats',
+    statsTimeseries: '/stats/timeseries',
+    counterparties: (kind: 'initiators' | 'recipients') => `/${kind}`,
+    counterpartyWorkflows: (kind: 'initiators' | 'recipients', address: string) => `/${kind}/${address}/workflows`,
+    checkpoints: '/checkpoints',
+    stream: '/stream',
 } as const
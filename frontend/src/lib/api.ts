@@ -3,7 +3,7 @@
  * All fetch functions for backend communication
  */
 
-import { API_CONFIG, API_ENDPOINTS } from './api-config'
+import { API_CONFIG, API_ENDPOINTS, WORKFLOWS_PAGE_SIZE } from './api-config'
 
 /**
  * Base fetch wrapper with error handling
@@ -31,12 +31,40 @@ async function apiFetch<T>(endpoint: string): Promise<T> {
  * Types matching backend responses
  */
 
+export type WorkflowPhase = 'intent' | 'decision' | 'settlement' | 'finality'
+
+export interface PhaseEntryResponse {
+    enteredAt: number | null // block timestamp of the first event in the phase
+    txHash: string | null
+}
+
 export interface WorkflowResponse {
+    chainId: number
+    contractAddress: string
     workflowId: string
-    status: 'running' | 'completed' | 'failed'
+    status: 'running' | 'completed' | 'failed' | 'rejected'
+    phase: WorkflowPhase
     initiator: string
     startedAt: number // Unix timestamp
     completedAt: number | null
+    failureReason: string | null
+    decisionApproved: boolean | null
+    decisionReason: string | null
+    recipient: string | null
+    amount: string | null // wei as string
+    phases: Record<WorkflowPhase, PhaseEntryResponse>
+    phaseDurations: Record<Exclude<WorkflowPhase, 'finality'>, number | null> // seconds
+    stalled: boolean // running past the current phase's SLA
+    slaDeadline: number | null // block timestamp the current phase must end by
+}
+
+// Identifies a workflow (workflow IDs are only unique per source)
+export type WorkflowKey = Pick<WorkflowResponse, 'chainId' | 'contractAddress' | 'workflowId'>
+
+export interface WorkflowListResponse {
+    total: number // rows matching the filters
+    nextCursor: string | null // pass as ?cursor= for the next page
+    workflows: WorkflowResponse[]
 }
 
 export interface DecisionResponse {
@@ -52,17 +80,56 @@ export interface SettlementResponse {
     timestamp: number
 }
 
+export interface RevertedAttemptResponse {
+    txHash: string
+    blockNumber: number
+    timestamp: number
+    from: string
+    value: string // wei as string
+    function: string | null // null when the selector is not in the contract ABI
+    functionSelector: string
+    args: Record<string, unknown>
+    error: {
+        name: string | null // null when the selector is not in the contract ABI
+        selector: string
+        args: Record<string, unknown> | null
+    } | null // null when the revert could not be reproduced
+}
+
+export interface AnomalyResponse {
+    eventType: string
+    txHash: string
+    logIndex: number
+    blockNumber: number
+    timestamp: number
+    phase: WorkflowPhase | null // null before WORKFLOW_STARTED
+    status: string | null
+    reason: string
+}
+
 export interface WorkflowDetailResponse {
-    workflow: {
-        workflowId: string
-        status: 'running' | 'completed' | 'failed'
-        initiator: string
-        startedAt: number
-        completedAt: number | null
-        failureReason: string | null
-    }
+    workflow: WorkflowResponse
     decisions: DecisionResponse[]
     settlements: SettlementResponse[]
+    revertedAttempts: RevertedAttemptResponse[]
+    anomalies: AnomalyResponse[]
+}
+
+/**
+ * GET /stream `chainEvent` message (a `workflow` message carries a WorkflowResponse)
+ */
+export interface StreamEventMessage {
+    chainId: number
+    contractAddress: string
+    workflowId: string
+    eventType: string
+    phase: WorkflowPhase | null
+    txHash: string
+    logIndex: number
+    blockNumber: number
+    timestamp: number
+    payload: Record<string, unknown>
+    anomaly: string | null // reason when the event was rejected by the lifecycle
 }
 
 export interface StatsResponse {
@@ -70,6 +137,65 @@ export interface StatsResponse {
     running: number
     completed: number
     failed: number
+    stalled: number
+}
+
+export interface LatencyResponse {
+    count: number // samples in the bucket
+    p50: number | null // seconds
+    p95: number | null
+    p99: number | null
+}
+
+export interface TimeseriesBucketResponse {
+    start: number // bucket start (Unix timestamp, block time)
+    started: number
+    completed: number
+    failed: number
+    rejected: number
+    settledVolume: string // wei as string
+    latency: {
+        decision: LatencyResponse
+        settlement: LatencyResponse
+        endToEnd: LatencyResponse
+    }
+}
+
+export interface TimeseriesResponse {
+    bucket: 'hour' | 'day'
+    from: number
+    to: number
+    buckets: TimeseriesBucketResponse[]
+}
+
+export interface CounterpartyResponse {
+    address: string
+    workflows: number
+    running: number
+    completed: number
+    failed: number
+    rejected: number
+    successRate: number | null // share of finished workflows; null until one finishes
+    failureRate: number | null
+    rejectionRate: number | null
+    totalAmount: string // wei as string
+    averageAmount: string | null
+    firstSeen: number // Unix timestamp (block time)
+    lastSeen: number
+}
+
+export interface CheckpointResponse {
+    chainId: number
+    contractAddress: string
+    blockNumber: number
+    blockHash: string | null
+    eventCount: number // events up to and including blockNumber
+    eventsHash: string // rolling SHA-256 of the event log
+    workflowCount: number | null
+    stateHash: string | null // null while a reorg rebuild was pending
+    reducerVersion: number
+    definitionHash: string
+    createdAt: string
 }
 
 export interface HealthResponse {
@@ -91,18 +217,48 @@ export const api = {
 
     /**
      * GET /workflows
-     * Fetch all workflows
+     * Fetch the most recent workflows (first page)
      */
     getWorkflows: async (): Promise<WorkflowResponse[]> => {
-        return apiFetch<WorkflowResponse[]>(API_ENDPOINTS.workflows)
+        const page = await apiFetch<WorkflowListResponse>(`${API_ENDPOINTS.workflows}?limit=${WORKFLOWS_PAGE_SIZE}`)
+        return page.workflows
     },
 
     /**
      * GET /workflows/:id
      * Fetch workflow details including decisions and settlements
      */
-    getWorkflowById: async (id: string): Promise<WorkflowDetailResponse> => {
-        return apiFetch<WorkflowDetailResponse>(API_ENDPOINTS.workflowById(id))
+    getWorkflowById: async (key: WorkflowKey): Promise<WorkflowDetailResponse> => {
+        const source = `chainId=${key.chainId}&contract=${key.contractAddress}`
+        return apiFetch<WorkflowDetailResponse>(`${API_ENDPOINTS.workflowById(key.workflowId)}?${source}`)
+    },
+
+    /**
+     * GET /initiators, GET /recipients
+     * Fetch per-address aggregates (most workflows first)
+     */
+    getCounterparties: async (kind: 'initiators' | 'recipients'): Promise<CounterpartyResponse[]> => {
+        const page = await apiFetch<{ total: number } & Record<typeof kind, CounterpartyResponse[]>>(
+            API_ENDPOINTS.counterparties(kind)
+        )
+        return page[kind]
+    },
+
+    /**
+     * GET /initiators/:address/workflows, GET /recipients/:address/workflows
+     * Fetch one address's most recent workflows (first page)
+     */
+    getCounterpartyWorkflows: async (kind: 'initiators' | 'recipients', address: string): Promise<WorkflowResponse[]> => {
+        const page = await apiFetch<WorkflowListResponse>(API_ENDPOINTS.counterpartyWorkflows(kind, address))
+        return page.workflows
+    },
+
+    /**
+     * GET /stream
+     * Open the live update stream (EventSource reconnects and resumes on its own)
+     */
+    openStream: (): EventSource => {
+        return new EventSource(`${API_CONFIG.baseUrl}${API_ENDPOINTS.stream}`)
     },
 
     /**
@@ -112,4 +268,24 @@ export const api = {
     getStats: async (): Promise<StatsResponse> => {
         return apiFetch<StatsResponse>(API_ENDPOINTS.stats)
     },
+
+    /**
+     * GET /stats/timeseries
+     * Fetch per-bucket throughput, settled volume and latency percentiles
+     */
+    getStatsTimeseries: async (bucket: 'hour' | 'day' = 'hour', from?: number, to?: number): Promise<TimeseriesResponse> => {
+        const params = new URLSearchParams({ bucket })
+        if (from !== undefined) params.set('from', String(from))
+        if (to !== undefined) params.set('to', String(to))
+        return apiFetch<TimeseriesResponse>(`${API_ENDPOINTS.statsTimeseries}?${params}`)
+    },
+
+    /**
+     * GET /checkpoints
+     * Fetch the most recent state digests (first page)
+     */
+    getCheckpoints: async (): Promise<CheckpointResponse[]> => {
+        const page = await apiFetch<{ total: number, checkpoints: CheckpointResponse[] }>(API_ENDPOINTS.checkpoints)
+        return page.checkpoints
+    },
 }
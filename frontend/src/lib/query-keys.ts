@@ -0,0 +1,13 @@
+import type { WorkflowKey } from './api'
+
+/**
+ * React Query cache keys
+ * Shared by the query hooks and the live update stream that writes into their caches
+ */
+
+export const QUERY_KEYS = {
+    health: ['health'] as const,
+    stats: ['stats'] as const,
+    workflows: ['workflows'] as const,
+    workflowDetail: (key: WorkflowKey) => ['workflow', key.chainId, key.contractAddress, key.workflowId] as const,
+}
@@ -3,17 +3,19 @@
  * Transforms backend API responses to frontend UI data models
  */
 
-import { WorkflowResponse, WorkflowDetailResponse } from './api'
+import { WorkflowResponse, WorkflowDetailResponse, RevertedAttemptResponse } from './api'
 import { Workflow, WorkflowStep, WorkflowStatus, StepStatus, TriggerType } from './mock-data'
 
 /**
  * Convert backend workflow status to frontend status
  */
-function mapWorkflowStatus(backendStatus: 'running' | 'completed' | 'failed'): WorkflowStatus {
+function mapWorkflowStatus(backendStatus: WorkflowResponse['status']): WorkflowStatus {
     const statusMap: Record<string, WorkflowStatus> = {
         running: 'running',
         completed: 'completed',
         failed: 'failed',
+        // The UI has no separate rejected state; a rejected decision ended the workflow
+        rejected: 'failed',
     }
     return statusMap[backendStatus] || 'pending'
 }
@@ -49,11 +51,25 @@ export function transformWorkflowListItem(workflow: WorkflowResponse): Workflow
     }
 }
 
+/**
+ * Describe a revert as "ErrorName: arg=value, ..." for the step error message
+ */
+function formatRevertError(attempt: RevertedAttemptResponse): string {
+    if (!attempt.error) return 'Revert reason could not be reproduced'
+
+    const name = attempt.error.name || `Unknown error ${attempt.error.selector}`
+    const args = Object.entries(attempt.error.args || {})
+        .map(([key, value]) => `${key}=${String(value)}`)
+        .join(', ')
+
+    return args ? `${name}: ${args}` : name
+}
+
 /**
  * Transform workflow detail response to UI Workflow with full step data
  */
 export function transformWorkflowDetails(detail: WorkflowDetailResponse): Workflow {
-    const { workflow, decisions, settlements } = detail
+    const { workflow, decisions, settlements, revertedAttempts = [] } = detail
 
     // Build steps from decisions and settlements
     const steps: WorkflowStep[] = []
@@ -96,12 +112,43 @@ export function transformWorkflowDetails(detail: WorkflowDetailResponse): Workfl
         })
     })
 
+    // Failed transactions (no events were emitted, so they are placed by block time)
+    if (revertedAttempts.length > 0) {
+        revertedAttempts.forEach((attempt, index) => {
+            steps.push({
+                id: `${workflow.workflowId}_revert_${index}`,
+                name: 'Attempt Reverted',
+                timestamp: formatTimestamp(attempt.timestamp),
+                status: 'failed',
+                transactionHash: attempt.txHash,
+                errorMessage: formatRevertError(attempt),
+                metadata: {
+                    function: attempt.function || attempt.functionSelector,
+                    from: attempt.from,
+                    value: formatAmount(attempt.value),
+                },
+            })
+        })
+
+        // Merge into the timeline chronologically (sort is stable) and recompute durations
+        const [start, ...rest] = steps
+        rest.sort((a, b) => new Date(a.timestamp).getTime() - new Date(b.timestamp).getTime())
+        steps.splice(0, steps.length, start, ...rest)
+        for (let i = 1; i < steps.length; i++) {
+            steps[i].duration = calculateDuration(steps[i - 1].timestamp, steps[i].timestamp)
+        }
+    }
+
     // Final step: Workflow completion/failure
     if (workflow.completedAt) {
-        const finalStatus: StepStatus = workflow.status === 'failed' ? 'failed' : 'success'
+        const finalStatus: StepStatus = workflow.status === 'completed' ? 'success' : 'failed'
+        const finalNames: Record<string, string> = {
+            failed: 'Workflow Failed',
+            rejected: 'Workflow Rejected',
+        }
         steps.push({
             id: `${workflow.workflowId}_end`,
-            name: workflow.status === 'failed' ? 'Workflow Failed' : 'Workflow Completed',
+            name: finalNames[workflow.status] || 'Workflow Completed',
             timestamp: formatTimestamp(workflow.completedAt),
             status: finalStatus,
             errorMessage: workflow.failureReason || undefined,